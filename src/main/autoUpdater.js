@@ -0,0 +1,492 @@
+const fs = require('fs-extra');
+const path = require('path');
+const EventEmitter = require('events');
+const config = require('./config');
+const restartWarnings = require('./restartWarnings');
+const serverManager = require('./serverManager');
+const workshopManager = require('./workshopManager');
+const PathUtils = require('../utils/paths');
+
+const DEFAULT_SETTINGS = {
+  enabled: false,
+  checkIntervalMinutes: 30,
+  checkMods: true,
+  checkServerFiles: false,
+  // Time players get between the announcement and the stop
+  countdownSeconds: 600,
+  announceMessage: 'Updates are available, the server will restart in {time} to install them',
+  // "HH:MM", a running server is not restarted for updates between these times
+  quietHoursStart: '',
+  quietHoursEnd: '',
+  // Check and log what would happen, without announcing, stopping or updating
+  dryRun: false
+};
+
+/**
+ * Checks a server instance's workshop mods and server files for updates and installs them:
+ * announce over RCON, count down, stop the server, update, re-copy keys and start it again
+ * Runs from the main monitoring loop, every step is written to the update log
+ */
+class AutoUpdater extends EventEmitter {
+  constructor() {
+    super();
+    this.log = [];
+    this.maxLogEntries = 300;
+    this.states = new Map();
+    this.initialized = false;
+  }
+
+  /**
+   * Load the update log
+   */
+  async init() {
+    if (this.initialized) {
+      return;
+    }
+    this.initialized = true;
+
+    try {
+      const logPath = this.getLogPath();
+      if (await fs.pathExists(logPath)) {
+        this.log = await fs.readJson(logPath);
+      }
+    } catch (error) {
+      console.error('Error loading update log:', error);
+      this.log = [];
+    }
+  }
+
+  /**
+   * Get the update job state of an instance
+   */
+  getState(instanceId) {
+    if (!this.states.has(instanceId)) {
+      this.states.set(instanceId, { lastCheck: 0, phase: 'idle', job: null });
+    }
+    return this.states.get(instanceId);
+  }
+
+  /**
+   * Get automatic update settings
+   */
+  getSettings() {
+    return { ...DEFAULT_SETTINGS, ...(config.get('autoUpdate') || {}) };
+  }
+
+  /**
+   * Save automatic update settings
+   */
+  async setSettings(settings) {
+    const current = this.getSettings();
+    const interval = settings.checkIntervalMinutes !== undefined ? parseInt(settings.checkIntervalMinutes) : current.checkIntervalMinutes;
+    const countdown = settings.countdownSeconds !== undefined ? parseInt(settings.countdownSeconds) : current.countdownSeconds;
+
+    if (!Number.isInteger(interval) || interval < 5) {
+      throw new Error(`Invalid check interval (at least 5 minutes): ${settings.checkIntervalMinutes}`);
+    }
+    if (!Number.isInteger(countdown) || countdown < 0) {
+      throw new Error(`Invalid countdown: ${settings.countdownSeconds}`);
+    }
+
+    const quietHoursStart = this.validateQuietTime(settings.quietHoursStart !== undefined ? settings.quietHoursStart : current.quietHoursStart);
+    const quietHoursEnd = this.validateQuietTime(settings.quietHoursEnd !== undefined ? settings.quietHoursEnd : current.quietHoursEnd);
+    if (Boolean(quietHoursStart) !== Boolean(quietHoursEnd)) {
+      throw new Error('Quiet hours need both a start and an end time');
+    }
+
+    const flag = (key) => (settings[key] !== undefined ? Boolean(settings[key]) : current[key]);
+    const updated = {
+      enabled: flag('enabled'),
+      checkIntervalMinutes: interval,
+      checkMods: flag('checkMods'),
+      checkServerFiles: flag('checkServerFiles'),
+      countdownSeconds: countdown,
+      announceMessage: String(settings.announceMessage !== undefined ? settings.announceMessage : current.announceMessage).trim() || DEFAULT_SETTINGS.announceMessage,
+      quietHoursStart,
+      quietHoursEnd,
+      dryRun: flag('dryRun')
+    };
+
+    await config.set('autoUpdate', updated);
+    return updated;
+  }
+
+  /**
+   * Validate an optional "HH:MM" quiet hours time, empty turns quiet hours off
+   */
+  validateQuietTime(value) {
+    if (value === null || value === undefined || String(value).trim() === '') {
+      return '';
+    }
+    const match = String(value).trim().match(/^(\d{1,2}):(\d{2})$/);
+    if (!match || parseInt(match[1]) > 23 || parseInt(match[2]) > 59) {
+      throw new Error(`Invalid quiet hours time (expected HH:MM): ${value}`);
+    }
+    return `${match[1].padStart(2, '0')}:${match[2]}`;
+  }
+
+  /**
+   * Whether a time falls in the quiet hours, which may run past midnight (e.g. 18:00 to 23:00 or 22:00 to 06:00)
+   */
+  isQuietTime(settings, date = new Date()) {
+    if (!settings.quietHoursStart || !settings.quietHoursEnd) {
+      return false;
+    }
+
+    const toMinutes = (time) => {
+      const [hours, minutes] = time.split(':').map(Number);
+      return hours * 60 + minutes;
+    };
+    const now = date.getHours() * 60 + date.getMinutes();
+    const start = toMinutes(settings.quietHoursStart);
+    const end = toMinutes(settings.quietHoursEnd);
+
+    return start <= end
+      ? now >= start && now < end
+      : now >= start || now < end;
+  }
+
+  /**
+   * Get an instance's update job state for the UI
+   */
+  getStatus(instanceId) {
+    const state = this.getState(instanceId);
+    const job = state.job;
+    return {
+      phase: state.phase,
+      lastCheckAt: state.lastCheck ? new Date(state.lastCheck).toISOString() : null,
+      restartAt: job && job.restartAt ? new Date(job.restartAt).toISOString() : null,
+      mods: job ? job.mods.map(mod => mod.name || mod.workshopId) : [],
+      serverUpdate: Boolean(job && job.server)
+    };
+  }
+
+  /**
+   * Advance an instance's update job, called from the main monitoring loop
+   * Starts a check when one is due and runs the update once the countdown is over
+   */
+  async check(runtime) {
+    const settings = this.getSettings();
+    const state = this.getState(runtime.id);
+
+    if (state.phase === 'countdown') {
+      const remainingSeconds = Math.ceil((state.job.restartAt - Date.now()) / 1000);
+      if (remainingSeconds > 0) {
+        await restartWarnings.checkWarnings(state.job, remainingSeconds, runtime.rconManager);
+        return;
+      }
+      this.startUpdate(runtime, state);
+      return;
+    }
+
+    if (!settings.enabled || state.phase !== 'idle') {
+      return;
+    }
+
+    const now = Date.now();
+    if (now - state.lastCheck < settings.checkIntervalMinutes * 60 * 1000) {
+      return;
+    }
+    state.lastCheck = now;
+
+    // Checks hit Steam and can take a while, the monitoring loop must not wait for them
+    this.runCheck(runtime, settings).catch(error => {
+      console.error('Error checking for updates:', error);
+    });
+  }
+
+  /**
+   * Check an instance for updates now, regardless of the interval, quiet hours or whether checks are enabled
+   */
+  async checkNow(runtime) {
+    const state = this.getState(runtime.id);
+    if (state.phase !== 'idle') {
+      throw new Error(`An update is already in progress (${state.phase})`);
+    }
+    state.lastCheck = Date.now();
+    return await this.runCheck(runtime, this.getSettings(), { manual: true });
+  }
+
+  /**
+   * Look for mod and server file updates and start the countdown if there are any
+   */
+  async runCheck(runtime, settings, options = {}) {
+    const state = this.getState(runtime.id);
+    const instanceId = runtime.id;
+    const serverPath = config.getInstanceValue('serverPath', instanceId);
+    const dryRun = settings.dryRun;
+
+    state.phase = 'checking';
+    try {
+      if (!serverPath) {
+        await this.addLog(runtime, 'check', 'error', 'No server path set, cannot check for updates');
+        return { updates: false };
+      }
+
+      let mods = [];
+      const modsList = config.getInstanceValue('mods', instanceId) || [];
+      if (settings.checkMods && modsList.length > 0) {
+        const updates = await workshopManager.checkModUpdates(modsList, serverPath, true);
+        mods = updates.filter(update => update.status === 'update-available');
+
+        const unknown = updates.filter(update => update.status === 'unknown');
+        if (unknown.length > 0) {
+          await this.addLog(runtime, 'check', 'warning', `Update state unknown for ${unknown.map(u => u.name || u.workshopId).join(', ')} (not in the workshop manifest)`, dryRun);
+        }
+      }
+
+      let server = null;
+      if (settings.checkServerFiles) {
+        try {
+          const result = await serverManager.checkForUpdate(serverPath);
+          if (result.updateAvailable) {
+            server = result;
+          } else if (!result.installedBuildId || !result.latestBuildId) {
+            await this.addLog(runtime, 'check', 'warning', 'Could not compare server build ids', dryRun);
+          }
+        } catch (error) {
+          await this.addLog(runtime, 'check', 'warning', `Server update check failed: ${error.message}`, dryRun);
+        }
+      }
+
+      if (mods.length === 0 && !server) {
+        await this.addLog(runtime, 'check', 'info', `No updates found (${modsList.length} mods${settings.checkServerFiles ? ' and server files' : ''} checked)`, dryRun);
+        return { updates: false };
+      }
+
+      const found = [
+        ...mods.map(mod => `mod ${mod.name || mod.workshopId}`),
+        ...(server ? [`server build ${server.installedBuildId} -> ${server.latestBuildId}`] : [])
+      ];
+      await this.addLog(runtime, 'check', 'info', `Updates found: ${found.join(', ')}`, dryRun);
+
+      const isRunning = runtime.serverControl.isRunning;
+      if (isRunning && !options.manual && this.isQuietTime(settings)) {
+        await this.addLog(runtime, 'check', 'info', `Quiet hours (${settings.quietHoursStart} to ${settings.quietHoursEnd}), the update waits for a later check`, dryRun);
+        return { updates: true, deferred: true };
+      }
+
+      if (dryRun) {
+        const steps = isRunning
+          ? `announce, wait ${restartWarnings.formatDuration(settings.countdownSeconds)}, stop the server, update, re-copy keys and start it again`
+          : 'update and re-copy keys (the server is not running)';
+        await this.addLog(runtime, 'check', 'info', `Dry run, nothing changed. Would ${steps}`, true);
+        return { updates: true, dryRun: true };
+      }
+
+      const job = {
+        mods,
+        server,
+        wasRunning: isRunning,
+        restartAt: Date.now() + (isRunning ? settings.countdownSeconds * 1000 : 0),
+        warningsSent: []
+      };
+      state.job = job;
+
+      if (!isRunning) {
+        this.startUpdate(runtime, state);
+        return { updates: true };
+      }
+
+      state.phase = 'countdown';
+      await this.announce(runtime, settings);
+      return { updates: true, restartAt: new Date(job.restartAt).toISOString() };
+    } finally {
+      if (state.phase === 'checking') {
+        state.phase = 'idle';
+      }
+    }
+  }
+
+  /**
+   * Tell players about the coming update restart
+   */
+  async announce(runtime, settings) {
+    const message = settings.announceMessage.replace('{time}', restartWarnings.formatDuration(settings.countdownSeconds));
+
+    if (!runtime.rconManager.isConnected) {
+      await this.addLog(runtime, 'announce', 'warning', `RCON is not connected, players were not told. Restarting in ${restartWarnings.formatDuration(settings.countdownSeconds)}`);
+      return;
+    }
+
+    try {
+      await runtime.rconManager.sayMessage(message);
+      await this.addLog(runtime, 'announce', 'info', `Announced: ${message}`);
+    } catch (error) {
+      await this.addLog(runtime, 'announce', 'warning', `Announcement failed: ${error.message}`);
+    }
+  }
+
+  /**
+   * Cancel an instance's update during its countdown
+   */
+  async cancel(runtime) {
+    const state = this.getState(runtime.id);
+    if (state.phase !== 'countdown') {
+      return false;
+    }
+
+    const job = state.job;
+    state.phase = 'idle';
+    state.job = null;
+    await restartWarnings.sendCancelled(job, runtime.rconManager);
+    await this.addLog(runtime, 'cancel', 'info', 'Update restart cancelled');
+    return true;
+  }
+
+  startUpdate(runtime, state) {
+    state.phase = 'updating';
+    this.applyUpdate(runtime, state.job)
+      .catch(async (error) => {
+        console.error('Automatic update failed:', error);
+        await this.addLog(runtime, 'update', 'error', `Update failed: ${error.message}`);
+      })
+      .finally(() => {
+        state.phase = 'idle';
+        state.job = null;
+      });
+  }
+
+  /**
+   * Stop the server, update the server files and changed mods, re-copy their keys and start the server again
+   */
+  async applyUpdate(runtime, job) {
+    const { serverControl } = runtime;
+    const serverPath = config.getInstanceValue('serverPath', runtime.id);
+    let launchInfo = null;
+
+    if (serverControl.isRunning) {
+      launchInfo = { ...serverControl.launchInfo };
+      await this.addLog(runtime, 'stop', 'info', 'Stopping the server for the update');
+      try {
+        const result = await serverControl.stopServer();
+        await this.addLog(runtime, 'stop', result.method === 'graceful' ? 'info' : 'warning', result.message);
+      } catch (error) {
+        // Updating files under a running server would corrupt it
+        await this.addLog(runtime, 'stop', 'error', `${error.message}, update aborted`);
+        return;
+      }
+    } else if (job.wasRunning) {
+      await this.addLog(runtime, 'stop', 'info', 'The server stopped during the countdown, it will not be started again');
+    }
+
+    if (job.server) {
+      await this.addLog(runtime, 'server', 'info', `Updating server files to build ${job.server.latestBuildId}`);
+      try {
+        await serverManager.updateServer(serverPath);
+        const version = await serverManager.getServerVersion(serverPath);
+        await this.addLog(runtime, 'server', 'info', `Server files updated (build ${version && version.buildId ? version.buildId : 'unknown'})`);
+      } catch (error) {
+        await this.addLog(runtime, 'server', 'error', error.message);
+      }
+    }
+
+    if (job.mods.length > 0) {
+      await this.updateMods(runtime, job.mods, serverPath);
+    }
+
+    if (!launchInfo) {
+      await this.addLog(runtime, 'done', 'info', 'Update finished');
+      return;
+    }
+
+    await this.addLog(runtime, 'start', 'info', `Starting the server (profile ${launchInfo.profileName})`);
+    try {
+      await serverControl.startServer(launchInfo.serverPath, launchInfo.profileName, launchInfo.parameters);
+      await this.addLog(runtime, 'start', 'info', 'Server started, update finished');
+    } catch (error) {
+      const details = error.validation ? `: ${error.validation.errors.map(e => e.message).join('; ')}` : '';
+      await this.addLog(runtime, 'start', 'error', `Server did not start after the update (${error.message})${details}`);
+    }
+  }
+
+  /**
+   * Download changed mods in one SteamCMD session and replace their keys in keys/
+   */
+  async updateMods(runtime, mods, serverPath) {
+    await this.addLog(runtime, 'mods', 'info', `Updating ${mods.length} mod${mods.length === 1 ? '' : 's'}: ${mods.map(mod => mod.name || mod.workshopId).join(', ')}`);
+
+    const results = await workshopManager.downloadMods(mods.map(mod => mod.workshopId), serverPath, null, { replaceLinks: true });
+
+    const keysPath = path.join(serverPath, 'keys');
+    for (const [index, result] of results.entries()) {
+      const mod = mods[index];
+      const label = mod.name || mod.workshopId;
+      if (!result.success) {
+        await this.addLog(runtime, 'mods', 'error', `${label} failed to update: ${result.error}`);
+        continue;
+      }
+
+      if (config.isServerOnlyMod(mod.workshopId, serverPath)) {
+        await this.addLog(runtime, 'mods', 'info', `${label} updated (server only, no keys copied)`);
+        continue;
+      }
+
+      const contentPath = path.join(serverPath, 'steamapps', 'workshop', 'content', workshopManager.workshopAppId, String(mod.workshopId));
+      await workshopManager.copyModKeys(contentPath, keysPath, true);
+      const keyNames = (await workshopManager.findModKeys(contentPath)).map(keyFile => path.basename(keyFile));
+      await this.addLog(runtime, 'mods', 'info', `${label} updated, keys re-copied: ${keyNames.join(', ') || 'none'}`);
+    }
+  }
+
+  /**
+   * Record a step in the update log, the console output and the instance's server console
+   */
+  async addLog(runtime, step, level, message, dryRun = false) {
+    const entry = {
+      id: `${Date.now()}-${Math.random().toString(36).slice(2, 8)}`,
+      instanceId: runtime.id,
+      time: new Date().toISOString(),
+      step,
+      level,
+      message,
+      dryRun
+    };
+
+    const logLine = `[Auto update${dryRun ? ', dry run' : ''}] ${message}`;
+    if (level === 'error') {
+      console.error(logLine);
+    } else if (level === 'warning') {
+      console.warn(logLine);
+    } else {
+      console.log(logLine);
+    }
+    runtime.serverConsole.addMarker(logLine);
+
+    this.log.unshift(entry);
+    this.log = this.log.slice(0, this.maxLogEntries);
+    await this.saveLog();
+
+    this.emit('log', entry);
+    return entry;
+  }
+
+  /**
+   * Get an instance's update log, newest first
+   */
+  getLog(instanceId) {
+    return this.log.filter(entry => entry.instanceId === instanceId);
+  }
+
+  /**
+   * Clear an instance's update log
+   */
+  async clearLog(instanceId) {
+    this.log = this.log.filter(entry => entry.instanceId !== instanceId);
+    await this.saveLog();
+  }
+
+  getLogPath() {
+    return path.join(PathUtils.getUserDataPath(), 'auto-update-log.json');
+  }
+
+  async saveLog() {
+    try {
+      await fs.writeJson(this.getLogPath(), this.log, { spaces: 2 });
+    } catch (error) {
+      console.error('Error saving update log:', error);
+    }
+  }
+}
+
+module.exports = new AutoUpdater();
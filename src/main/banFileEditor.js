@@ -0,0 +1,191 @@
+const fs = require('fs-extra');
+const path = require('path');
+const config = require('./config');
+const serverManager = require('./serverManager');
+const configEditor = require('./configEditor');
+const banManager = require('./banManager');
+const instanceManager = require('./instanceManager');
+
+/**
+ * Offline editor for BattlEye's bans.txt
+ * Each line is: <GUID or IP> <expiry unix timestamp, -1 = permanent> <reason>
+ */
+class BanFileEditor {
+  /**
+   * Get the bans.txt path for a server/profile
+   */
+  async getBansFilePath(serverPath, profileName = 'default') {
+    const battlEyePath = await serverManager.findBattlEyePath(serverPath, profileName);
+    return path.join(battlEyePath, 'bans.txt');
+  }
+
+  /**
+   * Read and parse bans.txt
+   */
+  async readBans(serverPath, profileName = 'default') {
+    const bansPath = await this.getBansFilePath(serverPath, profileName);
+
+    if (!await fs.pathExists(bansPath)) {
+      return { path: bansPath, exists: false, bans: [], invalidLines: [] };
+    }
+
+    const content = await fs.readFile(bansPath, 'utf-8');
+    const { bans, invalidLines } = this.parseBansFile(content);
+    return { path: bansPath, exists: true, bans, invalidLines };
+  }
+
+  /**
+   * Parse bans.txt content
+   */
+  parseBansFile(content) {
+    const bans = [];
+    const invalidLines = [];
+    const now = Math.floor(Date.now() / 1000);
+
+    content.split(/\r?\n/).forEach((line, lineIndex) => {
+      const trimmed = line.trim();
+      if (!trimmed) {
+        return;
+      }
+
+      const match = trimmed.match(/^(\S+)\s+(-?\d+)(?:\s+(.*))?$/);
+      let value = null;
+      if (match) {
+        try {
+          value = banManager.validateTarget(match[1]);
+        } catch (error) {
+          value = null;
+        }
+      }
+
+      if (!value) {
+        invalidLines.push({ line: lineIndex + 1, raw: line });
+        return;
+      }
+
+      const expiry = parseInt(match[2]);
+      const permanent = expiry === -1;
+      const expired = !permanent && expiry <= now;
+
+      bans.push({
+        index: bans.length,
+        line: lineIndex + 1,
+        type: value.includes('.') ? 'ip' : 'guid',
+        value,
+        expiry,
+        expires: permanent ? null : new Date(expiry * 1000).toISOString(),
+        minutesLeft: permanent || expired ? null : Math.ceil((expiry - now) / 60),
+        permanent,
+        expired,
+        reason: (match[3] || '').trim()
+      });
+    });
+
+    return { bans, invalidLines };
+  }
+
+  /**
+   * Validate and write ban entries to bans.txt, backing up the old file first
+   * Entries need { value, expiry } or { value, minutes } plus an optional reason,
+   * and the line they were read from when they came from the file
+   */
+  async writeBans(serverPath, profileName = 'default', bans = [], invalidLines = []) {
+    const bansPath = await this.getBansFilePath(serverPath, profileName);
+
+    // Lines we could not parse (comments, hand-written entries) are kept where they were,
+    // existing bans keep their line and new ones are appended
+    const position = entry => entry.line || Number.MAX_SAFE_INTEGER;
+    const lines = [
+      ...bans.map((ban, index) => ({ line: ban.line, text: this.formatBanLine(ban, index) })),
+      ...invalidLines.map(invalid => ({ line: invalid.line, text: invalid.raw }))
+    ].sort((a, b) => position(a) - position(b)).map(entry => entry.text);
+
+    await fs.ensureDir(path.dirname(bansPath));
+    const backupPath = await configEditor.backupConfig(bansPath);
+    await fs.writeFile(bansPath, lines.length > 0 ? `${lines.join('\n')}\n` : '', 'utf-8');
+
+    // A running server keeps its bans in memory, ask the one using this file to reload it
+    let reloaded = false;
+    const instance = config.findInstanceByServer(serverPath, profileName);
+    const rcon = instance ? instanceManager.getRuntime(instance.id).rconManager : null;
+    if (rcon && rcon.isConnected) {
+      try {
+        await banManager.loadBans(rcon);
+        reloaded = true;
+      } catch (error) {
+        console.warn('Could not reload bans over RCON:', error);
+      }
+    }
+
+    return { path: bansPath, backupPath, count: bans.length, reloaded };
+  }
+
+  /**
+   * Build a bans.txt line from an entry, throwing on invalid data
+   */
+  formatBanLine(ban, index) {
+    let value;
+    try {
+      value = banManager.validateTarget(ban.value);
+    } catch (error) {
+      throw new Error(`Ban ${index + 1}: ${error.message}`);
+    }
+
+    let expiry;
+    if (ban.minutes !== undefined) {
+      const minutes = banManager.validateMinutes(ban.minutes);
+      expiry = minutes === 0 ? -1 : Math.floor(Date.now() / 1000) + minutes * 60;
+    } else {
+      expiry = parseInt(ban.expiry);
+      if (!Number.isInteger(expiry) || (expiry !== -1 && expiry < 0)) {
+        throw new Error(`Ban ${index + 1}: Invalid expiry timestamp: ${ban.expiry}`);
+      }
+    }
+
+    const reason = String(ban.reason || '').replace(/[\r\n]+/g, ' ').trim();
+    return `${value} ${expiry}${reason ? ` ${reason}` : ''}`;
+  }
+
+  /**
+   * Add a ban to bans.txt, 0 minutes is a permanent ban
+   */
+  async addBan(serverPath, profileName, target, minutes = 0, reason = '') {
+    const { bans, invalidLines } = await this.readBans(serverPath, profileName);
+    const value = banManager.validateTarget(target);
+
+    if (bans.some(ban => ban.value === value && !ban.expired)) {
+      throw new Error(`${value} is already banned`);
+    }
+
+    bans.push({ value, minutes, reason });
+    return await this.writeBans(serverPath, profileName, bans, invalidLines);
+  }
+
+  /**
+   * Replace the ban at an index
+   */
+  async updateBan(serverPath, profileName, index, target, minutes = 0, reason = '') {
+    const { bans, invalidLines } = await this.readBans(serverPath, profileName);
+    if (!bans[index]) {
+      throw new Error(`Ban ${index} not found`);
+    }
+
+    bans[index] = { value: target, minutes, reason, line: bans[index].line };
+    return await this.writeBans(serverPath, profileName, bans, invalidLines);
+  }
+
+  /**
+   * Remove the ban at an index
+   */
+  async removeBan(serverPath, profileName, index) {
+    const { bans, invalidLines } = await this.readBans(serverPath, profileName);
+    if (!bans[index]) {
+      throw new Error(`Ban ${index} not found`);
+    }
+
+    bans.splice(index, 1);
+    return await this.writeBans(serverPath, profileName, bans, invalidLines);
+  }
+}
+
+module.exports = new BanFileEditor();
@@ -0,0 +1,170 @@
+const instanceManager = require('./instanceManager');
+
+/**
+ * BattlEye ban management over RCON of the active instance
+ */
+class BanManager {
+  getRcon() {
+    return instanceManager.getActiveRuntime().rconManager;
+  }
+
+  /**
+   * Get the server's ban list
+   */
+  async getBans() {
+    const response = await this.getRcon().sendCommand('bans');
+    return this.parseBansList(response);
+  }
+
+  /**
+   * Add a GUID or IP ban, 0 minutes is a permanent ban
+   */
+  async addBan(target, minutes = 0, reason = '') {
+    const value = this.validateTarget(target);
+    const duration = this.validateMinutes(minutes);
+    const response = await this.getRcon().sendCommand(`addBan ${value} ${duration}${reason ? ` ${reason.trim()}` : ''}`);
+    await this.writeBans();
+    return response;
+  }
+
+  /**
+   * Remove a ban by its index in the ban list
+   */
+  async removeBan(index) {
+    const banIndex = this.validateIndex(index);
+    const response = await this.getRcon().sendCommand(`removeBan ${banIndex}`);
+    await this.writeBans();
+    return response;
+  }
+
+  /**
+   * Replace an existing ban with a new duration/reason
+   * BattlEye has no edit command, so the new ban is added and then the old one removed.
+   * addBan appends, so the old ban keeps its index and stays in place if the add fails
+   */
+  async updateBan(index, target, minutes = 0, reason = '') {
+    const banIndex = this.validateIndex(index);
+    const value = this.validateTarget(target);
+    const duration = this.validateMinutes(minutes);
+    const response = await this.addBan(value, duration, reason);
+    await this.removeBan(banIndex);
+    return response;
+  }
+
+  /**
+   * Write the in-memory ban list to bans.txt on the server
+   */
+  async writeBans() {
+    return await this.getRcon().sendCommand('writeBans');
+  }
+
+  /**
+   * Reload bans.txt on the server, the active instance's unless another RCON connection is given
+   */
+  async loadBans(rcon = this.getRcon()) {
+    return await rcon.sendCommand('loadBans');
+  }
+
+  /**
+   * Validate an index in the ban list
+   */
+  validateIndex(index) {
+    const banIndex = parseInt(index, 10);
+    if (!Number.isInteger(banIndex) || banIndex < 0) {
+      throw new Error(`Invalid ban index: ${index}`);
+    }
+    return banIndex;
+  }
+
+  /**
+   * Validate a GUID (32 hex chars) or IPv4 address
+   */
+  validateTarget(target) {
+    const value = String(target || '').trim();
+    if (/^[0-9a-fA-F]{32}$/.test(value)) {
+      return value.toLowerCase();
+    }
+    if (this.isValidIP(value)) {
+      return value;
+    }
+    throw new Error(`Invalid ban target (expected a 32 character GUID or an IPv4 address): ${target}`);
+  }
+
+  /**
+   * Validate a ban duration in minutes
+   */
+  validateMinutes(minutes) {
+    const duration = parseInt(minutes, 10);
+    if (minutes === '' || minutes === null || minutes === undefined) {
+      return 0;
+    }
+    if (!Number.isInteger(duration) || duration < 0) {
+      throw new Error(`Invalid ban duration: ${minutes}`);
+    }
+    return duration;
+  }
+
+  /**
+   * Check for a dotted IPv4 address
+   */
+  isValidIP(value) {
+    const parts = value.split('.');
+    return parts.length === 4 && parts.every(part => /^\d{1,3}$/.test(part) && parseInt(part) <= 255);
+  }
+
+  /**
+   * Parse bans list from RCON response
+   * Format:
+   * GUID Bans:
+   * [#] [GUID] [Minutes left] [Reason]
+   * ----------------------------------------
+   * 0  0123456789abcdef0123456789abcdef perm Cheating
+   *
+   * IP Bans:
+   * [#] [IP Address] [Minutes left] [Reason]
+   * ----------------------------------------------
+   * 1  1.2.3.4         57 Toxic behaviour
+   */
+  parseBansList(response) {
+    const bans = [];
+    if (!response) return bans;
+
+    let section = null;
+
+    for (const line of response.split('\n')) {
+      const trimmed = line.trim();
+
+      if (/^GUID Bans:/i.test(trimmed)) {
+        section = 'guid';
+        continue;
+      }
+      if (/^IP Bans:/i.test(trimmed)) {
+        section = 'ip';
+        continue;
+      }
+
+      const match = trimmed.match(/^(\d+)\s+(\S+)\s+(perm|-|-?\d+)(?:\s+(.*))?$/i);
+      if (!match || !section) {
+        continue;
+      }
+
+      const minutesField = match[3].toLowerCase();
+      const permanent = minutesField === 'perm';
+      const expired = minutesField === '-' || (!permanent && parseInt(minutesField) <= 0);
+
+      bans.push({
+        index: parseInt(match[1]),
+        type: section,
+        value: section === 'guid' ? match[2].toLowerCase() : match[2],
+        minutesLeft: permanent || minutesField === '-' ? null : parseInt(minutesField),
+        permanent,
+        expired,
+        reason: (match[4] || '').trim()
+      });
+    }
+
+    return bans;
+  }
+}
+
+module.exports = new BanManager();
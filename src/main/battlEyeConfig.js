@@ -0,0 +1,228 @@
+const fs = require('fs-extra');
+const path = require('path');
+const crypto = require('crypto');
+const config = require('./config');
+const serverManager = require('./serverManager');
+const configEditor = require('./configEditor');
+
+const CONFIG_FILE = 'BEServer_x64.cfg';
+// BattlEye RCon conventionally listens 4 ports above the game port (2302 -> 2306)
+const RCON_PORT_OFFSET = 4;
+const PASSWORD_CHARS = 'ABCDEFGHJKLMNPQRSTUVWXYZabcdefghijkmnopqrstuvwxyz23456789';
+
+/**
+ * BattlEye server config (BEServer_x64.cfg) management
+ */
+class BattlEyeConfig {
+  /**
+   * Get the path BattlEye reads its config from for a server/profile
+   */
+  async getConfigPath(serverPath, profileName = 'default') {
+    const battlEyePath = await serverManager.findBattlEyePath(serverPath, profileName);
+    return path.join(battlEyePath, CONFIG_FILE);
+  }
+
+  /**
+   * Find the config BattlEye is using. While the server runs BattlEye
+   * renames BEServer_x64.cfg to BEServer_x64_active_<random>.cfg
+   */
+  async findActiveConfigPath(serverPath, profileName = 'default') {
+    const configPath = await this.getConfigPath(serverPath, profileName);
+    if (await fs.pathExists(configPath)) {
+      return configPath;
+    }
+
+    const battlEyePath = path.dirname(configPath);
+    if (!await fs.pathExists(battlEyePath)) {
+      return null;
+    }
+
+    const entries = await fs.readdir(battlEyePath);
+    const active = [];
+    for (const entry of entries) {
+      if (/^BEServer_x64_active_.*\.cfg$/i.test(entry)) {
+        const entryPath = path.join(battlEyePath, entry);
+        const stats = await fs.stat(entryPath);
+        active.push({ path: entryPath, modified: stats.mtime });
+      }
+    }
+
+    active.sort((a, b) => b.modified - a.modified);
+    return active.length > 0 ? active[0].path : null;
+  }
+
+  /**
+   * Read BattlEye config settings
+   */
+  async readConfig(serverPath, profileName = 'default') {
+    const configPath = await this.getConfigPath(serverPath, profileName);
+    const activePath = await this.findActiveConfigPath(serverPath, profileName);
+
+    if (!activePath) {
+      return { path: configPath, exists: false, settings: {} };
+    }
+
+    const content = await fs.readFile(activePath, 'utf-8');
+    return {
+      path: configPath,
+      readFrom: activePath,
+      exists: true,
+      settings: this.parseConfig(content)
+    };
+  }
+
+  /**
+   * Parse "Key Value" lines into settings
+   */
+  parseConfig(content) {
+    const settings = {};
+
+    for (const line of content.split(/\r?\n/)) {
+      const trimmed = line.trim();
+      if (!trimmed || trimmed.startsWith('//')) {
+        continue;
+      }
+
+      const match = trimmed.match(/^(\w+)\s+(.*)$/);
+      if (!match) {
+        continue;
+      }
+
+      const key = match[1];
+      const value = match[2].trim();
+      if (['RConPort', 'RestrictRCon', 'MaxPing'].includes(key)) {
+        settings[key] = parseInt(value);
+      } else {
+        settings[key] = value;
+      }
+    }
+
+    return settings;
+  }
+
+  /**
+   * Validate settings, throwing on the first invalid value
+   */
+  validateSettings(settings) {
+    const password = settings.RConPassword;
+    if (!password || /\s/.test(password)) {
+      throw new Error('RConPassword is required and cannot contain spaces');
+    }
+
+    const port = parseInt(settings.RConPort);
+    if (!Number.isInteger(port) || port < 1 || port > 65535) {
+      throw new Error(`Invalid RConPort: ${settings.RConPort}`);
+    }
+
+    if (settings.RestrictRCon !== undefined && ![0, 1].includes(parseInt(settings.RestrictRCon))) {
+      throw new Error(`RestrictRCon must be 0 or 1: ${settings.RestrictRCon}`);
+    }
+
+    if (settings.MaxPing !== undefined && settings.MaxPing !== null && settings.MaxPing !== '') {
+      const maxPing = parseInt(settings.MaxPing);
+      if (!Number.isInteger(maxPing) || maxPing < 0) {
+        throw new Error(`Invalid MaxPing: ${settings.MaxPing}`);
+      }
+    }
+  }
+
+  /**
+   * Write BattlEye config settings and sync the RCON settings of the instance using the file
+   * Without an instance id only the file is written
+   * Settings not managed here (e.g. custom keys) are kept from the existing file
+   */
+  async writeConfig(serverPath, profileName = 'default', settings = {}, instanceId = null) {
+    const current = await this.readConfig(serverPath, profileName);
+    const merged = { ...current.settings, ...settings };
+    this.validateSettings(merged);
+
+    const lines = [
+      `RConPassword ${merged.RConPassword}`,
+      `RConPort ${parseInt(merged.RConPort)}`,
+      `RestrictRCon ${parseInt(merged.RestrictRCon) || 0}`
+    ];
+
+    if (merged.MaxPing !== undefined && merged.MaxPing !== null && merged.MaxPing !== '') {
+      lines.push(`MaxPing ${parseInt(merged.MaxPing)}`);
+    }
+
+    for (const [key, value] of Object.entries(merged)) {
+      if (!['RConPassword', 'RConPort', 'RestrictRCon', 'MaxPing'].includes(key)) {
+        lines.push(`${key} ${value}`);
+      }
+    }
+
+    const configPath = current.path;
+    await fs.ensureDir(path.dirname(configPath));
+    const backupPath = await configEditor.backupConfig(configPath);
+    await fs.writeFile(configPath, `${lines.join('\n')}\n`, 'utf-8');
+
+    if (instanceId) {
+      await this.syncAppConfig(merged, instanceId);
+    }
+
+    return { path: configPath, backupPath, settings: merged };
+  }
+
+  /**
+   * Make sure the server has an RCON config before it starts, creating
+   * one with a generated password if needed, and sync the instance's RCON settings
+   */
+  async ensureConfig(serverPath, profileName = 'default', instanceId = null) {
+    const current = await this.readConfig(serverPath, profileName);
+
+    if (current.exists && current.settings.RConPassword && current.settings.RConPort) {
+      await this.syncAppConfig(current.settings, instanceId);
+      return { created: false, path: current.readFrom, settings: current.settings };
+    }
+
+    const rcon = config.getRCONConfig(instanceId);
+    const gamePort = config.getInstanceValue('gamePort', instanceId) || 2302;
+    // The app used to default RCON to the game port, which BattlEye cannot share
+    const port = rcon.port && rcon.port !== 2302 && rcon.port !== gamePort ? rcon.port : this.getDefaultRconPort(gamePort);
+
+    const result = await this.writeConfig(serverPath, profileName, {
+      RConPassword: current.settings.RConPassword || rcon.password || this.generatePassword(),
+      RConPort: current.settings.RConPort || port,
+      RestrictRCon: current.settings.RestrictRCon !== undefined ? current.settings.RestrictRCon : 0
+    }, instanceId);
+
+    return { created: true, ...result };
+  }
+
+  /**
+   * Update an instance's RCON connection settings (the active one by default) to match the server config
+   */
+  async syncAppConfig(settings, instanceId = null) {
+    const rcon = config.getRCONConfig(instanceId);
+    const port = parseInt(settings.RConPort);
+
+    if (rcon.port === port && rcon.password === settings.RConPassword) {
+      return false;
+    }
+
+    await config.setRCONConfig(rcon.host, port, settings.RConPassword, rcon.enabled, instanceId);
+    return true;
+  }
+
+  /**
+   * Get the RCON port that goes with a game port
+   */
+  getDefaultRconPort(gamePort) {
+    return gamePort + RCON_PORT_OFFSET;
+  }
+
+  /**
+   * Generate a strong RCON password (no spaces or ambiguous characters)
+   */
+  generatePassword(length = 24) {
+    const bytes = crypto.randomBytes(length);
+    let password = '';
+    for (let i = 0; i < length; i++) {
+      password += PASSWORD_CHARS[bytes[i] % PASSWORD_CHARS.length];
+    }
+    return password;
+  }
+}
+
+module.exports = new BattlEyeConfig();
@@ -3,6 +3,9 @@ const path = require('path');
 const { app } = require('electron');
 const PathUtils = require('../utils/paths');
 
+// Settings stored per server instance rather than for the whole app
+const INSTANCE_KEYS = ['serverPath', 'profileName', 'gamePort', 'mods', 'rcon', 'scheduledMessages', 'scheduledRestarts', 'runningServer', 'launchProfiles', 'activeLaunchProfileId'];
+
 /**
  * Application configuration management
  */
@@ -10,12 +13,12 @@ class Config {
   constructor() {
     this.configPath = path.join(PathUtils.getUserDataPath(), 'config.json');
     this.defaultConfig = {
-      serverPath: '',
       steamcmdPath: PathUtils.getSteamCMDPath(),
-      mods: [],
       preferences: {
         autoUpdate: false,
         checkUpdatesOnStart: true,
+        // Servers keep running when the app closes and are re-attached on the next start
+        stopServersOnQuit: false,
         logLevel: 'info'
       },
       steamCredentials: {
@@ -23,12 +26,25 @@ class Config {
         password: '',
         useCredentials: false
       },
+      instances: [],
+      activeInstanceId: null
+    };
+    this.defaultInstance = {
+      serverPath: '',
+      profileName: 'default',
+      gamePort: 2302,
+      mods: [],
       rcon: {
         enabled: false,
         host: '127.0.0.1',
         port: 2302,
         password: ''
-      }
+      },
+      scheduledMessages: [],
+      scheduledRestarts: [],
+      runningServer: null,
+      launchProfiles: [],
+      activeLaunchProfileId: null
     };
     this.config = null;
   }
@@ -41,74 +57,116 @@ class Config {
       if (await fs.pathExists(this.configPath)) {
         const data = await fs.readJson(this.configPath);
         this.config = { ...this.defaultConfig, ...data };
+
+        // Migration: Move single-server settings into a default instance
+        if (this.migrateInstances()) {
+          await this.save();
+        }
         
         // Migration: Assign loadOrder to mods that don't have it
-        if (this.config.mods && this.config.mods.length > 0) {
-          let needsSave = false;
-          const modsWithOrder = this.config.mods.filter(m => m.loadOrder !== undefined);
-          const modsWithoutOrder = this.config.mods.filter(m => m.loadOrder === undefined);
+        for (const instance of this.config.instances) {
+          if (instance.mods && instance.mods.length > 0) {
+            let needsSave = false;
+            const modsWithOrder = instance.mods.filter(m => m.loadOrder !== undefined);
+            const modsWithoutOrder = instance.mods.filter(m => m.loadOrder === undefined);
+          
+            if (modsWithoutOrder.length > 0) {
+              // Sort by added date (oldest first) for migration
+              modsWithoutOrder.sort((a, b) => {
+                const dateA = a.added ? new Date(a.added).getTime() : 0;
+                const dateB = b.added ? new Date(b.added).getTime() : 0;
+                return dateA - dateB;
+              });
+            
+              // Assign loadOrder starting from max existing order + 1, or 1 if no orders exist
+              const maxOrder = modsWithOrder.length > 0 
+                ? Math.max(...modsWithOrder.map(m => m.loadOrder || 0))
+                : 0;
+            
+              modsWithoutOrder.forEach((mod, index) => {
+                mod.loadOrder = maxOrder + index + 1;
+                needsSave = true;
+              });
+            }
           
-          if (modsWithoutOrder.length > 0) {
-            // Sort by added date (oldest first) for migration
-            modsWithoutOrder.sort((a, b) => {
+            // Ensure all mods have valid loadOrder (renumber if needed)
+            const allMods = [...instance.mods];
+            allMods.sort((a, b) => {
+              const orderA = a.loadOrder || 999999;
+              const orderB = b.loadOrder || 999999;
+              if (orderA !== orderB) return orderA - orderB;
+              // If same order, sort by added date
               const dateA = a.added ? new Date(a.added).getTime() : 0;
               const dateB = b.added ? new Date(b.added).getTime() : 0;
               return dateA - dateB;
             });
-            
-            // Assign loadOrder starting from max existing order + 1, or 1 if no orders exist
-            const maxOrder = modsWithOrder.length > 0 
-              ? Math.max(...modsWithOrder.map(m => m.loadOrder || 0))
-              : 0;
-            
-            modsWithoutOrder.forEach((mod, index) => {
-              mod.loadOrder = maxOrder + index + 1;
-              needsSave = true;
-            });
-          }
           
-          // Ensure all mods have valid loadOrder (renumber if needed)
-          const allMods = [...this.config.mods];
-          allMods.sort((a, b) => {
-            const orderA = a.loadOrder || 999999;
-            const orderB = b.loadOrder || 999999;
-            if (orderA !== orderB) return orderA - orderB;
-            // If same order, sort by added date
-            const dateA = a.added ? new Date(a.added).getTime() : 0;
-            const dateB = b.added ? new Date(b.added).getTime() : 0;
-            return dateA - dateB;
-          });
+            // Renumber to ensure sequential 1-indexed order
+            let hasGaps = false;
+            allMods.forEach((mod, index) => {
+              const expectedOrder = index + 1;
+              if (mod.loadOrder !== expectedOrder) {
+                mod.loadOrder = expectedOrder;
+                hasGaps = true;
+              }
+            });
           
-          // Renumber to ensure sequential 1-indexed order
-          let hasGaps = false;
-          allMods.forEach((mod, index) => {
-            const expectedOrder = index + 1;
-            if (mod.loadOrder !== expectedOrder) {
-              mod.loadOrder = expectedOrder;
-              hasGaps = true;
+            if (hasGaps) {
+              needsSave = true;
             }
-          });
-          
-          if (hasGaps) {
-            needsSave = true;
-          }
           
-          if (needsSave) {
-            await this.save();
+            if (needsSave) {
+              await this.save();
+            }
           }
         }
       } else {
         this.config = { ...this.defaultConfig };
+        this.migrateInstances();
         await this.save();
       }
       return this.config;
     } catch (error) {
       console.error('Error loading config:', error);
       this.config = { ...this.defaultConfig };
+      this.migrateInstances();
       return this.config;
     }
   }
 
+  /**
+   * Make sure at least one instance exists, creating it from the
+   * top-level settings used before instances were introduced
+   */
+  migrateInstances() {
+    if (Array.isArray(this.config.instances) && this.config.instances.length > 0) {
+      this.config.instances = this.config.instances.map(instance => ({ ...this.createInstanceDefaults(), ...instance }));
+      if (!this.getInstance(this.config.activeInstanceId)) {
+        this.config.activeInstanceId = this.config.instances[0].id;
+      }
+      return false;
+    }
+
+    const instance = { id: 'default', name: 'Default', ...this.createInstanceDefaults() };
+    for (const key of INSTANCE_KEYS) {
+      if (this.config[key] !== undefined) {
+        instance[key] = this.config[key];
+        delete this.config[key];
+      }
+    }
+
+    this.config.instances = [instance];
+    this.config.activeInstanceId = instance.id;
+    return true;
+  }
+
+  /**
+   * Get a fresh copy of the settings a new instance starts with
+   */
+  createInstanceDefaults() {
+    return JSON.parse(JSON.stringify(this.defaultInstance));
+  }
+
   /**
    * Save configuration to file
    */
@@ -125,25 +183,91 @@ class Config {
 
   /**
    * Get configuration value
+   * Per-instance keys are read from the active instance
    */
   get(key) {
     if (!this.config) {
       this.load();
     }
+    if (INSTANCE_KEYS.includes(key)) {
+      return this.getInstanceValue(key);
+    }
     return key ? this.config[key] : this.config;
   }
 
   /**
    * Set configuration value
+   * Per-instance keys are written to the active instance
    */
   async set(key, value) {
     if (!this.config) {
       await this.load();
     }
+    if (INSTANCE_KEYS.includes(key)) {
+      return await this.setInstanceValue(key, value);
+    }
     this.config[key] = value;
     return await this.save();
   }
 
+  /**
+   * Check whether a key is stored per instance
+   */
+  isInstanceKey(key) {
+    return INSTANCE_KEYS.includes(key);
+  }
+
+  /**
+   * Get all server instances
+   */
+  getInstances() {
+    return this.get('instances') || [];
+  }
+
+  /**
+   * Get an instance by id, or the active instance when no id is given
+   */
+  getInstance(instanceId = null) {
+    const instances = this.config ? this.config.instances || [] : [];
+    const id = instanceId || this.config.activeInstanceId;
+    return instances.find(instance => instance.id === id) || null;
+  }
+
+  /**
+   * Get the instance that runs a server folder with a profile, or null when none does
+   */
+  findInstanceByServer(serverPath, profileName = 'default') {
+    return this.getInstances()
+      .find(instance => instance.serverPath === serverPath && (instance.profileName || 'default') === profileName) || null;
+  }
+
+  /**
+   * Get the id of the instance the UI is working on
+   */
+  getActiveInstanceId() {
+    return this.get('activeInstanceId');
+  }
+
+  /**
+   * Get a per-instance value, from the active instance when no id is given
+   */
+  getInstanceValue(key, instanceId = null) {
+    const instance = this.getInstance(instanceId);
+    return instance ? instance[key] : undefined;
+  }
+
+  /**
+   * Set a per-instance value, on the active instance when no id is given
+   */
+  async setInstanceValue(key, value, instanceId = null) {
+    const instance = this.getInstance(instanceId);
+    if (!instance) {
+      throw new Error(`Server instance not found: ${instanceId}`);
+    }
+    instance[key] = value;
+    return await this.save();
+  }
+
   /**
    * Update server path
    */
@@ -165,7 +289,7 @@ class Config {
     if (!this.config) {
       await this.load();
     }
-    const mods = this.config.mods || [];
+    const mods = this.getMods();
     if (!mods.find(m => m.workshopId === workshopId)) {
       // Assign loadOrder based on current mod count + 1
       const maxLoadOrder = mods.length > 0 
@@ -177,8 +301,7 @@ class Config {
         added: new Date().toISOString(),
         loadOrder: maxLoadOrder + 1
       });
-      this.config.mods = mods;
-      return await this.save();
+      return await this.set('mods', mods);
     }
     return false;
   }
@@ -190,7 +313,7 @@ class Config {
     if (!this.config) {
       await this.load();
     }
-    const mods = (this.config.mods || []).filter(m => m.workshopId !== workshopId);
+    const mods = this.getMods().filter(m => m.workshopId !== workshopId);
     
     // Renumber remaining mods to fill gaps (1-indexed sequential)
     mods.sort((a, b) => {
@@ -206,8 +329,7 @@ class Config {
       mod.loadOrder = index + 1;
     });
     
-    this.config.mods = mods;
-    return await this.save();
+    return await this.set('mods', mods);
   }
 
   /**
@@ -217,6 +339,42 @@ class Config {
     return this.get('mods') || [];
   }
 
+  /**
+   * Mark a mod as server-only, loading it with -serverMod instead of -mod
+   */
+  async setModServerOnly(workshopId, serverOnly) {
+    if (!this.config) {
+      await this.load();
+    }
+    const mods = this.getMods();
+    const mod = mods.find(m => String(m.workshopId) === String(workshopId));
+    if (!mod) {
+      return false;
+    }
+
+    mod.serverOnly = Boolean(serverOnly);
+    return await this.set('mods', mods);
+  }
+
+  /**
+   * Get the mod list entries of every instance using a server install
+   */
+  getModsForServer(serverPath) {
+    return this.getInstances()
+      .filter(instance => instance.serverPath === serverPath)
+      .flatMap(instance => instance.mods || []);
+  }
+
+  /**
+   * Check whether a mod's keys stay out of a server install's keys/
+   * That is only the case when every instance using the install that has the mod marks it server-only,
+   * an instance loading it with -mod needs its keys
+   */
+  isServerOnlyMod(workshopId, serverPath) {
+    const entries = this.getModsForServer(serverPath).filter(m => String(m.workshopId) === String(workshopId));
+    return entries.length > 0 && entries.every(m => m.serverOnly);
+  }
+
   /**
    * Set Steam credentials
    */
@@ -240,26 +398,39 @@ class Config {
   }
 
   /**
-   * Set RCON configuration
+   * Set RCON configuration of an instance (the active one by default)
    */
-  async setRCONConfig(host, port, password, enabled = true) {
+  async setRCONConfig(host, port, password, enabled = true, instanceId = null) {
     if (!this.config) {
       await this.load();
     }
-    this.config.rcon = {
+    return await this.setInstanceValue('rcon', {
       host: host || '127.0.0.1',
       port: port || 2302,
       password: password || '',
       enabled: enabled
-    };
-    return await this.save();
+    }, instanceId);
+  }
+
+  /**
+   * Get RCON configuration of an instance (the active one by default)
+   */
+  getRCONConfig(instanceId = null) {
+    return this.getInstanceValue('rcon', instanceId) || { host: '127.0.0.1', port: 2302, password: '', enabled: false };
   }
 
   /**
-   * Get RCON configuration
+   * Get scheduled RCON messages of an instance (the active one by default)
    */
-  getRCONConfig() {
-    return this.get('rcon') || { host: '127.0.0.1', port: 2302, password: '', enabled: false };
+  getScheduledMessages(instanceId = null) {
+    return this.getInstanceValue('scheduledMessages', instanceId) || [];
+  }
+
+  /**
+   * Save scheduled RCON messages of an instance (the active one by default)
+   */
+  async setScheduledMessages(messages, instanceId = null) {
+    return await this.setInstanceValue('scheduledMessages', messages, instanceId);
   }
 
   /**
@@ -270,7 +441,7 @@ class Config {
       await this.load();
     }
     
-    const mods = this.config.mods || [];
+    const mods = this.getMods();
     const mod = mods.find(m => String(m.workshopId) === String(workshopId));
     if (!mod) {
       return false;
@@ -316,8 +487,7 @@ class Config {
       m.loadOrder = index + 1;
     });
     
-    this.config.mods = mods;
-    return await this.save();
+    return await this.set('mods', mods);
   }
 
   /**
@@ -328,7 +498,7 @@ class Config {
       await this.load();
     }
     
-    const mods = this.config.mods || [];
+    const mods = this.getMods();
     
     // Validate that all mods in order array exist
     const validMods = modOrderArray.filter(id => mods.find(m => String(m.workshopId) === String(id)));
@@ -350,18 +520,17 @@ class Config {
       }
     });
     
-    this.config.mods = mods;
-    return await this.save();
+    return await this.set('mods', mods);
   }
 
   /**
-   * Get mods sorted by load order
+   * Get mods sorted by load order (of the active instance by default)
    */
-  getModsOrdered() {
+  getModsOrdered(instanceId = null) {
     if (!this.config) {
       this.load();
     }
-    const mods = this.get('mods') || [];
+    const mods = this.getInstanceValue('mods', instanceId) || [];
     
     // Sort by loadOrder, then by added date as fallback
     return [...mods].sort((a, b) => {
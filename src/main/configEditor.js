@@ -288,6 +288,126 @@ class ConfigEditor {
     }
   }
 
+  /**
+   * Parse a server config (serverDZ.cfg) into an object, classes become nested objects
+   * Throws with the line number on a syntax error
+   */
+  parseServerConfig(content) {
+    const tokens = this.tokenizeServerConfig(content);
+    let pos = 0;
+
+    const fail = (message, token) => {
+      const line = token ? token.line : (tokens.length > 0 ? tokens[tokens.length - 1].line : 1);
+      throw new Error(`Line ${line}: ${message}`);
+    };
+    const expect = (value) => {
+      const token = tokens[pos];
+      if (!token || token.value !== value || token.type === 'string') {
+        fail(`Expected "${value}"${token ? ` but found "${token.value}"` : ' at end of file'}`, token);
+      }
+      pos++;
+    };
+
+    const parseValue = () => {
+      const token = tokens[pos++];
+      if (!token) {
+        fail('Expected a value at end of file');
+      }
+      if (token.type === 'symbol' && token.value === '{') {
+        const values = [];
+        while (tokens[pos] && tokens[pos].value !== '}') {
+          values.push(parseValue());
+          if (tokens[pos] && tokens[pos].value === ',') {
+            pos++;
+          }
+        }
+        expect('}');
+        return values;
+      }
+      if (token.type === 'symbol') {
+        fail(`Unexpected "${token.value}"`, token);
+      }
+      if (token.type === 'word' && /^-?\d+(\.\d+)?$/.test(token.value)) {
+        return Number(token.value);
+      }
+      return token.value;
+    };
+
+    const parseBody = (inClass) => {
+      const body = {};
+      while (pos < tokens.length) {
+        const token = tokens[pos];
+        if (token.type === 'symbol' && token.value === '}') {
+          if (!inClass) {
+            fail('Unexpected "}"', token);
+          }
+          pos++;
+          expect(';');
+          return body;
+        }
+        if (token.type !== 'word') {
+          fail(`Unexpected "${token.value}"`, token);
+        }
+        pos++;
+
+        if (token.value === 'class') {
+          const name = tokens[pos];
+          if (!name || name.type !== 'word') {
+            fail('Expected a class name', name);
+          }
+          pos++;
+          expect('{');
+          body[name.value] = parseBody(true);
+          continue;
+        }
+
+        if (tokens[pos] && tokens[pos].value === '[') {
+          pos++;
+          expect(']');
+        }
+        expect('=');
+        body[token.value] = parseValue();
+        expect(';');
+      }
+
+      if (inClass) {
+        fail('Missing "};" to close a class');
+      }
+      return body;
+    };
+
+    return parseBody(false);
+  }
+
+  /**
+   * Split a server config into words, strings and symbols, skipping comments
+   */
+  tokenizeServerConfig(content) {
+    const tokens = [];
+    const pattern = /(\s+|\/\/[^\n]*|\/\*[\s\S]*?\*\/)|"((?:[^"]|"")*)"|([\w.+-]+)|([={}[\];,])/y;
+    let line = 1;
+
+    while (pattern.lastIndex < content.length) {
+      const start = pattern.lastIndex;
+      const match = pattern.exec(content);
+      if (!match) {
+        const char = content[start];
+        throw new Error(`Line ${line}: ${char === '"' ? 'Unclosed string' : `Unexpected character "${char}"`}`);
+      }
+
+      if (match[2] !== undefined) {
+        tokens.push({ type: 'string', value: match[2].replace(/""/g, '"'), line });
+      } else if (match[3] !== undefined) {
+        tokens.push({ type: 'word', value: match[3], line });
+      } else if (match[4] !== undefined) {
+        tokens.push({ type: 'symbol', value: match[4], line });
+      }
+      line += (match[0].match(/\n/g) || []).length;
+    }
+
+    return tokens;
+  }
+
   /**
    * Get config file type from extension
    */
@@ -0,0 +1,271 @@
+const EventEmitter = require('events');
+const config = require('./config');
+const logViewer = require('./logViewer');
+
+const DEFAULT_SETTINGS = {
+  enabled: true,
+  autoRestart: false,
+  checkIntervalSeconds: 15,
+  // Skip probes while the server is still loading
+  startupGraceSeconds: 300,
+  logStaleSeconds: 300,
+  rconFailureLimit: 3,
+  cpuStuckSeconds: 300,
+  cpuHighPercent: 95,
+  cpuLowPercent: 0.5,
+  // How many probes have to fail before the server counts as hung
+  requiredFailures: 2
+};
+
+/**
+ * Detects a server process that is alive but no longer responding
+ * Probe history is kept separately for each server instance
+ */
+class HangDetector extends EventEmitter {
+  constructor() {
+    super();
+    this.states = new Map();
+  }
+
+  /**
+   * Get the probe state of an instance
+   */
+  getState(instanceId) {
+    if (!this.states.has(instanceId)) {
+      this.states.set(instanceId, { lastCheck: 0, isChecking: false });
+      this.resetState(instanceId);
+    }
+    return this.states.get(instanceId);
+  }
+
+  /**
+   * Clear probe history, e.g. after a restart
+   */
+  resetState(instanceId) {
+    Object.assign(this.getState(instanceId), {
+      rconFailures: 0,
+      cpuStuckSince: null,
+      hung: false,
+      status: {
+        checkedAt: null,
+        hung: false,
+        probes: {}
+      }
+    });
+  }
+
+  /**
+   * Get hang detection settings
+   */
+  getSettings() {
+    return { ...DEFAULT_SETTINGS, ...(config.get('hangDetection') || {}) };
+  }
+
+  /**
+   * Save hang detection settings
+   */
+  async setSettings(settings) {
+    const current = this.getSettings();
+    const updated = { ...current };
+
+    for (const key of Object.keys(DEFAULT_SETTINGS)) {
+      if (settings[key] === undefined) {
+        continue;
+      }
+      if (typeof DEFAULT_SETTINGS[key] === 'boolean') {
+        updated[key] = Boolean(settings[key]);
+        continue;
+      }
+
+      const value = parseFloat(settings[key]);
+      if (!Number.isFinite(value) || value < 0) {
+        throw new Error(`Invalid value for ${key}: ${settings[key]}`);
+      }
+      updated[key] = value;
+    }
+
+    if (updated.requiredFailures < 1 || updated.requiredFailures > 3) {
+      throw new Error('Required failing probes must be between 1 and 3');
+    }
+
+    await config.set('hangDetection', updated);
+    return updated;
+  }
+
+  /**
+   * Get the latest probe results of an instance
+   */
+  getStatus(instanceId) {
+    return this.getState(instanceId).status;
+  }
+
+  /**
+   * Run the health probes for an instance, called from the main monitoring loop
+   * Probes are throttled to checkIntervalSeconds
+   */
+  async check(runtime, stats = null) {
+    const settings = this.getSettings();
+    const { serverControl } = runtime;
+    const launchInfo = serverControl.launchInfo;
+    const state = this.getState(runtime.id);
+
+    if (!settings.enabled || !serverControl.isRunning || !launchInfo || state.isChecking) {
+      return state.status;
+    }
+
+    const now = Date.now();
+    if (now - state.lastCheck < settings.checkIntervalSeconds * 1000) {
+      return state.status;
+    }
+    state.lastCheck = now;
+
+    if (now - new Date(launchInfo.startedAt).getTime() < settings.startupGraceSeconds * 1000) {
+      this.resetState(runtime.id);
+      state.status = { checkedAt: new Date(now).toISOString(), hung: false, starting: true, probes: {} };
+      return state.status;
+    }
+
+    state.isChecking = true;
+    try {
+      const probes = {
+        log: await this.probeLogs(launchInfo, settings, now),
+        rcon: await this.probeRcon(state, runtime.rconManager, settings),
+        cpu: await this.probeCpu(state, serverControl, settings, stats, now)
+      };
+
+      const failing = Object.keys(probes).filter(name => probes[name].failing);
+      const hung = failing.length >= settings.requiredFailures;
+
+      const status = {
+        checkedAt: new Date(now).toISOString(),
+        hung,
+        failing,
+        probes
+      };
+      state.status = status;
+
+      if (hung && !state.hung) {
+        state.hung = true;
+        await this.handleHang(runtime, launchInfo, settings);
+      } else if (!hung) {
+        state.hung = false;
+      }
+
+      return status;
+    } finally {
+      state.isChecking = false;
+    }
+  }
+
+  /**
+   * Check how long ago the profile's newest log file was written
+   */
+  async probeLogs(launchInfo, settings, now) {
+    const logFiles = await logViewer.findLogFiles(launchInfo.serverPath);
+    const profileLogs = logFiles.filter(file => file.profile === launchInfo.profileName);
+    const newest = (profileLogs.length > 0 ? profileLogs : logFiles)[0];
+
+    if (!newest) {
+      return { available: false, failing: false };
+    }
+
+    const ageSeconds = Math.round((now - new Date(newest.modified).getTime()) / 1000);
+    return {
+      available: true,
+      failing: ageSeconds > settings.logStaleSeconds,
+      file: newest.name,
+      ageSeconds
+    };
+  }
+
+  /**
+   * Ping the server over RCON, counting consecutive failures
+   */
+  async probeRcon(state, rconManager, settings) {
+    // RCON dropping while the server runs counts as a failure, never connecting does not
+    if (rconManager.state === 'disconnected') {
+      state.rconFailures = 0;
+      return { available: false, failing: false };
+    }
+
+    try {
+      if (!rconManager.isConnected) {
+        throw new Error(`RCON ${rconManager.state}`);
+      }
+      const roundTripMs = await rconManager.ping();
+      state.rconFailures = 0;
+      return { available: true, failing: false, roundTripMs };
+    } catch (error) {
+      state.rconFailures++;
+      return {
+        available: true,
+        failing: state.rconFailures >= settings.rconFailureLimit,
+        consecutiveFailures: state.rconFailures,
+        error: error.message
+      };
+    }
+  }
+
+  /**
+   * Check whether CPU has been pinned or idle for too long
+   */
+  async probeCpu(state, serverControl, settings, stats, now) {
+    const processStats = stats || await serverControl.getProcessStats();
+    // Without a real measurement the probe must not count towards a hang
+    if (!processStats.cpuMeasured) {
+      state.cpuStuckSince = null;
+      return { available: false, failing: false };
+    }
+
+    const cpu = processStats.cpu;
+    const stuck = cpu >= settings.cpuHighPercent || cpu <= settings.cpuLowPercent;
+
+    if (!stuck) {
+      state.cpuStuckSince = null;
+    } else if (!state.cpuStuckSince) {
+      state.cpuStuckSince = now;
+    }
+
+    const stuckSeconds = state.cpuStuckSince ? Math.round((now - state.cpuStuckSince) / 1000) : 0;
+    return {
+      available: true,
+      failing: stuck && stuckSeconds >= settings.cpuStuckSeconds,
+      cpu,
+      stuckSeconds
+    };
+  }
+
+  /**
+   * Report a hung server and restart it if configured to
+   */
+  async handleHang(runtime, launchInfo, settings) {
+    const { status } = this.getState(runtime.id);
+    const event = {
+      instanceId: runtime.id,
+      time: status.checkedAt,
+      failing: status.failing,
+      probes: status.probes,
+      action: settings.autoRestart ? 'restart' : 'none',
+      restartResult: null
+    };
+
+    console.warn(`Server appears hung (${event.failing.join(', ')})`);
+
+    if (settings.autoRestart) {
+      try {
+        // A hung server will not act on #shutdown, so kill it straight away
+        await runtime.serverControl.restartServer(launchInfo.serverPath, launchInfo.profileName, launchInfo.parameters, 0, { force: true });
+        event.restartResult = 'restarted';
+        this.resetState(runtime.id);
+      } catch (error) {
+        console.error('Failed to restart hung server:', error);
+        event.restartResult = `failed: ${error.message}`;
+      }
+    }
+
+    this.emit('hung', event);
+    return event;
+  }
+}
+
+module.exports = new HangDetector();
@@ -0,0 +1,263 @@
+const EventEmitter = require('events');
+const config = require('./config');
+const ServerControl = require('./serverControl');
+const RCONManager = require('./rconManager');
+const RCONEvents = require('./rconEvents');
+const ServerConsole = require('./serverConsole');
+const battlEyeConfig = require('./battlEyeConfig');
+
+/**
+ * Named server instances, each with its own install path, profile, ports,
+ * mods, RCON settings and schedules, and its own process, RCON connection and console
+ */
+class InstanceManager extends EventEmitter {
+  constructor() {
+    super();
+    this.runtimes = new Map();
+  }
+
+  /**
+   * Create runtimes for all instances, load their schedules and
+   * re-attach to servers left running by an earlier run of the app
+   */
+  async init() {
+    for (const instance of config.getInstances()) {
+      const runtime = this.getRuntime(instance.id);
+      await runtime.serverControl.loadScheduledRestarts();
+
+      try {
+        await runtime.serverControl.reattach();
+      } catch (error) {
+        console.error(`Error re-attaching to server of instance ${instance.name}:`, error);
+      }
+    }
+  }
+
+  /**
+   * Get the runtime objects of an instance (the active one by default)
+   */
+  getRuntime(instanceId = null) {
+    const instance = config.getInstance(instanceId);
+    if (!instance) {
+      throw new Error(`Server instance not found: ${instanceId}`);
+    }
+
+    if (!this.runtimes.has(instance.id)) {
+      this.runtimes.set(instance.id, this.createRuntime(instance.id));
+    }
+    return this.runtimes.get(instance.id);
+  }
+
+  /**
+   * Get the runtime of the instance selected in the UI
+   */
+  getActiveRuntime() {
+    return this.getRuntime(config.getActiveInstanceId());
+  }
+
+  /**
+   * Get runtimes of all instances
+   */
+  getRuntimes() {
+    return config.getInstances().map(instance => this.getRuntime(instance.id));
+  }
+
+  /**
+   * Create the process, RCON and console objects for an instance
+   * and forward their events tagged with the instance id
+   */
+  createRuntime(instanceId) {
+    const rconManager = new RCONManager();
+    const rconEvents = new RCONEvents();
+    const serverConsole = new ServerConsole(instanceId);
+    const serverControl = new ServerControl(instanceId, rconManager, serverConsole);
+
+    serverControl.on('exit', (info) => {
+      this.emit('exit', info);
+    });
+
+    rconManager.on('state-changed', (status) => {
+      this.emit('rcon-state-changed', instanceId, status);
+    });
+
+    // Parse server messages into events
+    rconManager.on('server-message', (message) => {
+      rconEvents.addMessage(message);
+    });
+
+    rconEvents.on('event', (rconEvent) => {
+      this.emit('rcon-event', instanceId, rconEvent);
+    });
+
+    serverConsole.on('lines', (lines) => {
+      this.emit('console-lines', instanceId, lines);
+    });
+
+    return { id: instanceId, serverControl, rconManager, rconEvents, serverConsole };
+  }
+
+  /**
+   * Check whether an instance is the one selected in the UI
+   */
+  isActive(instanceId) {
+    return config.getActiveInstanceId() === instanceId;
+  }
+
+  /**
+   * List instances with their running state
+   */
+  listInstances() {
+    const activeId = config.getActiveInstanceId();
+    return config.getInstances().map(instance => {
+      const status = this.getRuntime(instance.id).serverControl.getServerStatus();
+      return {
+        id: instance.id,
+        name: instance.name,
+        serverPath: instance.serverPath,
+        profileName: instance.profileName,
+        gamePort: instance.gamePort,
+        rconPort: instance.rcon ? instance.rcon.port : null,
+        active: instance.id === activeId,
+        isRunning: status.isRunning,
+        pid: status.pid
+      };
+    });
+  }
+
+  /**
+   * Add a server instance
+   */
+  async addInstance(data) {
+    const instances = config.getInstances();
+    const instance = {
+      id: Date.now().toString(),
+      ...config.createInstanceDefaults(),
+      ...this.validate(data, instances)
+    };
+    // Keep RCON next to the instance's own game port rather than the default server's
+    instance.rcon.port = battlEyeConfig.getDefaultRconPort(instance.gamePort);
+
+    await config.set('instances', [...instances, instance]);
+    await this.getRuntime(instance.id).serverControl.loadScheduledRestarts();
+    return instance;
+  }
+
+  /**
+   * Update an instance's name, install path, profile or game port
+   */
+  async updateInstance(id, data) {
+    const instances = config.getInstances();
+    const instance = this.find(instances, id);
+    const others = instances.filter(i => i.id !== id);
+
+    if (this.getRuntime(id).serverControl.isRunning && data.serverPath !== undefined && data.serverPath !== instance.serverPath) {
+      throw new Error('Stop the server before changing its install path');
+    }
+
+    Object.assign(instance, this.validate({ ...instance, ...data }, others));
+    await config.set('instances', instances);
+    return instance;
+  }
+
+  /**
+   * Remove an instance, its server must be stopped first
+   */
+  async removeInstance(id) {
+    const instances = config.getInstances();
+    this.find(instances, id);
+
+    if (instances.length === 1) {
+      throw new Error('At least one server instance is required');
+    }
+
+    const runtime = this.runtimes.get(id);
+    if (runtime) {
+      if (runtime.serverControl.isRunning) {
+        throw new Error('Stop the server before removing its instance');
+      }
+      runtime.rconManager.disconnect();
+      this.runtimes.delete(id);
+    }
+
+    const remaining = instances.filter(i => i.id !== id);
+    await config.set('instances', remaining);
+    if (config.getActiveInstanceId() === id) {
+      await this.setActiveInstance(remaining[0].id);
+    }
+  }
+
+  /**
+   * Select the instance the UI works on
+   */
+  async setActiveInstance(id) {
+    this.find(config.getInstances(), id);
+    await config.set('activeInstanceId', id);
+    this.emit('active-changed', id);
+    return id;
+  }
+
+  /**
+   * PIDs of all servers run by this app
+   */
+  getRunningPids() {
+    return this.getRuntimes()
+      .map(runtime => runtime.serverControl.serverProcess)
+      .filter(child => child && child.pid)
+      .map(child => child.pid);
+  }
+
+  /**
+   * Stop every running server at the same time, gracefully unless options.force is set
+   * Used when the app quits with the stop servers on quit preference
+   */
+  async stopAll(options = {}) {
+    const running = this.getRuntimes().filter(runtime => runtime.serverControl.isRunning);
+    await Promise.all(running.map(async (runtime) => {
+      try {
+        await runtime.serverControl.stopServer(options);
+      } catch (error) {
+        console.error(`Error stopping server of instance ${runtime.id}:`, error);
+      }
+    }));
+  }
+
+  /**
+   * Validate instance fields, returning the normalised values
+   */
+  validate(data, others = []) {
+    const name = String(data.name || '').trim();
+    if (!name) {
+      throw new Error('Instance name is required');
+    }
+    if (others.some(other => other.name.toLowerCase() === name.toLowerCase())) {
+      throw new Error(`An instance named "${name}" already exists`);
+    }
+
+    const profileName = String(data.profileName || 'default').trim();
+    if (!/^[\w.-]+$/.test(profileName)) {
+      throw new Error(`Invalid profile name: ${profileName}`);
+    }
+
+    const gamePort = parseInt(data.gamePort || 2302);
+    if (!Number.isInteger(gamePort) || gamePort < 1 || gamePort > 65535) {
+      throw new Error(`Invalid game port: ${data.gamePort}`);
+    }
+
+    return {
+      name,
+      serverPath: String(data.serverPath || '').trim(),
+      profileName,
+      gamePort
+    };
+  }
+
+  find(instances, id) {
+    const instance = instances.find(i => i.id === id);
+    if (!instance) {
+      throw new Error(`Server instance not found: ${id}`);
+    }
+    return instance;
+  }
+}
+
+module.exports = new InstanceManager();
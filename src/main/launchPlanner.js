@@ -0,0 +1,138 @@
+const fs = require('fs-extra');
+const path = require('path');
+const config = require('./config');
+const launchProfiles = require('./launchProfiles');
+const workshopManager = require('./workshopManager');
+
+// Mod list parameters the planner builds, stale copies passed in by callers are dropped
+const MOD_PARAMS = ['-mod', '-servermod'];
+
+/**
+ * Works out how a server instance is launched: the mod folders from its mod list
+ * and the full arguments from its selected launch profile
+ * ServerControl.startServer plans here, and every start goes through it: the UI start and restart
+ * buttons, countdown and scheduled restarts, the watchdog, the hang detector and the automatic
+ * updater. The app has no command-line start, so a restart always loads the current mod list
+ */
+class LaunchPlanner {
+  /**
+   * Clean a mod name into the @folder name the server loads
+   */
+  toFolderName(name) {
+    return String(name || '').replace(/@/g, '').trim().replace(/[^a-zA-Z0-9_-]/g, '');
+  }
+
+  /**
+   * Find the server folder of each mod in the instance's mod list, in load order
+   * A mod is unresolved when its folder name cannot be worked out (not downloaded)
+   * and missing when the @folder is not in the server directory
+   */
+  async resolveMods(instanceId = null, serverPath = null) {
+    const installPath = serverPath || config.getInstanceValue('serverPath', instanceId);
+    const mods = [];
+
+    for (const mod of config.getModsOrdered(instanceId)) {
+      const entry = {
+        workshopId: String(mod.workshopId),
+        name: mod.name || `Mod ${mod.workshopId}`,
+        serverOnly: Boolean(mod.serverOnly),
+        folder: null,
+        status: 'unresolved'
+      };
+
+      if (installPath) {
+        // Workshop content has the real name, scanned mods may only have their @folder
+        let folderName = await workshopManager.getModFolderName(mod.workshopId, installPath);
+        if (!folderName) {
+          const fallback = this.toFolderName(mod.name);
+          if (fallback && await fs.pathExists(path.join(installPath, `@${fallback}`))) {
+            folderName = fallback;
+          }
+        }
+
+        if (folderName) {
+          entry.folder = `@${this.toFolderName(folderName)}`;
+          entry.status = await fs.pathExists(path.join(installPath, entry.folder)) ? 'ok' : 'missing';
+        }
+      }
+
+      mods.push(entry);
+    }
+
+    return {
+      mods,
+      missing: mods.filter(mod => mod.status === 'missing'),
+      unresolved: mods.filter(mod => mod.status === 'unresolved')
+    };
+  }
+
+  /**
+   * Build the -mod= and -serverMod= parameters from resolved mods, skipping any not found
+   */
+  getModParameters(mods) {
+    const loadable = mods.filter(mod => mod.status === 'ok');
+    const parameters = [];
+
+    const clientMods = loadable.filter(mod => !mod.serverOnly).map(mod => mod.folder);
+    if (clientMods.length > 0) {
+      parameters.push(`-mod=${clientMods.join(';')}`);
+    }
+    const serverMods = loadable.filter(mod => mod.serverOnly).map(mod => mod.folder);
+    if (serverMods.length > 0) {
+      parameters.push(`-serverMod=${serverMods.join(';')}`);
+    }
+
+    return parameters;
+  }
+
+  /**
+   * Plan a launch of an instance
+   * options.serverPath and options.profileName default to the instance settings,
+   * options.parameters are added after the mod list (their own -mod/-serverMod are ignored)
+   * options.profile previews an unsaved launch profile instead of the selected one
+   */
+  async plan(instanceId = null, options = {}) {
+    const instance = config.getInstance(instanceId);
+    if (!instance) {
+      throw new Error(`Server instance not found: ${instanceId}`);
+    }
+
+    const serverPath = options.serverPath || instance.serverPath;
+    const profileName = options.profileName || instance.profileName || 'default';
+    const resolved = await this.resolveMods(instance.id, serverPath);
+
+    const extra = (options.parameters || []).filter(param => !MOD_PARAMS.includes(param.split('=')[0].toLowerCase()));
+    const parameters = [...this.getModParameters(resolved.mods), ...extra];
+
+    const args = options.profile
+      ? launchProfiles.buildArgs(options.profile, { profileName, gamePort: instance.gamePort, parameters })
+      : launchProfiles.buildLaunchArgs(instance.id, profileName, parameters);
+
+    const warnings = [
+      ...resolved.missing.map(mod => `Mod "${mod.name}" (${mod.workshopId}) is not installed: ${mod.folder} not found`),
+      ...resolved.unresolved.map(mod => `Mod "${mod.name}" (${mod.workshopId}) has no downloaded files to find its folder from`)
+    ];
+
+    return {
+      instanceId: instance.id,
+      serverPath,
+      profileName,
+      parameters,
+      args,
+      executable: this.getServerExecutable(serverPath || ''),
+      mods: resolved.mods,
+      missing: resolved.missing,
+      unresolved: resolved.unresolved,
+      warnings
+    };
+  }
+
+  /**
+   * Get the DayZ server executable of an install
+   */
+  getServerExecutable(serverPath) {
+    return path.join(serverPath, process.platform === 'win32' ? 'DayZServer_x64.exe' : 'DayZServer');
+  }
+}
+
+module.exports = new LaunchPlanner();
@@ -0,0 +1,293 @@
+const config = require('./config');
+
+// Parameters set by launch profile fields (or the mod list) that cannot be repeated as extras
+const MANAGED_PARAMS = {
+  config: 'Config file',
+  port: 'Port',
+  profiles: 'Server profile',
+  cpucount: 'CPU count',
+  limitfps: 'FPS limit',
+  freezecheck: 'Freeze check',
+  filepatching: 'File patching',
+  bepath: 'BattlEye path',
+  storage: 'Storage path',
+  servermod: 'Server mods',
+  dologs: 'Logging',
+  adminlog: 'Logging',
+  netlog: 'Logging',
+  mod: 'Mod list'
+};
+
+/**
+ * Saved launch parameter sets for server instances
+ * Each instance has its own profiles and one of them selected for launching
+ */
+class LaunchProfiles {
+  /**
+   * Get the profile a new instance launches with
+   */
+  createDefaultProfile() {
+    return {
+      id: 'default',
+      name: 'Default',
+      configFile: 'serverDZ.cfg',
+      port: null,
+      cpuCount: null,
+      limitFPS: null,
+      freezeCheck: false,
+      filePatching: false,
+      bePath: '',
+      storagePath: '',
+      serverMods: [],
+      doLogs: true,
+      adminLog: true,
+      netLog: true,
+      extras: ''
+    };
+  }
+
+  /**
+   * Get an instance's launch profiles (the active instance by default)
+   */
+  getProfiles(instanceId = null) {
+    const profiles = config.getInstanceValue('launchProfiles', instanceId) || [];
+    return profiles.length > 0 ? profiles : [this.createDefaultProfile()];
+  }
+
+  /**
+   * Get the launch profile selected for an instance
+   */
+  getActiveProfile(instanceId = null) {
+    const profiles = this.getProfiles(instanceId);
+    const activeId = config.getInstanceValue('activeLaunchProfileId', instanceId);
+    return profiles.find(profile => profile.id === activeId) || profiles[0];
+  }
+
+  /**
+   * Add a launch profile, or update it when one with the same id exists
+   */
+  async saveProfile(data, instanceId = null) {
+    const profiles = this.getProfiles(instanceId);
+    const existing = data.id ? profiles.find(profile => profile.id === data.id) : null;
+    const others = profiles.filter(profile => profile !== existing);
+
+    const profile = {
+      ...(existing || this.createDefaultProfile()),
+      ...this.validate(data, others),
+      id: existing ? existing.id : Date.now().toString()
+    };
+
+    const updated = existing
+      ? profiles.map(p => (p === existing ? profile : p))
+      : [...profiles, profile];
+
+    await config.setInstanceValue('launchProfiles', updated, instanceId);
+    return profile;
+  }
+
+  /**
+   * Remove a launch profile, an instance always keeps at least one
+   */
+  async removeProfile(id, instanceId = null) {
+    const profiles = this.getProfiles(instanceId);
+    if (!profiles.some(profile => profile.id === id)) {
+      throw new Error(`Launch profile not found: ${id}`);
+    }
+    if (profiles.length === 1) {
+      throw new Error('At least one launch profile is required');
+    }
+
+    await config.setInstanceValue('launchProfiles', profiles.filter(profile => profile.id !== id), instanceId);
+    if (config.getInstanceValue('activeLaunchProfileId', instanceId) === id) {
+      await config.setInstanceValue('activeLaunchProfileId', null, instanceId);
+    }
+  }
+
+  /**
+   * Select the launch profile an instance starts with
+   */
+  async setActiveProfile(id, instanceId = null) {
+    if (!this.getProfiles(instanceId).some(profile => profile.id === id)) {
+      throw new Error(`Launch profile not found: ${id}`);
+    }
+    await config.setInstanceValue('activeLaunchProfileId', id, instanceId);
+    return id;
+  }
+
+  /**
+   * Validate launch profile fields, returning the normalised values
+   */
+  validate(data, others = []) {
+    const name = String(data.name || '').trim();
+    if (!name) {
+      throw new Error('Launch profile name is required');
+    }
+    if (others.some(other => other.name.toLowerCase() === name.toLowerCase())) {
+      throw new Error(`A launch profile named "${name}" already exists`);
+    }
+
+    const configFile = this.validatePath(data.configFile, 'Config file') || 'serverDZ.cfg';
+
+    const serverMods = (Array.isArray(data.serverMods) ? data.serverMods : String(data.serverMods || '').split(/[;,\n]/))
+      .map(mod => String(mod).trim())
+      .filter(mod => mod);
+    for (const mod of serverMods) {
+      if (/[";]/.test(mod)) {
+        throw new Error(`Invalid server mod name: ${mod}`);
+      }
+    }
+
+    const extras = String(data.extras || '').trim();
+    for (const arg of this.parseExtras(extras)) {
+      if (!arg.startsWith('-')) {
+        throw new Error(`Extra parameters must start with "-": ${arg}`);
+      }
+      const key = arg.slice(1).split('=')[0].toLowerCase();
+      if (MANAGED_PARAMS[key]) {
+        throw new Error(`Use the ${MANAGED_PARAMS[key]} setting instead of ${arg}`);
+      }
+    }
+
+    return {
+      name,
+      configFile,
+      port: this.validateNumber(data.port, 'Port', 1, 65535),
+      cpuCount: this.validateNumber(data.cpuCount, 'CPU count', 1, 128),
+      limitFPS: this.validateNumber(data.limitFPS, 'FPS limit', 1, 1000),
+      freezeCheck: Boolean(data.freezeCheck),
+      filePatching: Boolean(data.filePatching),
+      bePath: this.validatePath(data.bePath, 'BattlEye path'),
+      storagePath: this.validatePath(data.storagePath, 'Storage path'),
+      serverMods,
+      doLogs: data.doLogs !== undefined ? Boolean(data.doLogs) : true,
+      adminLog: data.adminLog !== undefined ? Boolean(data.adminLog) : true,
+      netLog: data.netLog !== undefined ? Boolean(data.netLog) : true,
+      extras
+    };
+  }
+
+  /**
+   * Optional whole number within a range, empty means not set
+   */
+  validateNumber(value, label, min, max) {
+    if (value === undefined || value === null || value === '') {
+      return null;
+    }
+
+    const number = Number(value);
+    if (!Number.isInteger(number) || number < min || number > max) {
+      throw new Error(`${label} must be a whole number between ${min} and ${max}`);
+    }
+    return number;
+  }
+
+  validatePath(value, label) {
+    const text = String(value || '').trim();
+    if (text.includes('"')) {
+      throw new Error(`${label} cannot contain quotes`);
+    }
+    return text;
+  }
+
+  /**
+   * Split extra parameters on spaces, keeping "quoted values" together
+   */
+  parseExtras(text) {
+    const args = [];
+    const pattern = /(?:[^\s"]+|"[^"]*")+/g;
+    let match;
+    while ((match = pattern.exec(text || '')) !== null) {
+      args.push(match[0].replace(/"/g, ''));
+    }
+    return args;
+  }
+
+  /**
+   * Build server arguments from a launch profile
+   * Passed parameters (e.g. the mod list) are added unless the profile already sets them,
+   * a passed -serverMod= list is merged with the profile's server mods
+   */
+  buildArgs(profile, options = {}) {
+    const args = [`-config=${profile.configFile || 'serverDZ.cfg'}`];
+
+    const port = profile.port || options.gamePort;
+    if (port) {
+      args.push(`-port=${port}`);
+    }
+    args.push(`-profiles=${options.profileName || 'default'}`);
+
+    if (profile.cpuCount) {
+      args.push(`-cpuCount=${profile.cpuCount}`);
+    }
+    if (profile.limitFPS) {
+      args.push(`-limitFPS=${profile.limitFPS}`);
+    }
+    if (profile.freezeCheck) {
+      args.push('-freezecheck');
+    }
+    if (profile.filePatching) {
+      args.push('-filePatching');
+    }
+    if (profile.bePath) {
+      args.push(`-BEpath=${profile.bePath}`);
+    }
+    if (profile.storagePath) {
+      args.push(`-storage=${profile.storagePath}`);
+    }
+    // Server-only mods from the mod list load first, then the profile's own server mods
+    const keyOf = (arg) => arg.split('=')[0].toLowerCase();
+    const serverModParam = (options.parameters || []).find(param => keyOf(param) === '-servermod');
+    const serverMods = [
+      ...(serverModParam ? serverModParam.slice(serverModParam.indexOf('=') + 1).split(';') : []),
+      ...(profile.serverMods || [])
+    ].filter((mod, index, all) => mod && all.indexOf(mod) === index);
+    if (serverMods.length > 0) {
+      args.push(`-serverMod=${serverMods.join(';')}`);
+    }
+    if (profile.doLogs) {
+      args.push('-dologs');
+    }
+    if (profile.adminLog) {
+      args.push('-adminlog');
+    }
+    if (profile.netLog) {
+      args.push('-netlog');
+    }
+
+    const setKeys = new Set([...args.map(keyOf), '-servermod']);
+    for (const param of options.parameters || []) {
+      if (!setKeys.has(keyOf(param))) {
+        args.push(param);
+      }
+    }
+
+    return [...args, ...this.parseExtras(profile.extras)];
+  }
+
+  /**
+   * Build the arguments an instance starts with, using its selected launch profile
+   */
+  buildLaunchArgs(instanceId = null, profileName = 'default', parameters = []) {
+    return this.buildArgs(this.getActiveProfile(instanceId), {
+      profileName,
+      gamePort: config.getInstanceValue('gamePort', instanceId),
+      parameters
+    });
+  }
+
+  /**
+   * Quote an argument containing spaces the way it is passed to the server
+   */
+  quoteArg(arg) {
+    return /\s/.test(arg) ? `"${arg}"` : arg;
+  }
+
+  /**
+   * Format the full command line for display
+   */
+  formatCommandLine(executable, args) {
+    return [executable, ...args].map(arg => this.quoteArg(arg)).join(' ');
+  }
+}
+
+module.exports = new LaunchProfiles();
@@ -0,0 +1,202 @@
+const fs = require('fs-extra');
+const fsPromises = require('fs').promises;
+const path = require('path');
+const configEditor = require('./configEditor');
+const launchPlanner = require('./launchPlanner');
+const launchProfiles = require('./launchProfiles');
+const portAllocator = require('./portAllocator');
+const workshopManager = require('./workshopManager');
+
+// Free space below these is an error (the server cannot write logs and storage) or a warning
+const MIN_FREE_DISK_MB = 1024;
+const LOW_FREE_DISK_MB = 5120;
+
+/**
+ * Pre-launch checks for a server instance
+ * Each check adds results with a level: 'ok', 'warning' or 'error'
+ * Errors block a start unless the user overrides them
+ */
+class LaunchValidator {
+  /**
+   * Run all checks for an instance
+   * options.serverPath, options.profileName and options.parameters are passed to the launch planner,
+   * options.plan reuses a plan already made and options.skipPorts leaves out the port check
+   * (used while the server itself still holds the ports before a restart)
+   */
+  async validate(instanceId = null, options = {}) {
+    const plan = options.plan || await launchPlanner.plan(instanceId, options);
+    const checks = [];
+    const add = (check, level, message) => checks.push({ check, level, message });
+
+    const executableFound = await this.checkExecutable(plan, add);
+    if (executableFound) {
+      const serverConfig = await this.checkServerConfig(plan, add);
+      if (serverConfig) {
+        await this.checkMission(plan, serverConfig, add);
+      }
+      await this.checkMods(plan, serverConfig, add);
+      await this.checkDiskSpace(plan, add);
+    }
+
+    let portConflicts = [];
+    if (!options.skipPorts) {
+      portConflicts = await this.checkPorts(plan, add);
+    }
+
+    return {
+      instanceId: plan.instanceId,
+      checkedAt: new Date().toISOString(),
+      commandLine: launchProfiles.formatCommandLine(plan.executable, plan.args),
+      checks,
+      errors: checks.filter(c => c.level === 'error'),
+      warnings: checks.filter(c => c.level === 'warning'),
+      portConflicts
+    };
+  }
+
+  async checkExecutable(plan, add) {
+    if (!plan.serverPath || !await fs.pathExists(plan.serverPath)) {
+      add('executable', 'error', `Server path does not exist: ${plan.serverPath || 'not set'}`);
+      return false;
+    }
+    if (!await fs.pathExists(plan.executable)) {
+      add('executable', 'error', `Server executable not found: ${plan.executable}`);
+      return false;
+    }
+    add('executable', 'ok', `Server executable found: ${plan.executable}`);
+    return true;
+  }
+
+  /**
+   * Parse the server config the instance launches with (-config=)
+   */
+  async checkServerConfig(plan, add) {
+    const configPath = portAllocator.getServerConfigPath(plan.serverPath, plan.args);
+    if (!await fs.pathExists(configPath)) {
+      add('config', 'error', `Server config not found: ${configPath}`);
+      return null;
+    }
+
+    try {
+      const serverConfig = configEditor.parseServerConfig(await fs.readFile(configPath, 'utf-8'));
+      add('config', 'ok', `${path.basename(configPath)} parsed`);
+      return serverConfig;
+    } catch (error) {
+      add('config', 'error', `${path.basename(configPath)} does not parse: ${error.message}`);
+      return null;
+    }
+  }
+
+  /**
+   * The mission named in class Missions { class <name> { template=...; }; }; must be in mpmissions
+   */
+  async checkMission(plan, serverConfig, add) {
+    const missions = this.getValue(serverConfig, 'Missions');
+    const missionClass = missions && typeof missions === 'object'
+      ? Object.values(missions).find(value => value && typeof value === 'object' && !Array.isArray(value))
+      : null;
+    const template = missionClass ? this.getValue(missionClass, 'template') : null;
+
+    if (!template) {
+      add('mission', 'error', 'No mission template set in class Missions');
+      return;
+    }
+
+    const missionPath = path.join(plan.serverPath, 'mpmissions', String(template));
+    if (!await fs.pathExists(missionPath)) {
+      add('mission', 'error', `Mission "${template}" not found in mpmissions`);
+      return;
+    }
+    add('mission', 'ok', `Mission "${template}" found`);
+  }
+
+  /**
+   * Every mod folder must exist, and client mods need their .bikey in keys
+   * unless signature checks are off (verifySignatures = 0)
+   */
+  async checkMods(plan, serverConfig, add) {
+    const keysPath = path.join(plan.serverPath, 'keys');
+    const verifySignatures = serverConfig ? this.getValue(serverConfig, 'verifySignatures') : null;
+    const checkKeys = verifySignatures !== 0;
+
+    for (const mod of plan.mods) {
+      const label = `Mod "${mod.name}" (${mod.workshopId})`;
+      if (mod.status === 'unresolved') {
+        add('mods', 'error', `${label} is not downloaded`);
+        continue;
+      }
+      if (mod.status === 'missing') {
+        add('mods', 'error', `${label}: folder ${mod.folder} not found`);
+        continue;
+      }
+      if (mod.serverOnly || !checkKeys) {
+        add('mods', 'ok', `${label}: ${mod.folder} found`);
+        continue;
+      }
+
+      const keyNames = (await workshopManager.findModKeys(path.join(plan.serverPath, mod.folder)))
+        .map(keyFile => path.basename(keyFile));
+      if (keyNames.length === 0) {
+        add('mods', 'warning', `${label}: ${mod.folder} has no .bikey file`);
+        continue;
+      }
+
+      const missingKeys = [];
+      for (const keyName of keyNames) {
+        if (!await fs.pathExists(path.join(keysPath, keyName))) {
+          missingKeys.push(keyName);
+        }
+      }
+      if (missingKeys.length > 0) {
+        add('mods', 'error', `${label}: ${missingKeys.join(', ')} missing from keys`);
+      } else {
+        add('mods', 'ok', `${label}: ${mod.folder} and its keys found`);
+      }
+    }
+  }
+
+  async checkPorts(plan, add) {
+    const result = await portAllocator.checkPorts(plan.instanceId, { serverPath: plan.serverPath, parameters: plan.args });
+    for (const conflict of result.conflicts) {
+      add('ports', 'error', `Port ${conflict.port} (${conflict.purpose}) is used by ${conflict.owner}`);
+    }
+    for (const warning of result.warnings) {
+      add('ports', 'warning', `Port ${warning.port} (${warning.purpose}) is also set for ${warning.owner}`);
+    }
+    if (result.conflicts.length === 0) {
+      add('ports', 'ok', `Ports free: ${result.ports.map(p => p.port).join(', ')}`);
+    }
+    return result.conflicts;
+  }
+
+  async checkDiskSpace(plan, add) {
+    if (!fsPromises.statfs) {
+      add('disk', 'warning', 'Free disk space cannot be checked on this platform');
+      return;
+    }
+
+    try {
+      const stats = await fsPromises.statfs(plan.serverPath);
+      const freeMB = Math.floor((stats.bavail * stats.bsize) / 1024 / 1024);
+      if (freeMB < MIN_FREE_DISK_MB) {
+        add('disk', 'error', `Only ${freeMB} MB free on the server drive`);
+      } else if (freeMB < LOW_FREE_DISK_MB) {
+        add('disk', 'warning', `Low disk space: ${freeMB} MB free on the server drive`);
+      } else {
+        add('disk', 'ok', `${Math.round(freeMB / 1024)} GB free on the server drive`);
+      }
+    } catch (error) {
+      add('disk', 'warning', `Could not check free disk space: ${error.message}`);
+    }
+  }
+
+  /**
+   * Config keys are case-insensitive
+   */
+  getValue(object, key) {
+    const match = Object.keys(object).find(name => name.toLowerCase() === key.toLowerCase());
+    return match !== undefined ? object[match] : undefined;
+  }
+}
+
+module.exports = new LaunchValidator();
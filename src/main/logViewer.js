@@ -93,6 +93,43 @@ class LogViewer {
     }
   }
 
+  /**
+   * Find the newest .RPT script log for a profile
+   * DayZ writes RPT files to the -profiles folder itself, not its logs subfolder
+   */
+  async findLatestRPT(serverPath, profileName = 'default') {
+    const candidates = [
+      path.join(serverPath, 'profiles', profileName),
+      path.join(serverPath, 'profiles', profileName, 'logs'),
+      path.join(serverPath, profileName)
+    ];
+
+    let latest = null;
+    for (const dir of candidates) {
+      if (!await fs.pathExists(dir)) {
+        continue;
+      }
+
+      for (const entry of await fs.readdir(dir)) {
+        if (!entry.toLowerCase().endsWith('.rpt')) {
+          continue;
+        }
+
+        const entryPath = path.join(dir, entry);
+        try {
+          const stats = await fs.stat(entryPath);
+          if (stats.isFile() && (!latest || stats.mtime > latest.modified)) {
+            latest = { path: entryPath, modified: stats.mtime };
+          }
+        } catch (error) {
+          console.warn(`Error reading log file ${entry}:`, error);
+        }
+      }
+    }
+
+    return latest ? latest.path : null;
+  }
+
   /**
    * Read last N lines from log file
    */
@@ -15,15 +15,30 @@ const path = require('path');
 const config = require('./config');
 const steamcmd = require('./steamcmd');
 const serverManager = require('./serverManager');
-const serverControl = require('./serverControl');
 const workshopManager = require('./workshopManager');
 const configEditor = require('./configEditor');
 const logViewer = require('./logViewer');
 const modQueue = require('./modQueue');
-const rconManager = require('./rconManager');
+const banManager = require('./banManager');
+const banFileEditor = require('./banFileEditor');
+const battlEyeConfig = require('./battlEyeConfig');
+const messageScheduler = require('./messageScheduler');
+const restartWarnings = require('./restartWarnings');
+const serverWatchdog = require('./serverWatchdog');
+const autoUpdater = require('./autoUpdater');
+const hangDetector = require('./hangDetector');
+const instanceManager = require('./instanceManager');
+const portAllocator = require('./portAllocator');
+const launchProfiles = require('./launchProfiles');
+const launchPlanner = require('./launchPlanner');
+const launchValidator = require('./launchValidator');
 
 let mainWindow;
 
+// The renderer always works on the instance selected in the instance switcher
+const activeControl = () => instanceManager.getActiveRuntime().serverControl;
+const activeRcon = () => instanceManager.getActiveRuntime().rconManager;
+
 /**
  * Create the main application window
  */
@@ -60,14 +75,6 @@ function createWindow() {
   mainWindow.on('closed', () => {
     mainWindow = null;
   });
-
-  // Cleanup on close
-  app.on('before-quit', async () => {
-    logViewer.stopAllTailing();
-    if (serverControl.isRunning) {
-      await serverControl.stopServer();
-    }
-  });
 }
 
 /**
@@ -82,6 +89,9 @@ function sendProgress(channel, data) {
 // App event handlers
 app.whenReady().then(async () => {
   await config.load();
+  await instanceManager.init();
+  await serverWatchdog.init();
+  await autoUpdater.init();
   createWindow();
 
   app.on('activate', () => {
@@ -91,6 +101,23 @@ app.whenReady().then(async () => {
   });
 });
 
+// Running servers are left alone on quit so the next start re-attaches to them,
+// unless the user wants them stopped with the app
+let serversStopped = false;
+app.on('before-quit', (event) => {
+  logViewer.stopAllTailing();
+
+  const preferences = config.get('preferences') || {};
+  if (serversStopped || !preferences.stopServersOnQuit || instanceManager.getRunningPids().length === 0) {
+    return;
+  }
+
+  // Hold the quit until every server has saved and shut down
+  event.preventDefault();
+  serversStopped = true;
+  instanceManager.stopAll().finally(() => app.quit());
+});
+
 app.on('window-all-closed', () => {
   if (process.platform !== 'darwin') {
     app.quit();
@@ -140,6 +167,15 @@ ipcMain.handle('config:set-mod-load-order', async (event, workshopId, loadOrder)
   }
 });
 
+ipcMain.handle('config:set-mod-server-only', async (event, workshopId, serverOnly) => {
+  try {
+    const result = await workshopManager.setServerOnly(workshopId, serverOnly, config.getServerPath());
+    return { success: true, ...result };
+  } catch (error) {
+    return { success: false, error: error.message };
+  }
+});
+
 ipcMain.handle('config:reorder-mods', async (event, modOrderArray) => {
   try {
     await config.reorderMods(modOrderArray);
@@ -171,6 +207,143 @@ ipcMain.handle('config:select-server-path', async () => {
   return null;
 });
 
+// IPC Handlers - Server Instances
+instanceManager.on('active-changed', (instanceId) => {
+  sendProgress('instances:active-changed', instanceId);
+});
+
+ipcMain.handle('instances:list', async () => {
+  return instanceManager.listInstances();
+});
+
+ipcMain.handle('instances:add', async (event, data) => {
+  try {
+    const instance = await instanceManager.addInstance(data);
+    return { success: true, instance };
+  } catch (error) {
+    return { success: false, error: error.message };
+  }
+});
+
+ipcMain.handle('instances:update', async (event, id, data) => {
+  try {
+    const instance = await instanceManager.updateInstance(id, data);
+    return { success: true, instance };
+  } catch (error) {
+    return { success: false, error: error.message };
+  }
+});
+
+ipcMain.handle('instances:remove', async (event, id) => {
+  try {
+    await instanceManager.removeInstance(id);
+    return { success: true };
+  } catch (error) {
+    return { success: false, error: error.message };
+  }
+});
+
+ipcMain.handle('instances:set-active', async (event, id) => {
+  try {
+    await instanceManager.setActiveInstance(id);
+    return { success: true };
+  } catch (error) {
+    return { success: false, error: error.message };
+  }
+});
+
+ipcMain.handle('instances:select-path', async () => {
+  const result = await dialog.showOpenDialog(mainWindow, {
+    properties: ['openDirectory'],
+    title: 'Select DayZ Server Installation Directory'
+  });
+
+  if (!result.canceled && result.filePaths.length > 0) {
+    return result.filePaths[0];
+  }
+  return null;
+});
+
+// IPC Handlers - Ports
+ipcMain.handle('ports:check', async (event, instanceId, serverPath, parameters) => {
+  try {
+    const result = await portAllocator.checkPorts(instanceId, { serverPath, parameters });
+    return { success: true, ...result };
+  } catch (error) {
+    return { success: false, error: error.message };
+  }
+});
+
+ipcMain.handle('ports:suggest', async (event, instanceId) => {
+  try {
+    const ports = await portAllocator.suggestPorts(instanceId);
+    return { success: true, ports };
+  } catch (error) {
+    return { success: false, error: error.message };
+  }
+});
+
+ipcMain.handle('ports:apply', async (event, instanceId, ports) => {
+  try {
+    const result = await portAllocator.applyPorts(instanceId, ports);
+    return { success: true, ...result };
+  } catch (error) {
+    return { success: false, error: error.message };
+  }
+});
+
+// IPC Handlers - Launch Profiles
+ipcMain.handle('launch-profiles:list', async () => {
+  return {
+    success: true,
+    profiles: launchProfiles.getProfiles(),
+    activeId: launchProfiles.getActiveProfile().id
+  };
+});
+
+ipcMain.handle('launch-profiles:save', async (event, data) => {
+  try {
+    const profile = await launchProfiles.saveProfile(data);
+    return { success: true, profile };
+  } catch (error) {
+    return { success: false, error: error.message };
+  }
+});
+
+ipcMain.handle('launch-profiles:remove', async (event, id) => {
+  try {
+    await launchProfiles.removeProfile(id);
+    return { success: true };
+  } catch (error) {
+    return { success: false, error: error.message };
+  }
+});
+
+ipcMain.handle('launch-profiles:set-active', async (event, id) => {
+  try {
+    await launchProfiles.setActiveProfile(id);
+    return { success: true };
+  } catch (error) {
+    return { success: false, error: error.message };
+  }
+});
+
+ipcMain.handle('launch-profiles:preview', async (event, data, profileName) => {
+  try {
+    // Preview unsaved edits, so the name is not checked against the saved profiles
+    const profile = launchProfiles.validate(data);
+    const plan = await launchPlanner.plan(null, { profileName, profile });
+    return {
+      success: true,
+      args: plan.args,
+      commandLine: launchProfiles.formatCommandLine(plan.executable, plan.args),
+      warnings: plan.warnings
+    };
+  } catch (error) {
+    return { success: false, error: error.message };
+  }
+});
+
 ipcMain.handle('workshop:select-folder', async () => {
   const result = await dialog.showOpenDialog(mainWindow, {
     properties: ['openDirectory'],
@@ -408,6 +581,15 @@ ipcMain.handle('workshop:update-all', async (event, modsList, installPath) => {
   }
 });
 
+ipcMain.handle('workshop:check-updates', async (event, installPath, force) => {
+  try {
+    const updates = await workshopManager.checkModUpdates(config.getMods(), installPath || config.getServerPath(), force);
+    return { success: true, updates };
+  } catch (error) {
+    return { success: false, error: error.message };
+  }
+});
+
 ipcMain.handle('workshop:list-installed', async (event, installPath) => {
   return await workshopManager.listInstalledMods(installPath);
 });
@@ -618,10 +800,25 @@ ipcMain.handle('log:select-export-path', async () => {
 });
 
 // IPC Handlers - Server Control
-ipcMain.handle('server-control:start', async (event, serverPath, profileName, parameters) => {
+ipcMain.handle('server-control:start', async (event, serverPath, profileName, parameters, options) => {
   try {
-    const result = await serverControl.startServer(serverPath, profileName, parameters);
+    const result = await activeControl().startServer(serverPath, profileName, parameters, options);
     return { success: true, ...result };
+  } catch (error) {
+    return {
+      success: false,
+      error: error.message,
+      validation: error.validation || null,
+      portConflicts: error.portConflicts || null,
+      suggestedPorts: error.suggestedPorts || null
+    };
+  }
+});
+
+ipcMain.handle('server-control:validate', async (event, serverPath, profileName) => {
+  try {
+    const validation = await launchValidator.validate(null, { serverPath, profileName });
+    return { success: true, validation };
   } catch (error) {
     return { success: false, error: error.message };
   }
@@ -629,7 +826,7 @@ ipcMain.handle('server-control:start', async (event, serverPath, profileName, pa
 
 ipcMain.handle('server-control:stop', async () => {
   try {
-    const result = await serverControl.stopServer();
+    const result = await activeControl().stopServer();
     return { success: true, ...result };
   } catch (error) {
     return { success: false, error: error.message };
@@ -638,66 +835,269 @@ ipcMain.handle('server-control:stop', async () => {
 
 ipcMain.handle('server-control:restart', async (event, serverPath, profileName, parameters, countdown) => {
   try {
-    const result = await serverControl.restartServer(serverPath, profileName, parameters, countdown);
+    const result = await activeControl().restartServer(serverPath, profileName, parameters, countdown);
     return { success: true, ...result };
   } catch (error) {
-    return { success: false, error: error.message };
+    return { success: false, error: error.message, validation: error.validation || null };
   }
 });
 
 ipcMain.handle('server-control:get-status', async () => {
-  return serverControl.getServerStatus();
+  return activeControl().getServerStatus();
+});
+
+ipcMain.handle('server-control:get-orphans', async () => {
+  try {
+    const orphans = await activeControl().findOrphanedServers(instanceManager.getRunningPids());
+    return { success: true, orphans };
+  } catch (error) {
+    return { success: false, error: error.message };
+  }
 });
 
 ipcMain.handle('server-control:get-stats', async () => {
-  return await serverControl.getProcessStats();
+  return await activeControl().getProcessStats();
 });
 
 ipcMain.handle('server-control:get-player-count', async (event, serverPath, profileName) => {
-  return await serverControl.getPlayerCount(serverPath, profileName);
+  return await activeControl().getPlayerCount(serverPath, profileName);
 });
 
-ipcMain.handle('server-control:schedule-restart', async (event, time, serverPath, profileName, parameters) => {
-  return serverControl.scheduleRestart(time, serverPath, profileName, parameters);
+ipcMain.handle('server-control:schedule-restart', async (event, rule, serverPath, profileName, parameters) => {
+  try {
+    const schedule = await activeControl().scheduleRestart(rule, serverPath, profileName, parameters);
+    return { success: true, schedule };
+  } catch (error) {
+    return { success: false, error: error.message };
+  }
 });
 
 ipcMain.handle('server-control:cancel-scheduled-restart', async (event, id) => {
-  serverControl.cancelScheduledRestart(id);
+  await activeControl().cancelScheduledRestart(id);
   return { success: true };
 });
 
+ipcMain.handle('restart-warnings:get', async () => {
+  return restartWarnings.getSettings();
+});
+
+ipcMain.handle('restart-warnings:set', async (event, settings) => {
+  try {
+    const result = await restartWarnings.setSettings(settings);
+    return { success: true, settings: result };
+  } catch (error) {
+    return { success: false, error: error.message };
+  }
+});
+
 ipcMain.handle('server-control:get-scheduled-restarts', async () => {
-  return serverControl.getScheduledRestarts();
+  return activeControl().getScheduledRestarts();
+});
+
+// IPC Handlers - Crash Watchdog
+serverWatchdog.on('crash', (crash) => {
+  sendProgress('watchdog:crash', crash);
+});
+
+serverWatchdog.on('restart', (crash) => {
+  sendProgress('watchdog:crash', crash);
+});
+
+ipcMain.handle('watchdog:get-settings', async () => {
+  return serverWatchdog.getSettings();
+});
+
+ipcMain.handle('watchdog:set-settings', async (event, settings) => {
+  try {
+    const result = await serverWatchdog.setSettings(settings);
+    return { success: true, settings: result };
+  } catch (error) {
+    return { success: false, error: error.message };
+  }
+});
+
+ipcMain.handle('watchdog:get-crashes', async () => {
+  return serverWatchdog.getCrashes(config.getActiveInstanceId());
+});
+
+ipcMain.handle('watchdog:clear-crashes', async () => {
+  await serverWatchdog.clearCrashes(config.getActiveInstanceId());
+  return { success: true };
+});
+
+ipcMain.handle('watchdog:cancel-restart', async () => {
+  const cancelled = serverWatchdog.cancelPendingRestart(config.getActiveInstanceId());
+  return { success: true, cancelled };
+});
+
+// IPC Handlers - Automatic Updates
+autoUpdater.on('log', (entry) => {
+  if (instanceManager.isActive(entry.instanceId)) {
+    sendProgress('auto-update:log', entry);
+  }
+});
+
+ipcMain.handle('auto-update:get-settings', async () => {
+  return autoUpdater.getSettings();
+});
+
+ipcMain.handle('auto-update:set-settings', async (event, settings) => {
+  try {
+    const result = await autoUpdater.setSettings(settings);
+    return { success: true, settings: result };
+  } catch (error) {
+    return { success: false, error: error.message };
+  }
+});
+
+ipcMain.handle('auto-update:get-status', async () => {
+  const instanceId = config.getActiveInstanceId();
+  return { status: autoUpdater.getStatus(instanceId), log: autoUpdater.getLog(instanceId) };
+});
+
+ipcMain.handle('auto-update:check-now', async () => {
+  try {
+    const result = await autoUpdater.checkNow(instanceManager.getActiveRuntime());
+    return { success: true, ...result };
+  } catch (error) {
+    return { success: false, error: error.message };
+  }
+});
+
+ipcMain.handle('auto-update:cancel', async () => {
+  const cancelled = await autoUpdater.cancel(instanceManager.getActiveRuntime());
+  return { success: true, cancelled };
+});
+
+ipcMain.handle('auto-update:clear-log', async () => {
+  await autoUpdater.clearLog(config.getActiveInstanceId());
+  return { success: true };
+});
+
+// IPC Handlers - Hang Detection
+hangDetector.on('hung', (hangEvent) => {
+  sendProgress('health:hung', hangEvent);
+});
+
+ipcMain.handle('health:get-status', async () => {
+  return hangDetector.getStatus(config.getActiveInstanceId());
+});
+
+ipcMain.handle('health:get-settings', async () => {
+  return hangDetector.getSettings();
+});
+
+ipcMain.handle('health:set-settings', async (event, settings) => {
+  try {
+    const result = await hangDetector.setSettings(settings);
+    return { success: true, settings: result };
+  } catch (error) {
+    return { success: false, error: error.message };
+  }
+});
+
+// IPC Handlers - Server Console
+instanceManager.on('console-lines', (instanceId, lines) => {
+  if (instanceManager.isActive(instanceId)) {
+    sendProgress('console:lines', lines);
+  }
+});
+
+ipcMain.handle('console:get-lines', async (event, search) => {
+  try {
+    const { serverConsole } = instanceManager.getActiveRuntime();
+    return { success: true, lines: serverConsole.getLines(search), logPath: serverConsole.getLogPath() };
+  } catch (error) {
+    return { success: false, error: error.message };
+  }
 });
 
-// Start monitoring interval for server stats
-setInterval(async () => {
+ipcMain.handle('console:clear', async () => {
+  instanceManager.getActiveRuntime().serverConsole.clear();
+  return { success: true };
+});
+
+/**
+ * One monitoring pass for an instance: stats, health probes, scheduled restarts and messages, updates
+ */
+async function monitorInstance(runtime) {
+  const { serverControl } = runtime;
+
   if (serverControl.isRunning) {
     const stats = await serverControl.getProcessStats();
     const status = serverControl.getServerStatus();
-    const serverPath = await config.getServerPath();
-    
-    if (serverPath) {
-      const profiles = await serverManager.listProfiles(serverPath);
-      const profileName = profiles[0] || 'default';
+    const { serverPath, profileName } = serverControl.launchInfo;
+
+    // Only the selected instance is shown in the server panel
+    if (instanceManager.isActive(runtime.id)) {
       const playerCount = await serverControl.getPlayerCount(serverPath, profileName);
-      
+
       sendProgress('server-control:stats-update', {
         stats,
         status,
-        playerCount
+        playerCount,
+        health: hangDetector.getStatus(runtime.id)
       });
     }
+
+    // Probe for a frozen server process
+    try {
+      await hangDetector.check(runtime, stats);
+    } catch (error) {
+      console.error('Error running health probes:', error);
+    }
   }
-  
+
   // Check scheduled restarts
-  await serverControl.checkScheduledRestarts();
+  try {
+    await serverControl.checkScheduledRestarts();
+  } catch (error) {
+    console.error('Error checking scheduled restarts:', error);
+  }
+
+  // Send scheduled RCON messages
+  try {
+    await messageScheduler.checkScheduledMessages(runtime);
+  } catch (error) {
+    console.error('Error sending scheduled messages:', error);
+  }
+
+  // Check for mod and server updates, or continue an update countdown
+  try {
+    await autoUpdater.check(runtime);
+  } catch (error) {
+    console.error('Error running automatic updates:', error);
+  }
+}
+
+// Instances whose monitoring pass is still running, e.g. through a scheduled restart,
+// are skipped until it finishes so passes never overlap and other instances keep their pace
+const monitoringInProgress = new Set();
+
+// Start monitoring interval for server stats, covering every instance
+setInterval(() => {
+  for (const runtime of instanceManager.getRuntimes()) {
+    if (monitoringInProgress.has(runtime.id)) {
+      continue;
+    }
+
+    monitoringInProgress.add(runtime.id);
+    monitorInstance(runtime)
+      .catch(error => console.error(`Error monitoring instance ${runtime.id}:`, error))
+      .finally(() => monitoringInProgress.delete(runtime.id));
+  }
+
+  try {
+    sendProgress('instances:status', instanceManager.listInstances());
+  } catch (error) {
+    console.error('Error sending instance status:', error);
+  }
 }, 2000);
 
 // IPC Handlers - RCON
 ipcMain.handle('rcon:connect', async (event, host, port, password) => {
   try {
-    const result = await rconManager.connect(host, port, password);
+    const result = await activeRcon().connect(host, port, password);
     return { success: true, ...result };
   } catch (error) {
     return { success: false, error: error.message };
@@ -706,7 +1106,7 @@ ipcMain.handle('rcon:connect', async (event, host, port, password) => {
 
 ipcMain.handle('rcon:disconnect', async () => {
   try {
-    rconManager.disconnect();
+    activeRcon().disconnect();
     return { success: true };
   } catch (error) {
     return { success: false, error: error.message };
@@ -715,7 +1115,7 @@ ipcMain.handle('rcon:disconnect', async () => {
 
 ipcMain.handle('rcon:send-command', async (event, command) => {
   try {
-    const response = await rconManager.sendCommand(command);
+    const response = await activeRcon().sendCommand(command);
     return { success: true, response };
   } catch (error) {
     return { success: false, error: error.message };
@@ -724,7 +1124,7 @@ ipcMain.handle('rcon:send-command', async (event, command) => {
 
 ipcMain.handle('rcon:get-players', async () => {
   try {
-    const players = await rconManager.getPlayers();
+    const players = await activeRcon().getPlayers();
     return { success: true, players };
   } catch (error) {
     return { success: false, error: error.message, players: [] };
@@ -732,21 +1132,44 @@ ipcMain.handle('rcon:get-players', async () => {
 });
 
 ipcMain.handle('rcon:get-status', async () => {
-  return rconManager.getStatus();
+  return activeRcon().getStatus();
+});
+
+// Forward RCON connection state changes of the selected instance to the renderer
+instanceManager.on('rcon-state-changed', (instanceId, status) => {
+  if (instanceManager.isActive(instanceId)) {
+    mainWindow?.webContents.send('rcon:state-changed', status);
+  }
+});
+
+// Forward parsed server messages of the selected instance to the renderer
+instanceManager.on('rcon-event', (instanceId, rconEvent) => {
+  if (instanceManager.isActive(instanceId)) {
+    mainWindow?.webContents.send('rcon:event', rconEvent);
+  }
+});
+
+ipcMain.handle('rcon:get-events', async (event, types) => {
+  return instanceManager.getActiveRuntime().rconEvents.getHistory(types);
+});
+
+ipcMain.handle('rcon:clear-events', async () => {
+  instanceManager.getActiveRuntime().rconEvents.clear();
+  return { success: true };
 });
 
-ipcMain.handle('rcon:kick', async (event, playerName) => {
+ipcMain.handle('rcon:kick', async (event, slot, reason) => {
   try {
-    const response = await rconManager.kickPlayer(playerName);
+    const response = await activeRcon().kickPlayer(slot, reason);
     return { success: true, response };
   } catch (error) {
     return { success: false, error: error.message };
   }
 });
 
-ipcMain.handle('rcon:ban', async (event, playerName) => {
+ipcMain.handle('rcon:ban', async (event, slot, minutes, reason) => {
   try {
-    const response = await rconManager.banPlayer(playerName);
+    const response = await activeRcon().banPlayer(slot, minutes, reason);
     return { success: true, response };
   } catch (error) {
     return { success: false, error: error.message };
@@ -755,7 +1178,7 @@ ipcMain.handle('rcon:ban', async (event, playerName) => {
 
 ipcMain.handle('rcon:say', async (event, message) => {
   try {
-    const response = await rconManager.sayMessage(message);
+    const response = await activeRcon().sayMessage(message);
     return { success: true, response };
   } catch (error) {
     return { success: false, error: error.message };
@@ -764,7 +1187,7 @@ ipcMain.handle('rcon:say', async (event, message) => {
 
 ipcMain.handle('rcon:shutdown', async () => {
   try {
-    const response = await rconManager.shutdown();
+    const response = await activeRcon().shutdown();
     return { success: true, response };
   } catch (error) {
     return { success: false, error: error.message };
@@ -773,13 +1196,96 @@ ipcMain.handle('rcon:shutdown', async () => {
 
 ipcMain.handle('rcon:restart', async () => {
   try {
-    const response = await rconManager.restart();
+    const response = await activeRcon().restart();
+    return { success: true, response };
+  } catch (error) {
+    return { success: false, error: error.message };
+  }
+});
+
+// IPC Handlers - Bans (RCON)
+ipcMain.handle('rcon:get-bans', async () => {
+  try {
+    const bans = await banManager.getBans();
+    return { success: true, bans };
+  } catch (error) {
+    return { success: false, error: error.message, bans: [] };
+  }
+});
+
+ipcMain.handle('rcon:add-ban', async (event, target, minutes, reason) => {
+  try {
+    const response = await banManager.addBan(target, minutes, reason);
+    return { success: true, response };
+  } catch (error) {
+    return { success: false, error: error.message };
+  }
+});
+
+ipcMain.handle('rcon:update-ban', async (event, index, target, minutes, reason) => {
+  try {
+    const response = await banManager.updateBan(index, target, minutes, reason);
+    return { success: true, response };
+  } catch (error) {
+    return { success: false, error: error.message };
+  }
+});
+
+ipcMain.handle('rcon:remove-ban', async (event, index) => {
+  try {
+    const response = await banManager.removeBan(index);
     return { success: true, response };
   } catch (error) {
     return { success: false, error: error.message };
   }
 });
 
+ipcMain.handle('rcon:write-bans', async () => {
+  try {
+    const response = await banManager.writeBans();
+    return { success: true, response };
+  } catch (error) {
+    return { success: false, error: error.message };
+  }
+});
+
+// IPC Handlers - Bans (bans.txt, works without RCON)
+ipcMain.handle('bans-file:read', async (event, serverPath, profileName) => {
+  try {
+    const result = await banFileEditor.readBans(serverPath, profileName);
+    return { success: true, ...result };
+  } catch (error) {
+    return { success: false, error: error.message, bans: [] };
+  }
+});
+
+ipcMain.handle('bans-file:add', async (event, serverPath, profileName, target, minutes, reason) => {
+  try {
+    const result = await banFileEditor.addBan(serverPath, profileName, target, minutes, reason);
+    return { success: true, ...result };
+  } catch (error) {
+    return { success: false, error: error.message };
+  }
+});
+
+ipcMain.handle('bans-file:update', async (event, serverPath, profileName, index, target, minutes, reason) => {
+  try {
+    const result = await banFileEditor.updateBan(serverPath, profileName, index, target, minutes, reason);
+    return { success: true, ...result };
+  } catch (error) {
+    return { success: false, error: error.message };
+  }
+});
+
+ipcMain.handle('bans-file:remove', async (event, serverPath, profileName, index) => {
+  try {
+    const result = await banFileEditor.removeBan(serverPath, profileName, index);
+    return { success: true, ...result };
+  } catch (error) {
+    return { success: false, error: error.message };
+  }
+});
+
 ipcMain.handle('rcon:get-config', async () => {
   return config.getRCONConfig();
 });
@@ -793,6 +1299,81 @@ ipcMain.handle('rcon:set-config', async (event, host, port, password, enabled) =
   }
 });
 
+// IPC Handlers - Scheduled Messages
+ipcMain.handle('scheduled-messages:get', async () => {
+  return messageScheduler.getMessages();
+});
+
+ipcMain.handle('scheduled-messages:add', async (event, data) => {
+  try {
+    const message = await messageScheduler.addMessage(data);
+    return { success: true, message };
+  } catch (error) {
+    return { success: false, error: error.message };
+  }
+});
+
+ipcMain.handle('scheduled-messages:update', async (event, id, data) => {
+  try {
+    const message = await messageScheduler.updateMessage(id, data);
+    return { success: true, message };
+  } catch (error) {
+    return { success: false, error: error.message };
+  }
+});
+
+ipcMain.handle('scheduled-messages:set-enabled', async (event, id, enabled) => {
+  try {
+    const message = await messageScheduler.setEnabled(id, enabled);
+    return { success: true, message };
+  } catch (error) {
+    return { success: false, error: error.message };
+  }
+});
+
+ipcMain.handle('scheduled-messages:remove', async (event, id) => {
+  try {
+    await messageScheduler.removeMessage(id);
+    return { success: true };
+  } catch (error) {
+    return { success: false, error: error.message };
+  }
+});
+
+ipcMain.handle('scheduled-messages:send-now', async (event, id) => {
+  try {
+    const message = await messageScheduler.sendNow(id);
+    return { success: true, message };
+  } catch (error) {
+    return { success: false, error: error.message };
+  }
+});
+
+// IPC Handlers - BattlEye Config
+ipcMain.handle('battleye:read-config', async (event, serverPath, profileName) => {
+  try {
+    const result = await battlEyeConfig.readConfig(serverPath, profileName);
+    return { success: true, ...result };
+  } catch (error) {
+    return { success: false, error: error.message };
+  }
+});
+
+ipcMain.handle('battleye:write-config', async (event, serverPath, profileName, settings) => {
+  try {
+    // Sync the RCON settings of the instance running this server/profile, not the active one
+    const instance = config.findInstanceByServer(serverPath, profileName);
+    const result = await battlEyeConfig.writeConfig(serverPath, profileName, settings, instance ? instance.id : null);
+    return { success: true, ...result };
+  } catch (error) {
+    return { success: false, error: error.message };
+  }
+});
+
+ipcMain.handle('battleye:generate-password', async () => {
+  return battlEyeConfig.generatePassword();
+});
+
 // IPC Handlers - Modlist Export
 ipcMain.handle('modlist:select-export-path', async () => {
   const result = await dialog.showSaveDialog(mainWindow, {
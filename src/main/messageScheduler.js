@@ -0,0 +1,350 @@
+const config = require('./config');
+const instanceManager = require('./instanceManager');
+
+const CRON_FIELDS = [
+  { name: 'minute', min: 0, max: 59 },
+  { name: 'hour', min: 0, max: 23 },
+  { name: 'day of month', min: 1, max: 31 },
+  { name: 'month', min: 1, max: 12 },
+  { name: 'day of week', min: 0, max: 7 }
+];
+
+/**
+ * Parse one cron field ("*", "5", "1-5", "*\/15", "0,30", "10-50/10") into a Set of values
+ */
+function parseCronField(field, { name, min, max }) {
+  const values = new Set();
+
+  for (const part of field.split(',')) {
+    const match = part.match(/^(\*|(\d+)(?:-(\d+))?)(?:\/(\d+))?$/);
+    if (!match) {
+      throw new Error(`Invalid ${name} field: ${field}`);
+    }
+
+    let start = min;
+    let end = max;
+    if (match[1] !== '*') {
+      start = parseInt(match[2]);
+      end = match[3] !== undefined ? parseInt(match[3]) : (match[4] !== undefined ? max : start);
+    }
+    const step = match[4] !== undefined ? parseInt(match[4]) : 1;
+
+    if (start < min || end > max || start > end || step < 1) {
+      throw new Error(`Invalid ${name} field: ${field}`);
+    }
+
+    for (let value = start; value <= end; value += step) {
+      values.add(value);
+    }
+  }
+
+  return values;
+}
+
+/**
+ * Parse a 5 field cron expression: minute hour day-of-month month day-of-week
+ */
+function parseCron(expression) {
+  const fields = String(expression || '').trim().split(/\s+/);
+  if (fields.length !== 5) {
+    throw new Error('Cron expression needs 5 fields: minute hour day-of-month month day-of-week');
+  }
+
+  const [minutes, hours, days, months, weekdays] = fields.map((field, index) => parseCronField(field, CRON_FIELDS[index]));
+
+  // 7 is an alias for Sunday
+  if (weekdays.has(7)) {
+    weekdays.add(0);
+  }
+
+  return {
+    minutes,
+    hours,
+    days,
+    months,
+    weekdays,
+    anyDay: fields[2] === '*',
+    anyWeekday: fields[4] === '*'
+  };
+}
+
+/**
+ * Check whether a date falls on a minute matched by a parsed cron expression
+ */
+function cronMatches(cron, date) {
+  if (!cron.minutes.has(date.getMinutes()) || !cron.hours.has(date.getHours()) || !cron.months.has(date.getMonth() + 1)) {
+    return false;
+  }
+
+  // As in standard cron, a restricted day of month OR day of week matches
+  const dayMatch = cron.days.has(date.getDate());
+  const weekdayMatch = cron.weekdays.has(date.getDay());
+  if (cron.anyDay && cron.anyWeekday) return true;
+  if (cron.anyDay) return weekdayMatch;
+  if (cron.anyWeekday) return dayMatch;
+  return dayMatch || weekdayMatch;
+}
+
+/**
+ * Recurring in-game announcements broadcast over RCON
+ * Messages are stored per instance, the editing methods work on the active one
+ */
+class MessageScheduler {
+  constructor() {
+    // Instances whose messages are being checked
+    this.checking = new Set();
+  }
+
+  /**
+   * Get scheduled messages with their next run time
+   */
+  getMessages() {
+    return this.load().map(message => ({
+      ...message,
+      nextRun: this.getNextRun(message)
+    }));
+  }
+
+  /**
+   * Add a scheduled message
+   */
+  async addMessage(data) {
+    const messages = this.load();
+    const message = {
+      id: Date.now().toString(),
+      ...this.validate(data),
+      enabled: data.enabled !== false,
+      created: new Date().toISOString(),
+      lastSent: null,
+      lastError: null
+    };
+    message.enabledAt = message.created;
+
+    messages.push(message);
+    await this.save(messages);
+    return message;
+  }
+
+  /**
+   * Update a scheduled message's text or schedule
+   */
+  async updateMessage(id, data) {
+    const messages = this.load();
+    const message = this.find(messages, id);
+    Object.assign(message, this.validate({ ...message, ...data }));
+
+    if (data.enabled !== undefined) {
+      this.applyEnabled(message, data.enabled);
+    }
+
+    await this.save(messages);
+    return message;
+  }
+
+  /**
+   * Enable or disable a scheduled message
+   */
+  async setEnabled(id, enabled) {
+    const messages = this.load();
+    const message = this.find(messages, id);
+    this.applyEnabled(message, enabled);
+    await this.save(messages);
+    return message;
+  }
+
+  /**
+   * Remove a scheduled message
+   */
+  async removeMessage(id) {
+    const messages = this.load();
+    this.find(messages, id);
+    await this.save(messages.filter(m => m.id !== id));
+  }
+
+  /**
+   * Broadcast a scheduled message immediately
+   */
+  async sendNow(id) {
+    const messages = this.load();
+    const message = this.find(messages, id);
+    await this.send(message, instanceManager.getActiveRuntime().rconManager);
+    await this.saveResults([message]);
+    if (message.lastError) {
+      throw new Error(message.lastError);
+    }
+    return message;
+  }
+
+  /**
+   * Send an instance's messages that are due, called from the main monitoring loop
+   */
+  async checkScheduledMessages(runtime, now = new Date()) {
+    if (this.checking.has(runtime.id) || !runtime.rconManager.isConnected) {
+      return;
+    }
+
+    this.checking.add(runtime.id);
+    try {
+      const messages = this.load(runtime.id);
+      const due = messages.filter(message => message.enabled && this.isDue(message, now));
+      if (due.length === 0) {
+        return;
+      }
+
+      for (const message of due) {
+        await this.send(message, runtime.rconManager, now);
+      }
+      await this.saveResults(due, runtime.id);
+    } finally {
+      this.checking.delete(runtime.id);
+    }
+  }
+
+  /**
+   * Check whether a message should be sent now
+   */
+  isDue(message, now) {
+    if (message.type === 'cron') {
+      // Only send once per matching minute
+      const minute = Math.floor(now.getTime() / 60000);
+      if (message.lastSent && Math.floor(new Date(message.lastSent).getTime() / 60000) === minute) {
+        return false;
+      }
+      try {
+        return cronMatches(parseCron(message.cron), now);
+      } catch (error) {
+        return false;
+      }
+    }
+
+    const since = message.lastSent || message.enabledAt || message.created;
+    return now.getTime() - new Date(since).getTime() >= message.intervalMinutes * 60000;
+  }
+
+  /**
+   * Get the next time a message will be sent
+   */
+  getNextRun(message) {
+    if (!message.enabled) {
+      return null;
+    }
+
+    if (message.type === 'interval') {
+      const since = message.lastSent || message.enabledAt || message.created;
+      return new Date(new Date(since).getTime() + message.intervalMinutes * 60000).toISOString();
+    }
+
+    let cron;
+    try {
+      cron = parseCron(message.cron);
+    } catch (error) {
+      return null;
+    }
+
+    // Walk forward minute by minute, skipping whole hours that cannot match
+    const date = new Date();
+    date.setSeconds(0, 0);
+    date.setMinutes(date.getMinutes() + 1);
+    const limit = date.getTime() + 366 * 24 * 60 * 60000;
+
+    while (date.getTime() <= limit) {
+      if (!cron.hours.has(date.getHours())) {
+        date.setMinutes(0);
+        date.setHours(date.getHours() + 1);
+        continue;
+      }
+      if (cronMatches(cron, date)) {
+        return date.toISOString();
+      }
+      date.setMinutes(date.getMinutes() + 1);
+    }
+
+    return null;
+  }
+
+  /**
+   * Broadcast a message and record the result on it
+   */
+  async send(message, rconManager, now = new Date()) {
+    try {
+      await rconManager.sayMessage(message.message);
+      message.lastSent = now.toISOString();
+      message.lastError = null;
+    } catch (error) {
+      console.warn(`Failed to send scheduled message ${message.id}:`, error);
+      // Don't retry every loop tick, wait for the next scheduled time
+      message.lastSent = now.toISOString();
+      message.lastError = error.message;
+    }
+  }
+
+  /**
+   * Validate message text and schedule, returning the normalised fields
+   */
+  validate(data) {
+    const text = String(data.message || '').replace(/[\r\n]+/g, ' ').trim();
+    if (!text) {
+      throw new Error('Message text is required');
+    }
+
+    if (data.type === 'cron') {
+      const cron = String(data.cron || '').trim().replace(/\s+/g, ' ');
+      parseCron(cron);
+      return { message: text, type: 'cron', cron, intervalMinutes: null };
+    }
+
+    if (data.type !== 'interval') {
+      throw new Error(`Unknown schedule type: ${data.type}`);
+    }
+
+    const intervalMinutes = parseInt(data.intervalMinutes);
+    if (!Number.isInteger(intervalMinutes) || intervalMinutes < 1) {
+      throw new Error('Interval must be at least 1 minute');
+    }
+    return { message: text, type: 'interval', cron: null, intervalMinutes };
+  }
+
+  /**
+   * Set the enabled flag, restarting interval timing when re-enabled
+   */
+  applyEnabled(message, enabled) {
+    if (enabled && !message.enabled) {
+      message.enabledAt = new Date().toISOString();
+      message.lastSent = null;
+    }
+    message.enabled = Boolean(enabled);
+  }
+
+  /**
+   * Store send results without overwriting edits made while sending
+   */
+  async saveResults(sent, instanceId = null) {
+    const messages = this.load(instanceId);
+    for (const message of sent) {
+      const current = messages.find(m => m.id === message.id);
+      if (current) {
+        current.lastSent = message.lastSent;
+        current.lastError = message.lastError;
+      }
+    }
+    await this.save(messages, instanceId);
+  }
+
+  find(messages, id) {
+    const message = messages.find(m => m.id === id);
+    if (!message) {
+      throw new Error(`Scheduled message ${id} not found`);
+    }
+    return message;
+  }
+
+  load(instanceId = null) {
+    return config.getScheduledMessages(instanceId).map(message => ({ ...message }));
+  }
+
+  async save(messages, instanceId = null) {
+    return await config.setScheduledMessages(messages, instanceId);
+  }
+}
+
+module.exports = new MessageScheduler();
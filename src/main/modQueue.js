@@ -150,6 +150,26 @@ class ModQueue extends EventEmitter {
     this.serverPath = path;
   }
 
+  /**
+   * Add a downloaded mod to the mod list under its workshop name
+   */
+  async addModToConfig(workshopId) {
+    const workshopManager = require('./workshopManager');
+    const config = require('./config');
+
+    try {
+      const modDetails = await workshopManager.getModDetails(workshopId);
+      if (modDetails && modDetails.name) {
+        await config.addMod(workshopId, modDetails.name);
+      } else {
+        await config.addMod(workshopId, `Mod ${workshopId}`);
+      }
+    } catch (error) {
+      console.warn(`Could not get details for mod ${workshopId}:`, error);
+      await config.addMod(workshopId, `Mod ${workshopId}`);
+    }
+  }
+
   /**
    * Process queue
    */
@@ -174,14 +194,20 @@ class ModQueue extends EventEmitter {
         continue;
       }
 
+      // Single mods waiting in the queue download together in one SteamCMD session
+      const batch = item.isCollection
+        ? [item]
+        : this.queue.filter(i => i.status === 'pending' && !i.isCollection);
+
       this.currentItem = item;
-      item.status = 'downloading';
+      batch.forEach(batchItem => {
+        batchItem.status = 'downloading';
+      });
       this.emit('queue-updated', this.getQueueStatus());
-      this.emit('item-started', item);
+      batch.forEach(batchItem => this.emit('item-started', batchItem));
 
       try {
         const workshopManager = require('./workshopManager');
-        const config = require('./config');
 
         if (!this.serverPath) {
           throw new Error('Server path not set');
@@ -190,43 +216,21 @@ class ModQueue extends EventEmitter {
         if (item.isCollection && item.modIds) {
           // Process collection
           const total = item.modIds.length;
-          let successCount = 0;
-          let failCount = 0;
-
-          for (let i = 0; i < item.modIds.length; i++) {
-            const modId = item.modIds[i];
-            item.progress = Math.round(((i + 1) / total) * 100);
-            this.emit('queue-updated', this.getQueueStatus());
+          const results = await workshopManager.downloadMods(item.modIds, this.serverPath, (progress) => {
+            // Calculate overall progress for collection
+            const modProgress = progress.progress || 0;
+            item.progress = Math.round(((progress.current - 1) / total) * 100 + (modProgress / total));
             this.emit('item-progress', { item, progress: item.progress });
+          });
 
-            try {
-              const result = await workshopManager.downloadMod(modId, this.serverPath, (progress) => {
-                // Calculate overall progress for collection
-                const modProgress = progress.progress || 0;
-                const overallProgress = Math.round((i / total) * 100 + (modProgress / total));
-                item.progress = overallProgress;
-                this.emit('item-progress', { item, progress: item.progress });
-              });
-
-              if (result.success) {
-                successCount++;
-                // Add to config
-                try {
-                  const modDetails = await workshopManager.getModDetails(modId);
-                  if (modDetails && modDetails.name) {
-                    await config.addMod(modId, modDetails.name);
-                  } else {
-                    await config.addMod(modId, `Mod ${modId}`);
-                  }
-                } catch (error) {
-                  console.warn(`Could not get details for mod ${modId}:`, error);
-                  await config.addMod(modId, `Mod ${modId}`);
-                }
-              } else {
-                failCount++;
-              }
-            } catch (error) {
-              console.error(`Error downloading mod ${modId}:`, error);
+          let successCount = 0;
+          let failCount = 0;
+          for (const result of results) {
+            if (result.success) {
+              successCount++;
+              await this.addModToConfig(result.workshopId);
+            } else {
+              console.error(`Error downloading mod ${result.workshopId}:`, result.error);
               failCount++;
             }
           }
@@ -239,39 +243,34 @@ class ModQueue extends EventEmitter {
             item.error = `${successCount} succeeded, ${failCount} failed`;
           }
         } else {
-          // Process single mod
-          const result = await workshopManager.downloadMod(item.workshopId, this.serverPath, (progress) => {
-            item.progress = progress.progress || 0;
-            this.emit('item-progress', { item, progress: item.progress });
+          // Process single mods
+          const results = await workshopManager.downloadMods(batch.map(i => i.workshopId), this.serverPath, (progress) => {
+            const batchItem = batch[progress.current - 1];
+            batchItem.progress = progress.progress || 0;
+            this.emit('item-progress', { item: batchItem, progress: batchItem.progress });
           });
 
-          if (result.success) {
-            item.progress = 100;
-            item.status = 'completed';
-            
-            // Add to config
-            try {
-              const modDetails = await workshopManager.getModDetails(item.workshopId);
-              if (modDetails && modDetails.name) {
-                await config.addMod(item.workshopId, modDetails.name);
-              } else {
-                await config.addMod(item.workshopId, `Mod ${item.workshopId}`);
-              }
-            } catch (error) {
-              console.warn(`Could not get details for mod ${item.workshopId}:`, error);
-              await config.addMod(item.workshopId, `Mod ${item.workshopId}`);
+          for (let i = 0; i < batch.length; i++) {
+            const batchItem = batch[i];
+            const result = results[i];
+            if (result.success) {
+              batchItem.progress = 100;
+              batchItem.status = 'completed';
+              await this.addModToConfig(batchItem.workshopId);
+            } else {
+              batchItem.status = 'failed';
+              batchItem.error = result.error || 'Download failed';
             }
-          } else {
-            item.status = 'failed';
-            item.error = result.error || 'Download failed';
           }
         }
 
-        this.emit('item-completed', item);
+        batch.forEach(batchItem => this.emit('item-completed', batchItem));
       } catch (error) {
-        item.status = 'failed';
-        item.error = error.message;
-        this.emit('item-failed', item);
+        batch.forEach(batchItem => {
+          batchItem.status = 'failed';
+          batchItem.error = error.message;
+          this.emit('item-failed', batchItem);
+        });
       }
 
       this.currentItem = null;
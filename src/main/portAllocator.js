@@ -0,0 +1,308 @@
+const dgram = require('dgram');
+const fs = require('fs-extra');
+const path = require('path');
+const { exec } = require('child_process');
+const config = require('./config');
+const battlEyeConfig = require('./battlEyeConfig');
+const configEditor = require('./configEditor');
+const launchProfiles = require('./launchProfiles');
+
+const DEFAULT_GAME_PORT = 2302;
+// DayZ uses the game port and the three ports above it
+const GAME_PORT_SPAN = 4;
+const DEFAULT_STEAM_QUERY_PORT = 27016;
+// Suggested blocks are spaced so game, reserved and RCON ports never overlap
+const GAME_PORT_STEP = 100;
+const MAX_SUGGESTION_ATTEMPTS = 50;
+
+/**
+ * UDP port allocation and conflict checking for server instances
+ * Each instance needs its game port block, steam query port and BattlEye RCon port
+ */
+class PortAllocator {
+  /**
+   * Get the game port an instance launches with, a -port= parameter wins over the instance setting
+   */
+  getGamePort(instanceId = null, parameters = []) {
+    const portParam = (parameters || []).find(param => param.startsWith('-port='));
+    if (portParam) {
+      return parseInt(portParam.split('=')[1]);
+    }
+    return config.getInstanceValue('gamePort', instanceId) || DEFAULT_GAME_PORT;
+  }
+
+  /**
+   * Get the server config an instance launches with (-config=, serverDZ.cfg by default)
+   */
+  getServerConfigPath(serverPath, parameters = []) {
+    const configParam = (parameters || []).find(param => param.startsWith('-config='));
+    const configFile = configParam ? configParam.split('=')[1] : 'serverDZ.cfg';
+    return path.isAbsolute(configFile) ? configFile : path.join(serverPath, configFile);
+  }
+
+  /**
+   * Read steamQueryPort from the server config
+   */
+  async getSteamQueryPort(serverPath, parameters = []) {
+    if (!serverPath) {
+      return DEFAULT_STEAM_QUERY_PORT;
+    }
+
+    const configPath = this.getServerConfigPath(serverPath, parameters);
+    if (!await fs.pathExists(configPath)) {
+      return DEFAULT_STEAM_QUERY_PORT;
+    }
+
+    const content = await fs.readFile(configPath, 'utf-8');
+    const match = content.match(/^\s*steamQueryPort\s*=\s*(\d+)\s*;/mi);
+    return match ? parseInt(match[1]) : DEFAULT_STEAM_QUERY_PORT;
+  }
+
+  /**
+   * List the UDP ports an instance needs
+   * options.serverPath and options.parameters (the full launch arguments) override
+   * the instance settings and its selected launch profile
+   */
+  async getInstancePorts(instanceId = null, options = {}) {
+    const instance = config.getInstance(instanceId);
+    const serverPath = options.serverPath || instance.serverPath;
+    const parameters = options.parameters || launchProfiles.buildLaunchArgs(instance.id, instance.profileName);
+    const gamePort = this.getGamePort(instance.id, parameters);
+
+    const ports = [{ port: gamePort, purpose: 'game' }];
+    for (let offset = 1; offset < GAME_PORT_SPAN; offset++) {
+      ports.push({ port: gamePort + offset, purpose: 'game (reserved)' });
+    }
+    ports.push({ port: await this.getSteamQueryPort(serverPath, parameters), purpose: 'steam query' });
+
+    const rconPort = config.getRCONConfig(instance.id).port;
+    if (Number.isInteger(rconPort)) {
+      ports.push({ port: rconPort, purpose: 'BattlEye RCon' });
+    }
+
+    return ports;
+  }
+
+  /**
+   * Check that an instance's ports are not used by another running instance or process
+   * Overlaps with stopped instances are returned as warnings, they only clash once both run
+   */
+  async checkPorts(instanceId = null, options = {}) {
+    const instance = config.getInstance(instanceId);
+    const ports = await this.getInstancePorts(instance.id, options);
+    const conflicts = [];
+    const warnings = [];
+
+    // Ports the instance needs twice, e.g. RCON inside the game port block
+    const seen = new Map();
+    for (const { port, purpose } of ports) {
+      if (seen.has(port)) {
+        conflicts.push({ port, purpose, owner: `this instance's ${seen.get(port)} port` });
+      } else {
+        seen.set(port, purpose);
+      }
+    }
+
+    for (const other of config.getInstances().filter(i => i.id !== instance.id)) {
+      const otherPorts = await this.getInstancePorts(other.id);
+      for (const { port, purpose } of ports) {
+        if (!otherPorts.some(otherPort => otherPort.port === port)) {
+          continue;
+        }
+
+        const entry = { port, purpose, owner: `instance "${other.name}"` };
+        if (other.runningServer) {
+          conflicts.push(entry);
+        } else {
+          warnings.push(entry);
+        }
+      }
+    }
+
+    const unchecked = ports.filter(({ port }) => !conflicts.some(conflict => conflict.port === port));
+    const busy = [];
+    for (const entry of unchecked) {
+      if (!await this.isPortFree(entry.port)) {
+        busy.push(entry);
+      }
+    }
+
+    if (busy.length > 0) {
+      const owners = await this.getPortOwners(busy.map(entry => entry.port));
+      for (const { port, purpose } of busy) {
+        const owner = owners.find(o => o.port === port);
+        conflicts.push({ port, purpose, owner: owner ? `process ${owner.pid}` : 'another process' });
+      }
+    }
+
+    return { ports, conflicts, warnings };
+  }
+
+  /**
+   * Find a free port block (game ports, steam query and RCON) for an instance
+   * Ports configured for any other instance are avoided even while it is stopped
+   */
+  async suggestPorts(instanceId = null) {
+    const taken = new Set();
+    for (const other of config.getInstances().filter(i => i.id !== instanceId)) {
+      for (const { port } of await this.getInstancePorts(other.id)) {
+        taken.add(port);
+      }
+    }
+
+    const isAvailable = async (port) => !taken.has(port) && await this.isPortFree(port);
+
+    let block = null;
+    for (let attempt = 0; attempt < MAX_SUGGESTION_ATTEMPTS && !block; attempt++) {
+      const gamePort = DEFAULT_GAME_PORT + attempt * GAME_PORT_STEP;
+      const rconPort = battlEyeConfig.getDefaultRconPort(gamePort);
+      let free = true;
+      for (let port = gamePort; port <= rconPort && free; port++) {
+        free = await isAvailable(port);
+      }
+      if (free) {
+        block = { gamePort, rconPort };
+      }
+    }
+
+    if (!block) {
+      throw new Error('No free port block found');
+    }
+
+    let steamQueryPort = DEFAULT_STEAM_QUERY_PORT;
+    while (!await isAvailable(steamQueryPort)) {
+      steamQueryPort++;
+      if (steamQueryPort > DEFAULT_STEAM_QUERY_PORT + MAX_SUGGESTION_ATTEMPTS) {
+        throw new Error('No free steam query port found');
+      }
+    }
+
+    return { ...block, steamQueryPort };
+  }
+
+  /**
+   * Use a port block for an instance: the game port goes into its launch parameters,
+   * the RCON port into the BattlEye config and the steam query port into the server config
+   */
+  async applyPorts(instanceId = null, ports = {}) {
+    const instance = config.getInstance(instanceId);
+    if (instance.runningServer) {
+      throw new Error('Stop the server before changing its ports');
+    }
+
+    const validate = (value, name) => {
+      const port = parseInt(value);
+      if (!Number.isInteger(port) || port < 1 || port > 65535) {
+        throw new Error(`Invalid ${name}: ${value}`);
+      }
+      return port;
+    };
+
+    const gamePort = validate(ports.gamePort, 'game port');
+    const rconPort = validate(ports.rconPort, 'RCON port');
+    await config.setInstanceValue('gamePort', gamePort, instance.id);
+
+    // A port set in the selected launch profile would override the instance's game port
+    const launchProfile = launchProfiles.getActiveProfile(instance.id);
+    if (launchProfile.port) {
+      await launchProfiles.saveProfile({ ...launchProfile, port: gamePort }, instance.id);
+    }
+
+    const result = { gamePort, rconPort, steamQueryPort: null, battlEyeConfigPath: null, serverConfigPath: null };
+
+    if (instance.serverPath) {
+      // Creates the config with a password first if the profile has none yet
+      await battlEyeConfig.ensureConfig(instance.serverPath, instance.profileName, instance.id);
+      const written = await battlEyeConfig.writeConfig(instance.serverPath, instance.profileName, { RConPort: rconPort }, instance.id);
+      result.battlEyeConfigPath = written.path;
+    } else {
+      const rcon = config.getRCONConfig(instance.id);
+      await config.setRCONConfig(rcon.host, rconPort, rcon.password, rcon.enabled, instance.id);
+    }
+
+    if (ports.steamQueryPort !== undefined && ports.steamQueryPort !== null && instance.serverPath) {
+      result.steamQueryPort = validate(ports.steamQueryPort, 'steam query port');
+      const parameters = launchProfiles.buildLaunchArgs(instance.id, instance.profileName);
+      result.serverConfigPath = await this.writeSteamQueryPort(instance.serverPath, result.steamQueryPort, parameters);
+    }
+
+    return result;
+  }
+
+  /**
+   * Set steamQueryPort in the server config, adding it if missing
+   */
+  async writeSteamQueryPort(serverPath, port, parameters = []) {
+    const configPath = this.getServerConfigPath(serverPath, parameters);
+    if (!await fs.pathExists(configPath)) {
+      return null;
+    }
+
+    const content = await fs.readFile(configPath, 'utf-8');
+    const pattern = /^(\s*steamQueryPort\s*=\s*)\d+(\s*;)/mi;
+    const updated = pattern.test(content)
+      ? content.replace(pattern, `$1${port}$2`)
+      : `${content.replace(/\s*$/, '')}\nsteamQueryPort = ${port};\n`;
+
+    await configEditor.writeConfigFile(configPath, updated);
+    return configPath;
+  }
+
+  /**
+   * Check whether a UDP port can be bound
+   */
+  isPortFree(port) {
+    return new Promise((resolve) => {
+      const socket = dgram.createSocket('udp4');
+      socket.once('error', () => {
+        try {
+          socket.close();
+        } catch (error) {
+          // The socket was never bound
+        }
+        resolve(false);
+      });
+      socket.bind(port, () => {
+        socket.close(() => resolve(true));
+      });
+    });
+  }
+
+  /**
+   * Find which PIDs have UDP sockets bound to the given ports
+   */
+  getPortOwners(ports) {
+    return new Promise((resolve) => {
+      if (ports.length === 0) {
+        resolve([]);
+        return;
+      }
+
+      const command = process.platform === 'win32' ? 'netstat -ano -p UDP' : 'ss -uanp';
+      exec(command, (error, stdout) => {
+        if (error) {
+          resolve([]);
+          return;
+        }
+
+        const owners = [];
+        for (const line of stdout.split(/\r?\n/)) {
+          const portMatch = line.match(/[:\]](\d+)\s/);
+          if (!portMatch || !ports.includes(parseInt(portMatch[1]))) {
+            continue;
+          }
+
+          const pidMatch = process.platform === 'win32'
+            ? line.trim().match(/(\d+)$/)
+            : line.match(/pid=(\d+)/);
+          if (pidMatch) {
+            owners.push({ pid: parseInt(pidMatch[1]), port: parseInt(portMatch[1]) });
+          }
+        }
+        resolve(owners);
+      });
+    });
+  }
+}
+
+module.exports = new PortAllocator();
@@ -17,6 +17,7 @@ contextBridge.exposeInMainWorld('electronAPI', {
   configGetSteamCredentials: () => ipcRenderer.invoke('config:get-steam-credentials'),
   configRemoveMod: (workshopId) => ipcRenderer.invoke('config:remove-mod', workshopId),
   configSetModLoadOrder: (workshopId, loadOrder) => ipcRenderer.invoke('config:set-mod-load-order', workshopId, loadOrder),
+  configSetModServerOnly: (workshopId, serverOnly) => ipcRenderer.invoke('config:set-mod-server-only', workshopId, serverOnly),
   configReorderMods: (modOrderArray) => ipcRenderer.invoke('config:reorder-mods', modOrderArray),
   configGetModsOrdered: () => ipcRenderer.invoke('config:get-mods-ordered'),
 
@@ -37,6 +38,7 @@ contextBridge.exposeInMainWorld('electronAPI', {
   workshopGetPopular: (page) => ipcRenderer.invoke('workshop:get-popular', page),
   workshopDownload: (workshopId, installPath) => ipcRenderer.invoke('workshop:download', workshopId, installPath),
   workshopUpdate: (workshopId, installPath) => ipcRenderer.invoke('workshop:update', workshopId, installPath),
+  workshopCheckUpdates: (installPath, force) => ipcRenderer.invoke('workshop:check-updates', installPath, force),
   workshopUpdateAll: (modsList, installPath) => ipcRenderer.invoke('workshop:update-all', modsList, installPath),
   workshopListInstalled: (installPath) => ipcRenderer.invoke('workshop:list-installed', installPath),
   workshopGetInfo: (workshopId, installPath) => ipcRenderer.invoke('workshop:get-info', workshopId, installPath),
@@ -73,16 +75,88 @@ contextBridge.exposeInMainWorld('electronAPI', {
   logExport: (logPath, outputPath, filter) => ipcRenderer.invoke('log:export', logPath, outputPath, filter),
   logSelectExportPath: () => ipcRenderer.invoke('log:select-export-path'),
 
+  // Server Instances
+  instancesList: () => ipcRenderer.invoke('instances:list'),
+  instancesAdd: (data) => ipcRenderer.invoke('instances:add', data),
+  instancesUpdate: (id, data) => ipcRenderer.invoke('instances:update', id, data),
+  instancesRemove: (id) => ipcRenderer.invoke('instances:remove', id),
+  instancesSetActive: (id) => ipcRenderer.invoke('instances:set-active', id),
+  instancesSelectPath: () => ipcRenderer.invoke('instances:select-path'),
+  onInstancesStatus: (callback) => {
+    const subscription = (event, instances) => callback(instances);
+    ipcRenderer.on('instances:status', subscription);
+    return () => ipcRenderer.removeListener('instances:status', subscription);
+  },
+  onActiveInstanceChanged: (callback) => {
+    const subscription = (event, instanceId) => callback(instanceId);
+    ipcRenderer.on('instances:active-changed', subscription);
+    return () => ipcRenderer.removeListener('instances:active-changed', subscription);
+  },
+
+  // Ports
+  portsCheck: (instanceId, serverPath, parameters) => ipcRenderer.invoke('ports:check', instanceId, serverPath, parameters),
+  portsSuggest: (instanceId) => ipcRenderer.invoke('ports:suggest', instanceId),
+  portsApply: (instanceId, ports) => ipcRenderer.invoke('ports:apply', instanceId, ports),
+
+  // Launch Profiles
+  launchProfilesList: () => ipcRenderer.invoke('launch-profiles:list'),
+  launchProfilesSave: (data) => ipcRenderer.invoke('launch-profiles:save', data),
+  launchProfilesRemove: (id) => ipcRenderer.invoke('launch-profiles:remove', id),
+  launchProfilesSetActive: (id) => ipcRenderer.invoke('launch-profiles:set-active', id),
+  launchProfilesPreview: (data, profileName) => ipcRenderer.invoke('launch-profiles:preview', data, profileName),
+
   // Server Control
-  serverControlStart: (serverPath, profileName, parameters) => ipcRenderer.invoke('server-control:start', serverPath, profileName, parameters),
+  serverControlStart: (serverPath, profileName, parameters, options) => ipcRenderer.invoke('server-control:start', serverPath, profileName, parameters, options),
+  serverControlValidate: (serverPath, profileName) => ipcRenderer.invoke('server-control:validate', serverPath, profileName),
   serverControlStop: () => ipcRenderer.invoke('server-control:stop'),
   serverControlRestart: (serverPath, profileName, parameters, countdown) => ipcRenderer.invoke('server-control:restart', serverPath, profileName, parameters, countdown),
   serverControlGetStatus: () => ipcRenderer.invoke('server-control:get-status'),
+  serverControlGetOrphans: () => ipcRenderer.invoke('server-control:get-orphans'),
   serverControlGetStats: () => ipcRenderer.invoke('server-control:get-stats'),
   serverControlGetPlayerCount: (serverPath, profileName) => ipcRenderer.invoke('server-control:get-player-count', serverPath, profileName),
-  serverControlScheduleRestart: (time, serverPath, profileName, parameters) => ipcRenderer.invoke('server-control:schedule-restart', time, serverPath, profileName, parameters),
+  serverControlScheduleRestart: (rule, serverPath, profileName, parameters) => ipcRenderer.invoke('server-control:schedule-restart', rule, serverPath, profileName, parameters),
   serverControlCancelScheduledRestart: (id) => ipcRenderer.invoke('server-control:cancel-scheduled-restart', id),
   serverControlGetScheduledRestarts: () => ipcRenderer.invoke('server-control:get-scheduled-restarts'),
+  restartWarningsGet: () => ipcRenderer.invoke('restart-warnings:get'),
+  restartWarningsSet: (settings) => ipcRenderer.invoke('restart-warnings:set', settings),
+  watchdogGetSettings: () => ipcRenderer.invoke('watchdog:get-settings'),
+  watchdogSetSettings: (settings) => ipcRenderer.invoke('watchdog:set-settings', settings),
+  watchdogGetCrashes: () => ipcRenderer.invoke('watchdog:get-crashes'),
+  watchdogClearCrashes: () => ipcRenderer.invoke('watchdog:clear-crashes'),
+  watchdogCancelRestart: () => ipcRenderer.invoke('watchdog:cancel-restart'),
+  onServerCrash: (callback) => {
+    const subscription = (event, crash) => callback(crash);
+    ipcRenderer.on('watchdog:crash', subscription);
+    return () => ipcRenderer.removeListener('watchdog:crash', subscription);
+  },
+  autoUpdateGetSettings: () => ipcRenderer.invoke('auto-update:get-settings'),
+  autoUpdateSetSettings: (settings) => ipcRenderer.invoke('auto-update:set-settings', settings),
+  autoUpdateGetStatus: () => ipcRenderer.invoke('auto-update:get-status'),
+  autoUpdateCheckNow: () => ipcRenderer.invoke('auto-update:check-now'),
+  autoUpdateCancel: () => ipcRenderer.invoke('auto-update:cancel'),
+  autoUpdateClearLog: () => ipcRenderer.invoke('auto-update:clear-log'),
+  onAutoUpdateLog: (callback) => {
+    const subscription = (event, entry) => callback(entry);
+    ipcRenderer.on('auto-update:log', subscription);
+    return () => ipcRenderer.removeListener('auto-update:log', subscription);
+  },
+  healthGetStatus: () => ipcRenderer.invoke('health:get-status'),
+  healthGetSettings: () => ipcRenderer.invoke('health:get-settings'),
+  healthSetSettings: (settings) => ipcRenderer.invoke('health:set-settings', settings),
+  onServerHung: (callback) => {
+    const subscription = (event, hangEvent) => callback(hangEvent);
+    ipcRenderer.on('health:hung', subscription);
+    return () => ipcRenderer.removeListener('health:hung', subscription);
+  },
+
+  // Server Console
+  consoleGetLines: (search) => ipcRenderer.invoke('console:get-lines', search),
+  consoleClear: () => ipcRenderer.invoke('console:clear'),
+  onConsoleLines: (callback) => {
+    const subscription = (event, lines) => callback(lines);
+    ipcRenderer.on('console:lines', subscription);
+    return () => ipcRenderer.removeListener('console:lines', subscription);
+  },
 
   // Event listeners
   onProgress: (channel, callback) => {
@@ -105,13 +179,43 @@ contextBridge.exposeInMainWorld('electronAPI', {
   rconSendCommand: (command) => ipcRenderer.invoke('rcon:send-command', command),
   rconGetPlayers: () => ipcRenderer.invoke('rcon:get-players'),
   rconGetStatus: () => ipcRenderer.invoke('rcon:get-status'),
-  rconKick: (playerName) => ipcRenderer.invoke('rcon:kick', playerName),
-  rconBan: (playerName) => ipcRenderer.invoke('rcon:ban', playerName),
+  onRconStateChange: (callback) => {
+    const subscription = (event, status) => callback(status);
+    ipcRenderer.on('rcon:state-changed', subscription);
+    return () => ipcRenderer.removeListener('rcon:state-changed', subscription);
+  },
+  rconGetEvents: (types) => ipcRenderer.invoke('rcon:get-events', types),
+  rconClearEvents: () => ipcRenderer.invoke('rcon:clear-events'),
+  onRconEvent: (callback) => {
+    const subscription = (event, rconEvent) => callback(rconEvent);
+    ipcRenderer.on('rcon:event', subscription);
+    return () => ipcRenderer.removeListener('rcon:event', subscription);
+  },
+  rconKick: (slot, reason) => ipcRenderer.invoke('rcon:kick', slot, reason),
+  rconBan: (slot, minutes, reason) => ipcRenderer.invoke('rcon:ban', slot, minutes, reason),
   rconSay: (message) => ipcRenderer.invoke('rcon:say', message),
   rconShutdown: () => ipcRenderer.invoke('rcon:shutdown'),
   rconRestart: () => ipcRenderer.invoke('rcon:restart'),
+  rconGetBans: () => ipcRenderer.invoke('rcon:get-bans'),
+  rconAddBan: (target, minutes, reason) => ipcRenderer.invoke('rcon:add-ban', target, minutes, reason),
+  rconUpdateBan: (index, target, minutes, reason) => ipcRenderer.invoke('rcon:update-ban', index, target, minutes, reason),
+  rconRemoveBan: (index) => ipcRenderer.invoke('rcon:remove-ban', index),
+  rconWriteBans: () => ipcRenderer.invoke('rcon:write-bans'),
+  bansFileRead: (serverPath, profileName) => ipcRenderer.invoke('bans-file:read', serverPath, profileName),
+  bansFileAdd: (serverPath, profileName, target, minutes, reason) => ipcRenderer.invoke('bans-file:add', serverPath, profileName, target, minutes, reason),
+  bansFileUpdate: (serverPath, profileName, index, target, minutes, reason) => ipcRenderer.invoke('bans-file:update', serverPath, profileName, index, target, minutes, reason),
+  bansFileRemove: (serverPath, profileName, index) => ipcRenderer.invoke('bans-file:remove', serverPath, profileName, index),
   rconGetConfig: () => ipcRenderer.invoke('rcon:get-config'),
   rconSetConfig: (host, port, password, enabled) => ipcRenderer.invoke('rcon:set-config', host, port, password, enabled),
+  battlEyeReadConfig: (serverPath, profileName) => ipcRenderer.invoke('battleye:read-config', serverPath, profileName),
+  battlEyeWriteConfig: (serverPath, profileName, settings) => ipcRenderer.invoke('battleye:write-config', serverPath, profileName, settings),
+  battlEyeGeneratePassword: () => ipcRenderer.invoke('battleye:generate-password'),
+  scheduledMessagesGet: () => ipcRenderer.invoke('scheduled-messages:get'),
+  scheduledMessagesAdd: (data) => ipcRenderer.invoke('scheduled-messages:add', data),
+  scheduledMessagesUpdate: (id, data) => ipcRenderer.invoke('scheduled-messages:update', id, data),
+  scheduledMessagesSetEnabled: (id, enabled) => ipcRenderer.invoke('scheduled-messages:set-enabled', id, enabled),
+  scheduledMessagesRemove: (id) => ipcRenderer.invoke('scheduled-messages:remove', id),
+  scheduledMessagesSendNow: (id) => ipcRenderer.invoke('scheduled-messages:send-now', id),
 
   // Modlist Export
   modlistSelectExportPath: () => ipcRenderer.invoke('modlist:select-export-path'),
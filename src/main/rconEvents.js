@@ -0,0 +1,132 @@
+const EventEmitter = require('events');
+
+/**
+ * Parses BattlEye server messages pushed over RCON into typed events
+ * and keeps a ring buffer of recent events for the renderer
+ */
+class RCONEvents extends EventEmitter {
+  constructor() {
+    super();
+    this.events = [];
+    this.maxEvents = 500;
+  }
+
+  /**
+   * Parse a server message and record it
+   */
+  addMessage(message) {
+    const event = this.parseMessage(message);
+    if (!event) {
+      return null;
+    }
+
+    this.events.push(event);
+    if (this.events.length > this.maxEvents) {
+      this.events.shift();
+    }
+
+    this.emit('event', event);
+    return event;
+  }
+
+  /**
+   * Parse a single server message into a typed event
+   * Format examples:
+   * "Player #3 Foo (1.2.3.4:2304) connected"
+   * "Player #3 Foo disconnected"
+   * "Verified GUID (abc123...) of player #3 Foo"
+   * "Player #3 Foo (abc123...) has been kicked by BattlEye: Client not responding"
+   * "(Global) Foo: hi"
+   */
+  parseMessage(message) {
+    if (!message) {
+      return null;
+    }
+
+    // Some messages are prefixed with the sender
+    const text = message.replace(/^BattlEye Server:\s*/, '').trim();
+
+    const event = {
+      type: 'message',
+      timestamp: new Date().toISOString(),
+      message: text
+    };
+
+    let match = text.match(/^Player #(\d+) (.+) \(([\d.]+):(\d+)\) connected$/);
+    if (match) {
+      return {
+        ...event,
+        type: 'connect',
+        playerId: parseInt(match[1]),
+        playerName: match[2],
+        ip: match[3],
+        port: parseInt(match[4])
+      };
+    }
+
+    match = text.match(/^Player #(\d+) (.+) disconnected$/);
+    if (match) {
+      return {
+        ...event,
+        type: 'disconnect',
+        playerId: parseInt(match[1]),
+        playerName: match[2]
+      };
+    }
+
+    match = text.match(/^Verified GUID \(([0-9a-fA-F]+)\) of player #(\d+) (.+)$/);
+    if (match) {
+      return {
+        ...event,
+        type: 'guid-verified',
+        guid: match[1].toLowerCase(),
+        playerId: parseInt(match[2]),
+        playerName: match[3]
+      };
+    }
+
+    match = text.match(/^Player #(\d+) (.+?) \(([0-9a-fA-F-]+)\) has been kicked by BattlEye: (.*)$/);
+    if (match) {
+      return {
+        ...event,
+        type: 'kick',
+        playerId: parseInt(match[1]),
+        playerName: match[2],
+        guid: match[3] === '-' ? null : match[3].toLowerCase(),
+        reason: match[4].trim()
+      };
+    }
+
+    match = text.match(/^\((\w+)\) (.+?): (.*)$/);
+    if (match) {
+      return {
+        ...event,
+        type: 'chat',
+        channel: match[1],
+        playerName: match[2],
+        text: match[3]
+      };
+    }
+
+    return event;
+  }
+
+  /**
+   * Get recent events, optionally filtered by type
+   */
+  getHistory(types = null) {
+    if (!types || types.length === 0) {
+      return [...this.events];
+    }
+    return this.events.filter(event => types.includes(event.type));
+  }
+
+  /**
+   * Clear event history
+   */
+  clear() {
+    this.events = [];
+  }
+}
+
+module.exports = RCONEvents;
@@ -1,75 +1,138 @@
 const dgram = require('dgram');
-const crypto = require('crypto');
+const EventEmitter = require('events');
+
+// BattlEye RCon packet types
+const PACKET_LOGIN = 0x00;
+const PACKET_COMMAND = 0x01;
+const PACKET_MESSAGE = 0x02;
+
+// CRC32 lookup table (IEEE polynomial, as used by BattlEye)
+const CRC32_TABLE = (() => {
+  const table = new Uint32Array(256);
+  for (let i = 0; i < 256; i++) {
+    let c = i;
+    for (let k = 0; k < 8; k++) {
+      c = c & 1 ? 0xEDB88320 ^ (c >>> 1) : c >>> 1;
+    }
+    table[i] = c >>> 0;
+  }
+  return table;
+})();
+
+function crc32(buffer) {
+  let crc = 0xFFFFFFFF;
+  for (let i = 0; i < buffer.length; i++) {
+    crc = CRC32_TABLE[(crc ^ buffer[i]) & 0xFF] ^ (crc >>> 8);
+  }
+  return (crc ^ 0xFFFFFFFF) >>> 0;
+}
 
 /**
  * DayZ RCON Manager
- * DayZ uses UDP-based RCON protocol
+ * DayZ uses the UDP-based BattlEye RCon protocol (v2)
  */
-class RCONManager {
+class RCONManager extends EventEmitter {
   constructor() {
+    super();
     this.socket = null;
     this.host = '127.0.0.1';
     this.port = 2302;
     this.password = '';
     this.isConnected = false;
-    this.requestId = 0;
+    this.state = 'disconnected'; // disconnected, connecting, connected, reconnecting
+    this.lastError = null;
+    this.sequence = 0;
+    this.lastMessageSequence = null;
+    this.pendingLogin = null;
     this.pendingRequests = new Map();
+    // Multipart command responses being reassembled, keyed by sequence number
+    this.fragments = new Map();
+    this.fragmentTimeout = 5000;
+    this.loginTimeout = 5000;
+    this.commandTimeout = 10000;
     this.reconnectAttempts = 0;
-    this.maxReconnectAttempts = 3;
+    this.maxReconnectAttempts = 10;
+    this.reconnectBaseDelay = 2000;
+    this.maxReconnectDelay = 30000;
+    this.reconnectTimer = null;
+    // Bumped by connect()/disconnect() so a reconnect attempt already in flight knows it is stale
+    this.connectionGeneration = 0;
+    // BattlEye drops clients that stay silent for 45 seconds
+    this.keepaliveInterval = 30000;
+    this.keepaliveTimer = null;
   }
 
   /**
    * Connect to RCON server
    */
   async connect(host, port, password) {
-    return new Promise((resolve, reject) => {
-      try {
-        this.host = host || '127.0.0.1';
-        this.port = port || 2302;
-        this.password = password || '';
+    this.host = host || '127.0.0.1';
+    this.port = port || 2302;
+    this.password = password || '';
 
-        if (this.isConnected) {
-          this.disconnect();
-        }
+    this.cancelReconnect();
+    this.closeSocket();
+    this.reconnectAttempts = 0;
+    this.setState('connecting');
 
+    try {
+      await this.openSocket();
+      this.setState('connected');
+      return { success: true };
+    } catch (error) {
+      this.closeSocket();
+      this.setState('disconnected', error.message);
+      throw error;
+    }
+  }
+
+  /**
+   * Create the UDP socket and log in with the current credentials
+   */
+  openSocket() {
+    return new Promise((resolve, reject) => {
+      try {
         // Create UDP socket
-        this.socket = dgram.createSocket('udp4');
+        const socket = dgram.createSocket('udp4');
+        this.socket = socket;
 
         // Handle incoming messages
-        this.socket.on('message', (msg, rinfo) => {
+        socket.on('message', (msg, rinfo) => {
           this.handleMessage(msg);
         });
 
-        this.socket.on('error', (error) => {
+        socket.on('error', (error) => {
           console.error('RCON socket error:', error);
-          this.isConnected = false;
-          if (this.pendingRequests.size > 0) {
-            // Reject all pending requests
-            for (const [id, { reject }] of this.pendingRequests.entries()) {
-              reject(new Error('RCON connection error'));
-            }
-            this.pendingRequests.clear();
+          if (this.socket !== socket) {
+            return;
+          }
+          if (this.pendingLogin) {
+            this.pendingLogin.reject(new Error('RCON connection error'));
+          }
+          if (this.isConnected) {
+            this.handleConnectionLost(error);
           }
         });
 
-        this.socket.on('close', () => {
-          this.isConnected = false;
+        socket.on('close', () => {
           console.log('RCON socket closed');
         });
 
         // Bind socket
-        this.socket.bind(() => {
+        this.sequence = 0;
+        this.lastMessageSequence = null;
+        socket.bind(() => {
+          if (this.socket !== socket) {
+            reject(new Error('RCON disconnected'));
+            return;
+          }
           // Send authentication
           this.authenticate()
             .then(() => {
-              this.isConnected = true;
-              this.reconnectAttempts = 0;
-              resolve({ success: true });
+              this.startKeepalive();
+              resolve();
             })
-            .catch((error) => {
-              this.disconnect();
-              reject(error);
-            });
+            .catch(reject);
         });
       } catch (error) {
         reject(new Error(`Failed to connect to RCON: ${error.message}`));
@@ -77,26 +140,140 @@ class RCONManager {
     });
   }
 
+  /**
+   * Update connection state and notify listeners
+   */
+  setState(state, error = null) {
+    this.state = state;
+    this.isConnected = state === 'connected';
+    this.lastError = error;
+    this.emit('state-changed', this.getStatus());
+  }
+
+  /**
+   * Periodically send an empty command so BattlEye keeps the session alive.
+   * A keepalive that goes unanswered means the link is dead.
+   */
+  startKeepalive() {
+    this.stopKeepalive();
+    this.keepaliveTimer = setInterval(() => {
+      if (!this.isConnected) {
+        return;
+      }
+      this.sendCommand('').catch((error) => {
+        if (this.isConnected) {
+          this.handleConnectionLost(error);
+        }
+      });
+    }, this.keepaliveInterval);
+  }
+
+  /**
+   * Stop the keepalive timer
+   */
+  stopKeepalive() {
+    if (this.keepaliveTimer) {
+      clearInterval(this.keepaliveTimer);
+      this.keepaliveTimer = null;
+    }
+  }
+
+  /**
+   * Tear down the dead connection and start reconnecting
+   */
+  handleConnectionLost(error) {
+    console.warn('RCON connection lost:', error ? error.message : 'unknown reason');
+    this.closeSocket();
+    this.scheduleReconnect(error ? error.message : 'Connection lost');
+  }
+
+  /**
+   * Schedule the next reconnect attempt with exponential backoff
+   */
+  scheduleReconnect(reason) {
+    if (this.reconnectAttempts >= this.maxReconnectAttempts) {
+      this.setState('disconnected', `${reason} (gave up after ${this.reconnectAttempts} reconnect attempts)`);
+      return;
+    }
+
+    const delay = Math.min(
+      this.reconnectBaseDelay * Math.pow(2, this.reconnectAttempts),
+      this.maxReconnectDelay
+    );
+    this.reconnectAttempts++;
+    this.setState('reconnecting', reason);
+
+    const generation = this.connectionGeneration;
+    this.reconnectTimer = setTimeout(async () => {
+      this.reconnectTimer = null;
+      try {
+        await this.openSocket();
+        if (generation !== this.connectionGeneration) {
+          return;
+        }
+        this.reconnectAttempts = 0;
+        this.setState('connected');
+      } catch (error) {
+        // connect() or disconnect() took over while this attempt was logging in, leave their socket alone
+        if (generation !== this.connectionGeneration) {
+          return;
+        }
+        this.closeSocket();
+        this.scheduleReconnect(error.message);
+      }
+    }, delay);
+  }
+
+  /**
+   * Cancel a pending reconnect attempt, including one already logging in
+   */
+  cancelReconnect() {
+    this.connectionGeneration++;
+    if (this.reconnectTimer) {
+      clearTimeout(this.reconnectTimer);
+      this.reconnectTimer = null;
+    }
+  }
+
+  /**
+   * Close the socket and fail everything still waiting on it
+   */
+  closeSocket() {
+    this.stopKeepalive();
+    if (this.socket) {
+      try {
+        this.socket.close();
+      } catch (error) {
+        // Socket already closed
+      }
+      this.socket = null;
+    }
+    this.isConnected = false;
+    if (this.pendingLogin) {
+      this.pendingLogin.reject(new Error('RCON disconnected'));
+    }
+    for (const { reject } of this.pendingRequests.values()) {
+      reject(new Error('RCON disconnected'));
+    }
+    this.pendingRequests.clear();
+    this.clearFragments();
+  }
+
   /**
    * Authenticate with RCON server
    */
   async authenticate() {
     return new Promise((resolve, reject) => {
       const timeout = setTimeout(() => {
+        this.pendingLogin = null;
         reject(new Error('RCON authentication timeout'));
-      }, 5000);
-
-      const requestId = this.getNextRequestId();
-      
-      // DayZ RCON authentication format: "BE" + password
-      const authMessage = `BE${this.password}`;
-      const buffer = Buffer.from(authMessage, 'utf-8');
+      }, this.loginTimeout);
 
-      this.pendingRequests.set(requestId, {
-        resolve: (response) => {
+      this.pendingLogin = {
+        resolve: (success) => {
           clearTimeout(timeout);
-          // Check if authentication was successful
-          if (response && response.includes('OK')) {
+          this.pendingLogin = null;
+          if (success) {
             resolve();
           } else {
             reject(new Error('RCON authentication failed'));
@@ -104,12 +281,18 @@ class RCONManager {
         },
         reject: (error) => {
           clearTimeout(timeout);
+          this.pendingLogin = null;
           reject(error);
         }
-      });
+      };
 
-      // Send authentication
-      this.sendMessage(buffer, requestId);
+      // Login packet: 0x00 + password
+      const packet = this.buildPacket(PACKET_LOGIN, Buffer.from(this.password, 'utf-8'));
+      this.sendPacket(packet, (error) => {
+        if (this.pendingLogin) {
+          this.pendingLogin.reject(error);
+        }
+      });
     });
   }
 
@@ -122,15 +305,21 @@ class RCONManager {
     }
 
     return new Promise((resolve, reject) => {
+      const sequence = this.getNextSequence();
+
+      // A sequence number still waiting for a reply is about to be reused
+      const stale = this.pendingRequests.get(sequence);
+      if (stale) {
+        this.pendingRequests.delete(sequence);
+        stale.reject(new Error('RCON command superseded'));
+      }
+
       const timeout = setTimeout(() => {
-        this.pendingRequests.delete(requestId);
+        this.pendingRequests.delete(sequence);
         reject(new Error('RCON command timeout'));
-      }, 10000);
-
-      const requestId = this.getNextRequestId();
-      const commandBuffer = Buffer.from(command, 'utf-8');
+      }, this.commandTimeout);
 
-      this.pendingRequests.set(requestId, {
+      this.pendingRequests.set(sequence, {
         resolve: (response) => {
           clearTimeout(timeout);
           resolve(response);
@@ -141,60 +330,133 @@ class RCONManager {
         }
       });
 
-      this.sendMessage(commandBuffer, requestId);
+      // Command packet: 0x01 + sequence + command
+      const payload = Buffer.concat([
+        Buffer.from([sequence]),
+        Buffer.from(command, 'utf-8')
+      ]);
+      this.sendPacket(this.buildPacket(PACKET_COMMAND, payload), (error) => {
+        const pending = this.pendingRequests.get(sequence);
+        if (pending) {
+          this.pendingRequests.delete(sequence);
+          pending.reject(error);
+        }
+      });
     });
   }
 
   /**
-   * Send message via UDP
+   * Send a raw packet via UDP
    */
-  sendMessage(buffer, requestId) {
+  sendPacket(packet, onError) {
     try {
-      // DayZ RCON uses simple UDP packets
-      // Format: [requestId (4 bytes)] + [message]
-      const idBuffer = Buffer.allocUnsafe(4);
-      idBuffer.writeUInt32BE(requestId, 0);
-      const packet = Buffer.concat([idBuffer, buffer]);
-
       this.socket.send(packet, this.port, this.host, (error) => {
         if (error) {
           console.error('Error sending RCON packet:', error);
-          const pending = this.pendingRequests.get(requestId);
-          if (pending) {
-            this.pendingRequests.delete(requestId);
-            pending.reject(error);
+          if (onError) {
+            onError(error);
           }
         }
       });
     } catch (error) {
       console.error('Error sending RCON message:', error);
-      const pending = this.pendingRequests.get(requestId);
-      if (pending) {
-        this.pendingRequests.delete(requestId);
-        pending.reject(error);
+      if (onError) {
+        onError(error);
       }
     }
   }
 
+  /**
+   * Build a BattlEye RCon packet
+   * Format: 'B' 'E' + CRC32 (4 bytes, little endian) + 0xFF + type + payload
+   */
+  buildPacket(type, payload = Buffer.alloc(0)) {
+    const body = Buffer.concat([Buffer.from([0xFF, type]), payload]);
+    const header = Buffer.alloc(6);
+    header.write('BE', 0, 'ascii');
+    header.writeUInt32LE(crc32(body), 2);
+    return Buffer.concat([header, body]);
+  }
+
+  /**
+   * Parse a BattlEye RCon packet, returns null if the packet is malformed
+   */
+  parsePacket(msg) {
+    if (!msg || msg.length < 8) {
+      return null;
+    }
+
+    if (msg[0] !== 0x42 || msg[1] !== 0x45 || msg[6] !== 0xFF) {
+      return null;
+    }
+
+    const checksum = msg.readUInt32LE(2);
+    if (checksum !== crc32(msg.slice(6))) {
+      return null;
+    }
+
+    return {
+      type: msg[7],
+      payload: msg.slice(8)
+    };
+  }
+
   /**
    * Handle incoming UDP message
    */
   handleMessage(msg) {
     try {
-      if (msg.length < 4) {
+      const packet = this.parsePacket(msg);
+      if (!packet) {
         return; // Invalid packet
       }
 
-      const requestId = msg.readUInt32BE(0);
-      const response = msg.slice(4).toString('utf-8').trim();
+      switch (packet.type) {
+        case PACKET_LOGIN: {
+          if (this.pendingLogin) {
+            this.pendingLogin.resolve(packet.payload[0] === 0x01);
+          }
+          break;
+        }
+
+        case PACKET_COMMAND: {
+          if (packet.payload.length < 1) {
+            return;
+          }
+          const sequence = packet.payload[0];
+
+          // Multipart response: 0x00 + total packets + packet index
+          if (packet.payload.length >= 4 && packet.payload[1] === 0x00) {
+            this.handleFragment(sequence, packet.payload[2], packet.payload[3], packet.payload.slice(4));
+            break;
+          }
+
+          this.resolveRequest(sequence, packet.payload.slice(1));
+          break;
+        }
+
+        case PACKET_MESSAGE: {
+          if (packet.payload.length < 1) {
+            return;
+          }
+          const sequence = packet.payload[0];
+
+          // Every server message must be acknowledged or BattlEye keeps resending it
+          this.sendPacket(this.buildPacket(PACKET_MESSAGE, Buffer.from([sequence])));
 
-      const pending = this.pendingRequests.get(requestId);
-      if (pending) {
-        this.pendingRequests.delete(requestId);
-        pending.resolve(response);
-      } else {
-        // Unsolicited message (server broadcast, etc.)
-        console.log('Unsolicited RCON message:', response);
+          // A resend of the message we already handled (our ack got lost)
+          if (sequence === this.lastMessageSequence) {
+            break;
+          }
+          this.lastMessageSequence = sequence;
+
+          const message = packet.payload.slice(1).toString('utf-8').trim();
+          this.emit('server-message', message);
+          break;
+        }
+
+        default:
+          break;
       }
     } catch (error) {
       console.error('Error handling RCON message:', error);
@@ -202,23 +464,102 @@ class RCONManager {
   }
 
   /**
-   * Get next request ID
+   * Resolve the pending command for a sequence number with the response body
+   */
+  resolveRequest(sequence, body) {
+    const pending = this.pendingRequests.get(sequence);
+    if (pending) {
+      this.pendingRequests.delete(sequence);
+      pending.resolve(body.toString('utf-8').trim());
+    }
+  }
+
+  /**
+   * Buffer one part of a multipart command response and resolve the
+   * command once every part has arrived
+   */
+  handleFragment(sequence, total, index, body) {
+    if (total === 0 || index >= total) {
+      return;
+    }
+
+    let entry = this.fragments.get(sequence);
+    if (!entry || entry.total !== total) {
+      if (entry) {
+        clearTimeout(entry.timer);
+      }
+      entry = {
+        total,
+        parts: new Array(total),
+        received: 0,
+        timer: setTimeout(() => {
+          const missing = [];
+          for (let i = 0; i < entry.total; i++) {
+            if (!entry.parts[i]) missing.push(i);
+          }
+          this.fragments.delete(sequence);
+          const pending = this.pendingRequests.get(sequence);
+          if (pending) {
+            this.pendingRequests.delete(sequence);
+            pending.reject(new Error(`RCON response incomplete: missing part(s) ${missing.join(', ')} of ${entry.total}`));
+          }
+        }, this.fragmentTimeout)
+      };
+      this.fragments.set(sequence, entry);
+    }
+
+    // Duplicate part (resend), already buffered
+    if (entry.parts[index]) {
+      return;
+    }
+
+    entry.parts[index] = body;
+    entry.received++;
+
+    if (entry.received === entry.total) {
+      clearTimeout(entry.timer);
+      this.fragments.delete(sequence);
+      // Join raw bytes before decoding so multibyte characters split across parts survive
+      this.resolveRequest(sequence, Buffer.concat(entry.parts));
+    }
+  }
+
+  /**
+   * Drop all partially received multipart responses
+   */
+  clearFragments() {
+    for (const entry of this.fragments.values()) {
+      clearTimeout(entry.timer);
+    }
+    this.fragments.clear();
+  }
+
+  /**
+   * Measure the round trip of an empty command in milliseconds
    */
-  getNextRequestId() {
-    this.requestId = (this.requestId + 1) % 0xFFFFFFFF;
-    return this.requestId;
+  async ping() {
+    const started = Date.now();
+    await this.sendCommand('');
+    return Date.now() - started;
+  }
+
+  /**
+   * Get next command sequence number (1 byte, wraps at 255)
+   */
+  getNextSequence() {
+    const sequence = this.sequence;
+    this.sequence = (this.sequence + 1) % 256;
+    return sequence;
   }
 
   /**
    * Disconnect from RCON server
    */
   disconnect() {
-    if (this.socket) {
-      this.socket.close();
-      this.socket = null;
-    }
-    this.isConnected = false;
-    this.pendingRequests.clear();
+    this.cancelReconnect();
+    this.reconnectAttempts = 0;
+    this.closeSocket();
+    this.setState('disconnected');
   }
 
   /**
@@ -227,29 +568,50 @@ class RCONManager {
   getStatus() {
     return {
       connected: this.isConnected,
+      state: this.state,
       host: this.host,
       port: this.port,
-      hasPassword: !!this.password
+      hasPassword: !!this.password,
+      reconnectAttempts: this.reconnectAttempts,
+      maxReconnectAttempts: this.maxReconnectAttempts,
+      error: this.lastError
     };
   }
 
   /**
    * Execute basic RCON commands
    */
-  async kickPlayer(playerName) {
-    return await this.sendCommand(`#kick ${playerName}`);
+  async kickPlayer(slot, reason = '') {
+    const playerSlot = this.validateSlot(slot);
+    return await this.sendCommand(`kick ${playerSlot}${reason ? ` ${reason}` : ''}`);
+  }
+
+  /**
+   * Ban an online player by slot number, 0 minutes is a permanent ban
+   */
+  async banPlayer(slot, minutes = 0, reason = '') {
+    const playerSlot = this.validateSlot(slot);
+    const duration = Math.max(0, parseInt(minutes) || 0);
+    return await this.sendCommand(`ban ${playerSlot} ${duration}${reason ? ` ${reason}` : ''}`);
   }
 
-  async banPlayer(playerName) {
-    return await this.sendCommand(`#ban ${playerName}`);
+  /**
+   * BattlEye addresses online players by their slot number
+   */
+  validateSlot(slot) {
+    const playerSlot = parseInt(slot, 10);
+    if (!Number.isInteger(playerSlot) || playerSlot < 0 || String(playerSlot) !== String(slot).trim()) {
+      throw new Error(`Invalid player slot number: ${slot}`);
+    }
+    return playerSlot;
   }
 
   async sayMessage(message) {
-    return await this.sendCommand(`#say ${message}`);
+    return await this.sendCommand(`say -1 ${message}`);
   }
 
   async getPlayers() {
-    const response = await this.sendCommand('#players');
+    const response = await this.sendCommand('players');
     return this.parsePlayersList(response);
   }
 
@@ -263,39 +625,49 @@ class RCONManager {
 
   /**
    * Parse players list from RCON response
+   * Format:
+   * Players on server:
+   * [#] [IP Address]:[Port] [Ping] [GUID] [Name]
+   * --------------------------------------------------
+   * 0   1.2.3.4:2304    47   0123456789abcdef0123456789abcdef(OK) PlayerName
+   * 1   5.6.7.8:2304    0    -   Other Player (Lobby)
+   * (2 players in total)
    */
   parsePlayersList(response) {
     const players = [];
     if (!response) return players;
 
-    // DayZ players list format varies, try to parse common formats
     const lines = response.split('\n');
-    
+
     for (const line of lines) {
       const trimmed = line.trim();
-      if (!trimmed || trimmed.startsWith('#') || trimmed.startsWith('Players:')) {
+      const match = trimmed.match(/^(\d+)\s+([\d.]+):(\d+)\s+(-?\d+)\s+(-|[0-9a-fA-F]{32})(?:\((OK|\?)\))?\s+(.+)$/);
+      if (!match) {
         continue;
       }
 
-      // Try to match player entries
-      // Format examples:
-      // "PlayerName (ID: 1234567890)"
-      // "ID: 1234567890, PlayerName"
-      const idMatch = trimmed.match(/ID:\s*(\d+)/);
-      const nameMatch = trimmed.match(/([^(]+)/);
-
-      if (idMatch || nameMatch) {
-        players.push({
-          name: nameMatch ? nameMatch[1].trim() : trimmed,
-          id: idMatch ? idMatch[1] : null,
-          raw: trimmed
-        });
+      let name = match[7].trim();
+      const lobby = / \(Lobby\)$/.test(name);
+      if (lobby) {
+        name = name.replace(/ \(Lobby\)$/, '');
       }
+
+      players.push({
+        slot: parseInt(match[1]),
+        ip: match[2],
+        port: parseInt(match[3]),
+        ping: parseInt(match[4]),
+        guid: match[5] === '-' ? null : match[5].toLowerCase(),
+        verified: match[6] === 'OK',
+        lobby,
+        name,
+        raw: trimmed
+      });
     }
 
     return players;
   }
 }
 
-module.exports = new RCONManager();
+module.exports = RCONManager;
 
@@ -0,0 +1,138 @@
+const config = require('./config');
+
+const DEFAULT_SETTINGS = {
+  enabled: true,
+  // Seconds before the restart
+  stages: [900, 600, 300, 60, 30],
+  message: 'Server restart in {time}',
+  cancelMessage: 'The server restart has been cancelled'
+};
+
+/**
+ * In-game warnings broadcast over RCON before a restart
+ */
+class RestartWarnings {
+  /**
+   * Get warning settings
+   */
+  getSettings() {
+    return { ...DEFAULT_SETTINGS, ...(config.get('restartWarnings') || {}) };
+  }
+
+  /**
+   * Save warning settings
+   */
+  async setSettings(settings) {
+    const current = this.getSettings();
+    const stages = settings.stages !== undefined ? this.validateStages(settings.stages) : current.stages;
+
+    const updated = {
+      enabled: settings.enabled !== undefined ? Boolean(settings.enabled) : current.enabled,
+      stages,
+      message: String(settings.message !== undefined ? settings.message : current.message).trim() || DEFAULT_SETTINGS.message,
+      cancelMessage: String(settings.cancelMessage !== undefined ? settings.cancelMessage : current.cancelMessage).trim()
+    };
+
+    await config.set('restartWarnings', updated);
+    return updated;
+  }
+
+  /**
+   * Validate warning stages, accepting seconds or strings like "15m", "30s", "1h"
+   */
+  validateStages(stages) {
+    const list = Array.isArray(stages) ? stages : String(stages).split(/[\s,]+/);
+    const seconds = new Set();
+
+    for (const stage of list) {
+      if (stage === '' || stage === null || stage === undefined) {
+        continue;
+      }
+
+      const match = String(stage).trim().toLowerCase().match(/^(\d+)\s*(h|m|s)?$/);
+      if (!match) {
+        throw new Error(`Invalid warning stage: ${stage}`);
+      }
+
+      const value = parseInt(match[1]);
+      const multiplier = { h: 3600, m: 60, s: 1 }[match[2] || 's'];
+      if (value <= 0) {
+        throw new Error(`Invalid warning stage: ${stage}`);
+      }
+      seconds.add(value * multiplier);
+    }
+
+    return Array.from(seconds).sort((a, b) => b - a);
+  }
+
+  /**
+   * Send the warning for a pending restart over the instance's RCON if a stage has been reached
+   * Stages already passed are skipped so a restart scheduled late only warns once
+   */
+  async checkWarnings(restart, remainingSeconds, rconManager) {
+    const settings = this.getSettings();
+    if (!settings.enabled) {
+      return false;
+    }
+
+    restart.warningsSent = restart.warningsSent || [];
+    const reached = settings.stages.filter(stage => remainingSeconds <= stage && !restart.warningsSent.includes(stage));
+    if (reached.length === 0) {
+      return false;
+    }
+
+    restart.warningsSent.push(...reached);
+
+    if (!rconManager.isConnected) {
+      return false;
+    }
+
+    // The check loop runs every couple of seconds, announce the stage itself when it was only just passed
+    const stage = Math.min(...reached);
+    const announced = stage - remainingSeconds < 5 ? stage : remainingSeconds;
+
+    try {
+      await rconManager.sayMessage(settings.message.replace('{time}', this.formatDuration(announced)));
+      return true;
+    } catch (error) {
+      console.warn('Failed to send restart warning:', error);
+      return false;
+    }
+  }
+
+  /**
+   * Tell players a restart they were warned about will not happen
+   */
+  async sendCancelled(restart, rconManager) {
+    const settings = this.getSettings();
+    if (!restart.warningsSent || restart.warningsSent.length === 0 || !settings.cancelMessage || !rconManager.isConnected) {
+      return false;
+    }
+
+    try {
+      await rconManager.sayMessage(settings.cancelMessage);
+      return true;
+    } catch (error) {
+      console.warn('Failed to send restart cancelled message:', error);
+      return false;
+    }
+  }
+
+  /**
+   * Format seconds as "15 minutes" / "30 seconds"
+   */
+  formatDuration(seconds) {
+    if (seconds >= 3600 && Math.round(seconds / 60) % 60 === 0) {
+      const hours = Math.round(seconds / 3600);
+      return `${hours} hour${hours === 1 ? '' : 's'}`;
+    }
+    if (seconds >= 60) {
+      const minutes = Math.round(seconds / 60);
+      return `${minutes} minute${minutes === 1 ? '' : 's'}`;
+    }
+    const secs = Math.max(1, Math.round(seconds));
+    return `${secs} second${secs === 1 ? '' : 's'}`;
+  }
+}
+
+module.exports = new RestartWarnings();
@@ -0,0 +1,267 @@
+const fs = require('fs-extra');
+const path = require('path');
+const EventEmitter = require('events');
+const { StringDecoder } = require('string_decoder');
+const logViewer = require('./logViewer');
+const PathUtils = require('../utils/paths');
+
+/**
+ * Captures server stdout/stderr into an in-memory ring buffer and a rotating log file
+ * The server writes its output to files in the console folder, which are followed here
+ * Each server instance has its own console
+ */
+class ServerConsole extends EventEmitter {
+  constructor(instanceId) {
+    super();
+    this.instanceId = instanceId;
+    this.maxLines = 5000;
+    this.maxFileSize = 5 * 1024 * 1024;
+    this.maxFiles = 5;
+    this.lines = [];
+    this.nextId = 1;
+    this.writeQueue = Promise.resolve();
+    this.tailInterval = 500;
+    this.maxReadSize = 1024 * 1024;
+    this.tails = [];
+    this.tailTimer = null;
+    this.reading = null;
+  }
+
+  /**
+   * Create empty output files for a server about to start and open them for it to write to
+   * Resolves with { stdout, stderr } file descriptors for the process's stdio, the caller
+   * closes them once the process is spawned
+   */
+  async openOutput() {
+    await this.stopTailing();
+    await fs.ensureDir(this.getLogDir());
+    await fs.writeJson(this.getOutputStatePath(), { stdout: 0, stderr: 0 });
+    return {
+      stdout: await fs.open(this.getOutputPath('stdout'), 'w'),
+      stderr: await fs.open(this.getOutputPath('stderr'), 'w')
+    };
+  }
+
+  /**
+   * Follow the server's output files into the console
+   * With resume (re-attaching to a server started by an earlier run of the app) reading
+   * continues where that run stopped, so output written while the app was closed is kept
+   */
+  async tailOutput(resume = false) {
+    await this.stopTailing();
+
+    let positions = { stdout: 0, stderr: 0 };
+    if (resume) {
+      positions = await fs.readJson(this.getOutputStatePath()).catch(() => positions);
+    }
+
+    this.tails = ['stdout', 'stderr'].map(source => ({
+      source,
+      path: this.getOutputPath(source),
+      position: positions[source] || 0,
+      decoder: new StringDecoder('utf-8'),
+      partial: ''
+    }));
+    this.tailTimer = setInterval(() => this.readOutput(), this.tailInterval);
+  }
+
+  /**
+   * Read the rest of the output and stop following it, e.g. once the server exited
+   */
+  async stopTailing() {
+    if (this.tailTimer) {
+      clearInterval(this.tailTimer);
+      this.tailTimer = null;
+    }
+    if (this.reading) {
+      await this.reading;
+    }
+
+    await this.readOutput();
+    for (const tail of this.tails) {
+      if (tail.partial) {
+        this.addLines([tail.partial], tail.source);
+      }
+    }
+    this.tails = [];
+  }
+
+  /**
+   * Read what the server wrote since the last read, one read at a time
+   */
+  readOutput() {
+    if (!this.reading) {
+      this.reading = this.readTails()
+        .catch(error => console.error('Error reading server output:', error))
+        .finally(() => {
+          this.reading = null;
+        });
+    }
+    return this.reading;
+  }
+
+  async readTails() {
+    let changed = false;
+
+    for (const tail of this.tails) {
+      if (!await fs.pathExists(tail.path)) {
+        continue;
+      }
+
+      const { size } = await fs.stat(tail.path);
+      if (size < tail.position) {
+        // The file was recreated, e.g. by a new server start
+        tail.position = 0;
+        tail.partial = '';
+      }
+      if (size === tail.position) {
+        continue;
+      }
+
+      const buffer = Buffer.alloc(Math.min(size - tail.position, this.maxReadSize));
+      const fd = await fs.open(tail.path, 'r');
+      try {
+        await fs.read(fd, buffer, 0, buffer.length, tail.position);
+      } finally {
+        await fs.close(fd);
+      }
+      tail.position += buffer.length;
+
+      const parts = (tail.partial + tail.decoder.write(buffer)).split(/\r?\n/);
+      tail.partial = parts.pop();
+      this.addLines(parts, tail.source);
+      changed = true;
+    }
+
+    if (changed) {
+      // Saved after the lines are logged, so resuming neither skips nor repeats output
+      const positions = Object.fromEntries(this.tails.map(tail => [tail.source, tail.position - Buffer.byteLength(tail.partial)]));
+      this.writeQueue = this.writeQueue
+        .then(() => fs.writeJson(this.getOutputStatePath(), positions))
+        .catch(error => console.error('Error saving server output position:', error));
+    }
+  }
+
+  /**
+   * Write a marker line, e.g. when a server starts
+   */
+  addMarker(message) {
+    this.addLines([`=== ${message} ===`], 'manager');
+  }
+
+  /**
+   * Add lines to the buffer and log file and emit them as one batch
+   */
+  addLines(lines, source) {
+    const time = new Date().toISOString();
+    const entries = [];
+
+    for (const line of lines) {
+      if (!line.trim()) {
+        continue;
+      }
+
+      const entry = {
+        ...logViewer.parseLogEntry(line),
+        id: this.nextId++,
+        time,
+        source
+      };
+      // Output on stderr without a recognisable level is still an error
+      if (source === 'stderr' && entry.level === 'Info') {
+        entry.level = 'Error';
+      }
+      entries.push(entry);
+    }
+
+    if (entries.length === 0) {
+      return;
+    }
+
+    this.lines.push(...entries);
+    if (this.lines.length > this.maxLines) {
+      this.lines.splice(0, this.lines.length - this.maxLines);
+    }
+
+    const text = entries.map(entry => `${entry.time} [${entry.source}] ${entry.raw}\n`).join('');
+    this.writeQueue = this.writeQueue
+      .then(() => this.writeToFile(text))
+      .catch(error => console.error('Error writing server console log:', error));
+
+    this.emit('lines', entries);
+  }
+
+  /**
+   * Get buffered lines, optionally filtered by a search term
+   */
+  getLines(search = null, limit = this.maxLines) {
+    let lines = this.lines;
+    if (search) {
+      const searchLower = search.toLowerCase();
+      lines = lines.filter(entry => entry.raw.toLowerCase().includes(searchLower));
+    }
+    return lines.slice(-limit);
+  }
+
+  /**
+   * Clear the in-memory buffer, the log file is kept
+   */
+  clear() {
+    this.lines = [];
+  }
+
+  getLogDir() {
+    return path.join(PathUtils.getUserDataPath(), 'console', this.instanceId);
+  }
+
+  getLogPath() {
+    return path.join(this.getLogDir(), 'server-console.log');
+  }
+
+  /**
+   * Get the file the server writes its stdout or stderr to
+   */
+  getOutputPath(source) {
+    return path.join(this.getLogDir(), `server-${source}.log`);
+  }
+
+  /**
+   * Get the file remembering how far the output files have been read
+   */
+  getOutputStatePath() {
+    return path.join(this.getLogDir(), 'server-output.json');
+  }
+
+  /**
+   * Append to the console log, rotating it once it reaches maxFileSize
+   * server-console.log becomes server-console.1.log and so on up to maxFiles
+   */
+  async writeToFile(text) {
+    const logPath = this.getLogPath();
+    await fs.ensureDir(this.getLogDir());
+
+    if (await fs.pathExists(logPath)) {
+      const stats = await fs.stat(logPath);
+      if (stats.size + Buffer.byteLength(text) > this.maxFileSize) {
+        await this.rotate();
+      }
+    }
+
+    await fs.appendFile(logPath, text, 'utf-8');
+  }
+
+  async rotate() {
+    const dir = this.getLogDir();
+    const rotatedPath = (index) => path.join(dir, `server-console.${index}.log`);
+
+    await fs.remove(rotatedPath(this.maxFiles - 1));
+    for (let index = this.maxFiles - 2; index >= 1; index--) {
+      if (await fs.pathExists(rotatedPath(index))) {
+        await fs.move(rotatedPath(index), rotatedPath(index + 1), { overwrite: true });
+      }
+    }
+    await fs.move(this.getLogPath(), rotatedPath(1), { overwrite: true });
+  }
+}
+
+module.exports = ServerConsole;
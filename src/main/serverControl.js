@@ -2,23 +2,96 @@ const { spawn, exec } = require('child_process');
 const fs = require('fs-extra');
 const path = require('path');
 const os = require('os');
+const EventEmitter = require('events');
+const config = require('./config');
+const battlEyeConfig = require('./battlEyeConfig');
+const portAllocator = require('./portAllocator');
+const launchProfiles = require('./launchProfiles');
+const launchPlanner = require('./launchPlanner');
+const launchValidator = require('./launchValidator');
+const restartWarnings = require('./restartWarnings');
 
 /**
- * Server process control and monitoring
+ * Stand-in for a ChildProcess when re-attaching to a server started by an
+ * earlier run of the app. Polls the PID and emits exit/close when it is gone.
  */
-class ServerControl {
-  constructor() {
+class AdoptedProcess extends EventEmitter {
+  constructor(pid, pollInterval = 2000) {
+    super();
+    this.pid = pid;
+    this.adopted = true;
+    this.exitCode = null;
+    this.signalCode = null;
+    this.exited = false;
+    this.pollTimer = setInterval(() => {
+      if (!AdoptedProcess.isAlive(pid)) {
+        this.markExited();
+      }
+    }, pollInterval);
+  }
+
+  static isAlive(pid) {
+    try {
+      process.kill(pid, 0);
+      return true;
+    } catch (error) {
+      // EPERM means the process exists but belongs to someone else
+      return error.code === 'EPERM';
+    }
+  }
+
+  kill(signal = 'SIGTERM') {
+    try {
+      process.kill(this.pid, signal);
+      return true;
+    } catch (error) {
+      return false;
+    }
+  }
+
+  markExited() {
+    if (this.exited) {
+      return;
+    }
+    this.exited = true;
+    clearInterval(this.pollTimer);
+    // The real exit code is not available for a process we did not spawn
+    this.emit('exit', null, null);
+    this.emit('close', null, null);
+  }
+}
+
+/**
+ * Server process control and monitoring for one server instance
+ */
+class ServerControl extends EventEmitter {
+  constructor(instanceId, rconManager, serverConsole) {
+    super();
+    this.instanceId = instanceId;
+    this.rconManager = rconManager;
+    this.serverConsole = serverConsole;
     this.serverProcess = null;
     this.serverPath = null;
     this.isRunning = false;
     this.monitoringInterval = null;
+    this.launchInfo = null;
+    // Last total CPU time reading, to work out current CPU use from
+    this.cpuSample = null;
+    this.isStopping = false;
+    this.shutdownTimeoutSeconds = 60;
+    this.shutdownKickMessage = 'Server is shutting down, please reconnect shortly';
     this.scheduledRestarts = [];
+    this.countdownRestarts = [];
+    this.schedulesLoaded = false;
+    // A run missed while the app was closed still happens if it is at most this late
+    this.missedRestartGraceMinutes = 10;
   }
 
   /**
    * Start the DayZ server
+   * Pre-launch check errors block the start unless options.override is set
    */
-  async startServer(serverPath, profileName = 'default', parameters = []) {
+  async startServer(serverPath, profileName = 'default', parameters = [], options = {}) {
     if (this.isRunning) {
       throw new Error('Server is already running');
     }
@@ -28,6 +101,20 @@ class ServerControl {
       throw new Error('Server process already exists');
     }
 
+    // The mod list is resolved on every start so restarts pick up changes to it,
+    // the other arguments come from the instance's selected launch profile
+    const plan = await launchPlanner.plan(this.instanceId, { serverPath, profileName, parameters });
+    const args = plan.args;
+    plan.warnings.forEach(warning => console.warn(warning));
+
+    const validation = await launchValidator.validate(this.instanceId, { plan });
+    if (validation.errors.length > 0) {
+      if (!options.override) {
+        throw await this.createValidationError(validation);
+      }
+      console.warn('Starting despite failed pre-launch checks:', validation.errors.map(e => e.message).join('; '));
+    }
+
     try {
       // Validate server path exists
       if (!await fs.pathExists(serverPath)) {
@@ -41,6 +128,17 @@ class ServerControl {
       await fs.ensureDir(profilePath);
       console.log(`Ensured profile directory exists: ${profilePath}`);
 
+      // Make sure BattlEye RCon is configured and the app can connect to it
+      let rconConfig = null;
+      try {
+        rconConfig = await battlEyeConfig.ensureConfig(serverPath, profileName, this.instanceId);
+        if (rconConfig.created) {
+          console.log(`Created BattlEye config: ${rconConfig.path}`);
+        }
+      } catch (error) {
+        console.warn('Could not prepare BattlEye config:', error);
+      }
+
       // Find server executable
       const serverExe = this.getServerExecutable(serverPath);
       console.log('Looking for server executable at:', serverExe);
@@ -53,32 +151,31 @@ class ServerControl {
         throw new Error(`Server executable not found at: ${serverExe}`);
       }
 
-      // Build command - profiles is always included as a default parameter
-      const defaultParams = [
-        '-config=serverDZ.cfg',
-        `-profiles=${profileName}`,
-        '-dologs',
-        '-adminlog',
-        '-netlog'
-      ];
-
-      // Filter out any duplicate -profiles parameter from additional parameters
-      const filteredParams = parameters.filter(param => !param.startsWith('-profiles='));
-      const allParams = [...defaultParams, ...filteredParams];
       const command = serverExe;
-      const args = allParams;
 
-      console.log('Starting server:', command, args.join(' '));
+      console.log('Starting server:', launchProfiles.formatCommandLine(command, args));
 
       // Start server process with error handling
       let processError = null;
       
-      this.serverProcess = spawn(command, args, {
-        cwd: serverPath,
-        detached: false,
-        stdio: ['ignore', 'pipe', 'pipe'],
-        shell: false
-      });
+      // Output goes to files rather than pipes, a server that outlives the app would be
+      // killed writing to a closed pipe, and a re-attached server can still be followed
+      const output = await this.serverConsole.openOutput();
+
+      // On Linux/Mac the server gets its own process group so signals to the app
+      // (e.g. its terminal closing) do not take the server down with it
+      try {
+        this.serverProcess = spawn(command, args, {
+          cwd: serverPath,
+          detached: process.platform !== 'win32',
+          stdio: ['ignore', output.stdout, output.stderr],
+          shell: false
+        });
+      } finally {
+        // The child has its own copies, closing ours synchronously keeps the error handler below in time
+        fs.closeSync(output.stdout);
+        fs.closeSync(output.stderr);
+      }
 
       // Set up error handler immediately
       this.serverProcess.on('error', (error) => {
@@ -113,21 +210,28 @@ class ServerControl {
 
       this.serverPath = serverPath;
       this.isRunning = true;
+      this.launchInfo = {
+        serverPath,
+        profileName,
+        parameters,
+        args,
+        startedAt: new Date().toISOString()
+      };
 
       // Handle process events (set up after confirming process started)
-      this.serverProcess.stdout.on('data', (data) => {
-        console.log(`Server stdout: ${data}`);
-      });
+      const child = this.serverProcess;
 
-      this.serverProcess.stderr.on('data', (data) => {
-        console.error(`Server stderr: ${data}`);
-      });
+      this.serverConsole.addMarker(`Server started (PID ${child.pid}, profile ${profileName})`);
+      plan.warnings.forEach(warning => this.serverConsole.addMarker(warning));
+      this.serverConsole.tailOutput();
 
-      this.serverProcess.on('close', (code) => {
-        console.log(`Server process exited with code ${code}`);
-        this.isRunning = false;
-        this.serverProcess = null;
-      });
+      // Unless servers are stopped on quit, the server outlives the app
+      if (!(config.get('preferences') || {}).stopServersOnQuit) {
+        child.unref();
+      }
+
+      this.attachProcess(child, this.launchInfo);
+      await this.saveRunningServer(child.pid, this.launchInfo, serverExe);
 
       // Start monitoring
       this.startMonitoring();
@@ -135,6 +239,8 @@ class ServerControl {
       return {
         success: true,
         pid: this.serverProcess.pid,
+        rconPort: rconConfig ? parseInt(rconConfig.settings.RConPort) : null,
+        validation,
         message: 'Server started successfully'
       };
     } catch (error) {
@@ -152,71 +258,431 @@ class ServerControl {
   }
 
   /**
-   * Stop the server
+   * Error for failed pre-launch checks, with the report attached
+   * Port conflicts also get a free port block to switch to
    */
-  async stopServer() {
-    if (!this.isRunning || !this.serverProcess) {
-      throw new Error('Server is not running');
+  async createValidationError(validation) {
+    const error = new Error(`Pre-launch checks failed: ${validation.errors.map(e => e.message).join('; ')}`);
+    error.validation = validation;
+    if (validation.portConflicts.length > 0) {
+      error.portConflicts = validation.portConflicts;
+      try {
+        error.suggestedPorts = await portAllocator.suggestPorts(this.instanceId);
+      } catch (suggestError) {
+        error.suggestedPorts = null;
+      }
     }
+    return error;
+  }
+
+  /**
+   * Track exit of the current server process
+   */
+  attachProcess(child, launchInfo) {
+    child.on('close', (code, signal) => {
+      console.log(`Server process exited with code ${code}`);
+      // Read the server's last output before marking the exit
+      this.serverConsole.stopTailing()
+        .then(() => this.serverConsole.addMarker(`Server exited (code ${code}${signal ? `, signal ${signal}` : ''})`));
+
+      // A restart may already have started a new process
+      if (this.serverProcess === child) {
+        this.isRunning = false;
+        this.serverProcess = null;
+        this.stopMonitoring();
+        this.saveRunningServer(null);
+      }
+
+      this.emit('exit', {
+        ...launchInfo,
+        instanceId: this.instanceId,
+        pid: child.pid,
+        code,
+        signal,
+        expected: Boolean(child.stopRequested),
+        exitedAt: new Date().toISOString()
+      });
+    });
+  }
 
+  /**
+   * Remember the running server so a later run of the app can re-attach to it
+   */
+  async saveRunningServer(pid, launchInfo = null, executable = null) {
+    const record = pid ? { pid, executable, ...launchInfo } : null;
     try {
-      this.stopMonitoring();
-      
-      // Try graceful shutdown first
+      await config.setInstanceValue('runningServer', record, this.instanceId);
+    } catch (error) {
+      console.warn('Could not save running server info:', error);
+    }
+  }
+
+  /**
+   * Re-attach to a server left running by an earlier run of the app
+   * The saved PID is only adopted if it still belongs to the DayZ server
+   * started at the saved time, since PIDs get reused
+   */
+  async reattach() {
+    const record = config.getInstanceValue('runningServer', this.instanceId);
+    const result = { adopted: false, pid: null };
+
+    if (record && record.pid && !this.isRunning) {
+      const info = await this.getProcessInfo(record.pid);
+      const expectedExe = path.basename(record.executable || this.getServerExecutable(record.serverPath)).toLowerCase();
+
+      let matches = Boolean(info) && Boolean(info.executable) && path.basename(info.executable).toLowerCase() === expectedExe;
+      if (matches && info.startedAt && record.startedAt) {
+        // Allow for the spawn delay and clock rounding
+        matches = Math.abs(new Date(info.startedAt) - new Date(record.startedAt)) < 2 * 60 * 1000;
+      }
+
+      if (matches) {
+        const child = new AdoptedProcess(record.pid);
+        this.serverProcess = child;
+        this.serverPath = record.serverPath;
+        this.isRunning = true;
+        this.launchInfo = {
+          serverPath: record.serverPath,
+          profileName: record.profileName,
+          parameters: record.parameters || [],
+          args: record.args || null,
+          startedAt: record.startedAt
+        };
+        this.attachProcess(child, this.launchInfo);
+        this.startMonitoring();
+        // Continue following its output files from where the last run of the app stopped
+        this.serverConsole.addMarker(`Re-attached to server (PID ${record.pid})`);
+        this.serverConsole.tailOutput(true);
+
+        result.adopted = true;
+        result.pid = record.pid;
+        console.log(`Re-attached to running server (PID ${record.pid})`);
+      } else {
+        await this.saveRunningServer(null);
+      }
+    }
+
+    return result;
+  }
+
+  /**
+   * Get executable path and start time of a process, or null if it is not running
+   */
+  getProcessInfo(pid) {
+    return new Promise((resolve) => {
+      if (!AdoptedProcess.isAlive(pid)) {
+        resolve(null);
+        return;
+      }
+
       if (process.platform === 'win32') {
-        // Windows: Use taskkill
-        exec(`taskkill /PID ${this.serverProcess.pid} /T /F`, (error) => {
+        exec(`wmic process where processid=${pid} get ExecutablePath,CreationDate /format:list`, (error, stdout) => {
           if (error) {
-            console.error('Error stopping server:', error);
+            resolve({ pid, executable: null, startedAt: null });
+            return;
           }
+
+          const executable = (stdout.match(/ExecutablePath=(.*)/) || [])[1];
+          // CreationDate looks like 20240101123045.123456+060 in local time
+          const created = (stdout.match(/CreationDate=(\d{14})/) || [])[1];
+          let startedAt = null;
+          if (created) {
+            const [, y, mo, d, h, mi, se] = created.match(/(\d{4})(\d{2})(\d{2})(\d{2})(\d{2})(\d{2})/);
+            startedAt = new Date(y, mo - 1, d, h, mi, se).toISOString();
+          }
+          resolve({ pid, executable: executable ? executable.trim() : null, startedAt });
         });
       } else {
-        // Linux/Mac: Send SIGTERM then SIGKILL
-        this.serverProcess.kill('SIGTERM');
-        setTimeout(() => {
-          if (this.serverProcess && !this.serverProcess.killed) {
-            this.serverProcess.kill('SIGKILL');
+        exec(`ps -p ${pid} -o lstart=,args=`, (error, stdout) => {
+          if (error || !stdout.trim()) {
+            resolve({ pid, executable: null, startedAt: null });
+            return;
           }
-        }, 5000);
+
+          // lstart is a fixed 24 character date, e.g. "Mon Jan  1 12:30:45 2024"
+          const line = stdout.trim();
+          const started = new Date(line.slice(0, 24));
+          const executable = line.slice(24).trim().split(/\s+/)[0];
+          resolve({
+            pid,
+            executable,
+            startedAt: isNaN(started.getTime()) ? null : started.toISOString()
+          });
+        });
       }
+    });
+  }
 
-      this.isRunning = false;
-      this.serverProcess = null;
+  /**
+   * Find DayZ server processes that this app does not control
+   * Processes holding this instance's game or RCON ports are reported with the port
+   * knownPids are servers run by other instances, which are not orphans either
+   */
+  async findOrphanedServers(knownPids = []) {
+    const exeName = path.basename(this.getServerExecutable('')).toLowerCase();
+    const ownPids = [...knownPids, this.serverProcess ? this.serverProcess.pid : null];
+    const args = this.launchInfo && this.launchInfo.args
+      ? this.launchInfo.args
+      : launchProfiles.buildLaunchArgs(this.instanceId, config.getInstanceValue('profileName', this.instanceId));
+    const gamePort = portAllocator.getGamePort(this.instanceId, args);
+    const ports = [gamePort, config.getRCONConfig(this.instanceId).port]
+      .filter(port => Number.isInteger(port));
+
+    const [processes, portOwners] = await Promise.all([
+      this.listServerProcesses(exeName),
+      portAllocator.getPortOwners(ports)
+    ]);
+
+    const orphans = new Map();
+    for (const pid of processes) {
+      if (!ownPids.includes(pid)) {
+        orphans.set(pid, { pid, ports: [] });
+      }
+    }
+    for (const { pid, port } of portOwners) {
+      if (orphans.has(pid)) {
+        orphans.get(pid).ports.push(port);
+      }
+    }
+
+    return Array.from(orphans.values());
+  }
+
+  /**
+   * List PIDs of processes running the server executable
+   */
+  listServerProcesses(exeName) {
+    return new Promise((resolve) => {
+      const command = process.platform === 'win32'
+        ? `tasklist /FI "IMAGENAME eq ${exeName}" /FO CSV /NH`
+        : 'ps -eo pid=,comm=';
+
+      exec(command, (error, stdout) => {
+        if (error) {
+          resolve([]);
+          return;
+        }
+
+        const pids = [];
+        for (const line of stdout.split(/\r?\n/)) {
+          if (process.platform === 'win32') {
+            const match = line.match(/^"([^"]+)","(\d+)"/);
+            if (match && match[1].toLowerCase() === exeName) {
+              pids.push(parseInt(match[2]));
+            }
+          } else {
+            const match = line.trim().match(/^(\d+)\s+(.+)$/);
+            if (match && match[2].toLowerCase() === exeName) {
+              pids.push(parseInt(match[1]));
+            }
+          }
+        }
+        resolve(pids);
+      });
+    });
+  }
+
+  /**
+   * Stop the server
+   * Kicks players and sends #shutdown over RCON so the server can save, and
+   * only kills the process if that is not possible or it does not exit in time.
+   * Pass { force: true } to skip straight to killing the process.
+   */
+  async stopServer(options = {}) {
+    if (!this.isRunning || !this.serverProcess) {
+      throw new Error('Server is not running');
+    }
+    if (this.isStopping) {
+      throw new Error('Server is already stopping');
+    }
+
+    const child = this.serverProcess;
+    this.isStopping = true;
+
+    try {
+      this.stopMonitoring();
+
+      // Lets the exit handler tell a requested stop from a crash
+      child.stopRequested = true;
+
+      let method = 'forced';
+      let reason = options.force ? 'Forced stop requested' : null;
+      let kickedPlayers = 0;
+
+      if (!options.force && !this.rconManager.isConnected) {
+        reason = 'RCON is not connected';
+      }
+
+      if (!options.force && this.rconManager.isConnected) {
+        // Players not being kicked must not keep the server from saving on #shutdown
+        try {
+          kickedPlayers = await this.kickAllPlayers(options.kickMessage || this.shutdownKickMessage);
+        } catch (error) {
+          console.warn('Could not kick players before shutdown:', error);
+        }
+
+        try {
+          await this.rconManager.shutdown();
+
+          if (await this.waitForExit(child, (options.timeoutSeconds || this.shutdownTimeoutSeconds) * 1000)) {
+            method = 'graceful';
+          } else {
+            reason = 'Server did not exit after #shutdown';
+          }
+        } catch (error) {
+          reason = `RCON shutdown failed: ${error.message}`;
+        }
+      }
+
+      if (method === 'forced') {
+        console.warn(`Forcing server stop: ${reason}`);
+        await this.killProcess(child);
+      }
+
+      if (this.serverProcess === child) {
+        this.isRunning = false;
+        this.serverProcess = null;
+      }
 
-      return { success: true, message: 'Server stopped successfully' };
+      return {
+        success: true,
+        method,
+        reason,
+        kickedPlayers,
+        message: method === 'graceful'
+          ? 'Server shut down gracefully'
+          : `Server process was killed (${reason})`
+      };
     } catch (error) {
       throw new Error(`Failed to stop server: ${error.message}`);
+    } finally {
+      this.isStopping = false;
+    }
+  }
+
+  /**
+   * Kick every connected player with a message, returning how many were kicked
+   */
+  async kickAllPlayers(message) {
+    const players = await this.rconManager.getPlayers();
+    let kicked = 0;
+
+    for (const player of players) {
+      try {
+        await this.rconManager.kickPlayer(player.slot, message);
+        kicked++;
+      } catch (error) {
+        console.warn(`Failed to kick player #${player.slot}:`, error);
+      }
+    }
+
+    return kicked;
+  }
+
+  /**
+   * Wait for a process to exit, resolving false on timeout
+   */
+  waitForExit(child, timeoutMs) {
+    if (child.exitCode !== null || child.signalCode !== null || child.exited) {
+      return Promise.resolve(true);
+    }
+
+    return new Promise((resolve) => {
+      const timer = setTimeout(() => {
+        child.removeListener('exit', onExit);
+        resolve(false);
+      }, timeoutMs);
+
+      const onExit = () => {
+        clearTimeout(timer);
+        resolve(true);
+      };
+
+      child.once('exit', onExit);
+    });
+  }
+
+  /**
+   * Kill the server process (and its children on Windows)
+   */
+  async killProcess(child) {
+    if (process.platform === 'win32') {
+      // Windows: Use taskkill
+      exec(`taskkill /PID ${child.pid} /T /F`, (error) => {
+        if (error) {
+          console.error('Error stopping server:', error);
+        }
+      });
+    } else {
+      // Linux/Mac: Send SIGTERM then SIGKILL
+      child.kill('SIGTERM');
+      if (!await this.waitForExit(child, 5000)) {
+        child.kill('SIGKILL');
+      }
     }
+
+    await this.waitForExit(child, 5000);
   }
 
   /**
    * Restart the server
    */
-  async restartServer(serverPath, profileName, parameters, countdownSeconds = 0) {
+  async restartServer(serverPath, profileName, parameters, countdownSeconds = 0, stopOptions = {}) {
     if (countdownSeconds > 0) {
       // Restart with countdown
       return await this.restartWithCountdown(serverPath, profileName, parameters, countdownSeconds);
     }
 
+    // Check before stopping so a failing check leaves the server running,
+    // its ports are checked once it has stopped. A forced restart (hung server) stops regardless
+    if (this.isRunning && !stopOptions.force) {
+      const validation = await launchValidator.validate(this.instanceId, { serverPath, profileName, parameters, skipPorts: true });
+      if (validation.errors.length > 0) {
+        throw await this.createValidationError(validation);
+      }
+    }
+
     // Immediate restart
+    let stopResult = null;
     if (this.isRunning) {
-      await this.stopServer();
+      stopResult = await this.stopServer(stopOptions);
       // Wait a bit for process to fully stop
       await new Promise(resolve => setTimeout(resolve, 2000));
     }
 
-    return await this.startServer(serverPath, profileName, parameters);
+    const result = await this.startServer(serverPath, profileName, parameters);
+    return {
+      ...result,
+      stopMethod: stopResult ? stopResult.method : null,
+      stopReason: stopResult ? stopResult.reason : null
+    };
   }
 
   /**
    * Restart with countdown
+   * The countdown runs as a pending restart so players get the RCON warnings
    */
   async restartWithCountdown(serverPath, profileName, parameters, countdownSeconds) {
-    // This will be handled by the UI showing countdown
-    // The actual restart happens after countdown
+    const restart = {
+      id: Date.now().toString(),
+      nextRun: new Date(Date.now() + countdownSeconds * 1000).toISOString(),
+      serverPath,
+      profileName,
+      parameters,
+      countdown: true,
+      warningsSent: []
+    };
+    this.countdownRestarts.push(restart);
+
+    // Send the first warning straight away rather than on the next check
+    if (this.isRunning) {
+      await restartWarnings.checkWarnings(restart, countdownSeconds, this.rconManager);
+    }
+
     return {
       success: true,
       countdown: countdownSeconds,
+      restartId: restart.id,
       message: `Server will restart in ${countdownSeconds} seconds`
     };
   }
@@ -227,79 +693,111 @@ class ServerControl {
   getServerStatus() {
     return {
       isRunning: this.isRunning,
-      pid: this.serverProcess ? this.serverProcess.pid : null
+      pid: this.serverProcess ? this.serverProcess.pid : null,
+      adopted: Boolean(this.serverProcess && this.serverProcess.adopted),
+      startedAt: this.launchInfo && this.isRunning ? this.launchInfo.startedAt : null
     };
   }
 
   /**
-   * Get server process stats (CPU, RAM)
+   * Get memory use and current CPU use of the server process
+   * cpu is in percent of one core (like top) over the time since the previous sample,
+   * cpuMeasured is false until two samples exist or when the process could not be read
    */
   async getProcessStats() {
+    const empty = { cpu: 0, cpuMeasured: false, memory: 0, memoryMB: 0 };
     if (!this.isRunning || !this.serverProcess) {
-      return {
-        cpu: 0,
-        memory: 0,
-        memoryMB: 0
-      };
+      return empty;
     }
 
     try {
       const pid = this.serverProcess.pid;
-      
-      if (process.platform === 'win32') {
-        // Windows: Use wmic
-        return new Promise((resolve) => {
-          exec(`wmic process where processid=${pid} get WorkingSetSize,PercentProcessorTime /format:list`, (error, stdout) => {
-            if (error) {
-              resolve({ cpu: 0, memory: 0, memoryMB: 0 });
-              return;
-            }
+      const usage = await this.readProcessUsage(pid);
+      if (!usage) {
+        return empty;
+      }
 
-            const lines = stdout.split('\n');
-            let memory = 0;
-            let cpu = 0;
-
-            for (const line of lines) {
-              if (line.startsWith('WorkingSetSize=')) {
-                memory = parseInt(line.split('=')[1]) || 0;
-              }
-              if (line.startsWith('PercentProcessorTime=')) {
-                cpu = parseFloat(line.split('=')[1]) || 0;
-              }
-            }
+      const cpu = this.measureCpu(pid, usage.cpuSeconds);
+      return {
+        cpu: cpu === null ? 0 : cpu,
+        cpuMeasured: cpu !== null,
+        memory: usage.memory,
+        memoryMB: Math.round(usage.memory / 1024 / 1024)
+      };
+    } catch (error) {
+      console.error('Error getting process stats:', error);
+      return empty;
+    }
+  }
+
+  /**
+   * Read the total CPU time (seconds) and memory (bytes) a process has used
+   * wmic's Win32_Process has no CPU percentage and ps %cpu on Linux is a lifetime average,
+   * so CPU load is worked out from the change in total CPU time between samples
+   */
+  readProcessUsage(pid) {
+    return new Promise((resolve) => {
+      if (process.platform === 'win32') {
+        exec(`wmic process where processid=${pid} get WorkingSetSize,KernelModeTime,UserModeTime /format:list`, (error, stdout) => {
+          if (error) {
+            resolve(null);
+            return;
+          }
 
-            resolve({
-              cpu: cpu / 100, // Convert to percentage
-              memory: memory,
-              memoryMB: Math.round(memory / 1024 / 1024)
-            });
+          const value = (name) => parseInt((stdout.match(new RegExp(`${name}=(\\d+)`)) || [])[1]) || 0;
+          resolve({
+            // Kernel and user time are in 100 ns units
+            cpuSeconds: (value('KernelModeTime') + value('UserModeTime')) / 1e7,
+            memory: value('WorkingSetSize')
           });
         });
+      } else if (process.platform === 'linux') {
+        Promise.all([
+          fs.readFile(`/proc/${pid}/stat`, 'utf-8'),
+          fs.readFile(`/proc/${pid}/status`, 'utf-8')
+        ]).then(([stat, status]) => {
+          // Fields after the command name, which is in brackets and may contain spaces
+          const fields = stat.slice(stat.lastIndexOf(')') + 2).split(' ');
+          // utime and stime are in clock ticks, 100 per second on Linux
+          const ticks = parseInt(fields[11]) + parseInt(fields[12]);
+          const rssKB = parseInt((status.match(/VmRSS:\s+(\d+)/) || [])[1]) || 0;
+          resolve({ cpuSeconds: ticks / 100, memory: rssKB * 1024 });
+        }).catch(() => resolve(null));
       } else {
-        // Linux/Mac: Use ps
-        return new Promise((resolve) => {
-          exec(`ps -p ${pid} -o %cpu,rss --no-headers`, (error, stdout) => {
-            if (error) {
-              resolve({ cpu: 0, memory: 0, memoryMB: 0 });
-              return;
-            }
-
-            const parts = stdout.trim().split(/\s+/);
-            const cpu = parseFloat(parts[0]) || 0;
-            const memoryKB = parseInt(parts[1]) || 0;
+        exec(`ps -p ${pid} -o time=,rss=`, (error, stdout) => {
+          if (error || !stdout.trim()) {
+            resolve(null);
+            return;
+          }
 
-            resolve({
-              cpu: cpu,
-              memory: memoryKB * 1024,
-              memoryMB: Math.round(memoryKB / 1024)
-            });
-          });
+          // time is [[DD-]HH:]MM:SS.ss of total CPU time
+          const [time, rss] = stdout.trim().split(/\s+/);
+          const [days, clock] = time.includes('-') ? time.split('-') : ['0', time];
+          const cpuSeconds = clock.split(':').reduce((total, part) => total * 60 + parseFloat(part), 0) + parseInt(days) * 86400;
+          resolve({ cpuSeconds, memory: (parseInt(rss) || 0) * 1024 });
         });
       }
-    } catch (error) {
-      console.error('Error getting process stats:', error);
-      return { cpu: 0, memory: 0, memoryMB: 0 };
+    });
+  }
+
+  /**
+   * CPU use in percent of one core since the previous sample, or null without one
+   * Samples closer together than a second are too noisy, the last value is kept for them
+   */
+  measureCpu(pid, cpuSeconds) {
+    const now = Date.now();
+    const previous = this.cpuSample;
+
+    if (previous && previous.pid === pid && now - previous.at < 1000) {
+      return previous.cpu;
+    }
+
+    let cpu = null;
+    if (previous && previous.pid === pid && cpuSeconds >= previous.cpuSeconds) {
+      cpu = Math.round(((cpuSeconds - previous.cpuSeconds) / ((now - previous.at) / 1000)) * 1000) / 10;
     }
+    this.cpuSample = { pid, cpuSeconds, at: now, cpu };
+    return cpu;
   }
 
   /**
@@ -370,60 +868,312 @@ class ServerControl {
    * Get server executable path
    */
   getServerExecutable(serverPath) {
-    if (process.platform === 'win32') {
-      return path.join(serverPath, 'DayZServer_x64.exe');
-    } else {
-      return path.join(serverPath, 'DayZServer');
+    return launchPlanner.getServerExecutable(serverPath);
+  }
+
+  /**
+   * Load saved restart schedules, skipping runs missed while the app was closed
+   */
+  async loadScheduledRestarts() {
+    const now = new Date();
+    const grace = this.missedRestartGraceMinutes * 60000;
+    let changed = false;
+
+    this.scheduledRestarts = (config.getInstanceValue('scheduledRestarts', this.instanceId) || []).map(schedule => ({
+      ...schedule,
+      warningsSent: []
+    }));
+
+    for (const schedule of this.scheduledRestarts) {
+      if (!schedule.nextRun) {
+        continue;
+      }
+
+      const late = now - new Date(schedule.nextRun);
+      if (late > grace) {
+        console.log(`Skipping missed restart ${schedule.id} due at ${schedule.nextRun}`);
+        schedule.lastMissed = schedule.nextRun;
+        schedule.nextRun = this.computeNextRun(schedule, now);
+        changed = true;
+      }
     }
+
+    // One-off restarts that were missed will never run
+    const remaining = this.scheduledRestarts.filter(schedule => schedule.nextRun);
+    if (remaining.length !== this.scheduledRestarts.length) {
+      this.scheduledRestarts = remaining;
+      changed = true;
+    }
+
+    this.schedulesLoaded = true;
+    if (changed) {
+      await this.saveScheduledRestarts();
+    }
+    return this.scheduledRestarts;
+  }
+
+  /**
+   * Save restart schedules to config.json
+   */
+  async saveScheduledRestarts() {
+    const schedules = this.scheduledRestarts.map(({ warningsSent, ...schedule }) => schedule);
+    return await config.setInstanceValue('scheduledRestarts', schedules, this.instanceId);
   }
 
   /**
    * Schedule a restart
+   * The rule is either an ISO time for a one-off restart or an object:
+   * { repeat: 'once', time }
+   * { repeat: 'daily', times: ['00:00', '12:00'] }
+   * { repeat: 'weekly', times: ['06:00'], weekdays: [1, 3, 5] }
+   * { repeat: 'interval', intervalHours: 4, startTime: '00:00' }
    */
-  scheduleRestart(time, serverPath, profileName, parameters) {
-    const restart = {
+  async scheduleRestart(rule, serverPath, profileName, parameters) {
+    const schedule = {
       id: Date.now().toString(),
-      time: time,
+      ...this.validateRestartRule(typeof rule === 'string' ? { repeat: 'once', time: rule } : rule),
       serverPath,
       profileName,
       parameters,
-      executed: false
+      created: new Date().toISOString(),
+      lastRun: null,
+      warningsSent: []
     };
 
-    this.scheduledRestarts.push(restart);
-    return restart;
+    schedule.nextRun = this.computeNextRun(schedule, new Date());
+    if (!schedule.nextRun) {
+      throw new Error('Restart time must be in the future');
+    }
+
+    this.scheduledRestarts.push(schedule);
+    await this.saveScheduledRestarts();
+    return schedule;
+  }
+
+  /**
+   * Validate a restart rule, returning only the fields it uses
+   */
+  validateRestartRule(rule) {
+    const repeat = rule.repeat || 'once';
+
+    if (repeat === 'once') {
+      const time = new Date(rule.time);
+      if (isNaN(time.getTime())) {
+        throw new Error(`Invalid restart time: ${rule.time}`);
+      }
+      return { repeat, time: time.toISOString() };
+    }
+
+    if (repeat === 'interval') {
+      const intervalHours = parseInt(rule.intervalHours);
+      if (!Number.isInteger(intervalHours) || intervalHours < 1 || intervalHours > 24) {
+        throw new Error('Restart interval must be between 1 and 24 hours');
+      }
+      return { repeat, intervalHours, startTime: this.validateTimeOfDay(rule.startTime || '00:00') };
+    }
+
+    if (repeat !== 'daily' && repeat !== 'weekly') {
+      throw new Error(`Unknown restart repeat: ${repeat}`);
+    }
+
+    const timesList = Array.isArray(rule.times) ? rule.times : String(rule.times || '').split(/[\s,]+/);
+    const times = [...new Set(timesList.filter(t => t).map(t => this.validateTimeOfDay(t)))].sort();
+    if (times.length === 0) {
+      throw new Error('At least one restart time is required');
+    }
+
+    if (repeat === 'daily') {
+      return { repeat, times };
+    }
+
+    const weekdays = [...new Set((rule.weekdays || []).map(d => parseInt(d)))].sort();
+    if (weekdays.length === 0 || weekdays.some(d => !Number.isInteger(d) || d < 0 || d > 6)) {
+      throw new Error('Weekly restarts need at least one weekday (0 = Sunday to 6 = Saturday)');
+    }
+    return { repeat, times, weekdays };
+  }
+
+  /**
+   * Validate an "HH:MM" time of day
+   */
+  validateTimeOfDay(value) {
+    const match = String(value).trim().match(/^(\d{1,2}):(\d{2})$/);
+    if (!match || parseInt(match[1]) > 23 || parseInt(match[2]) > 59) {
+      throw new Error(`Invalid time of day (expected HH:MM): ${value}`);
+    }
+    return `${match[1].padStart(2, '0')}:${match[2]}`;
+  }
+
+  /**
+   * Get the daily restart times for a rule
+   * Interval rules start again from startTime each day
+   */
+  getRestartTimes(schedule) {
+    if (schedule.repeat !== 'interval') {
+      return schedule.times || [];
+    }
+
+    const [hours, minutes] = schedule.startTime.split(':').map(Number);
+    const times = [];
+    for (let offset = 0; offset < 24 * 60; offset += schedule.intervalHours * 60) {
+      const total = (hours * 60 + minutes + offset) % (24 * 60);
+      times.push(`${String(Math.floor(total / 60)).padStart(2, '0')}:${String(total % 60).padStart(2, '0')}`);
+    }
+    return times.sort();
+  }
+
+  /**
+   * Compute the next run of a schedule after a given time (local time of day)
+   */
+  computeNextRun(schedule, from = new Date()) {
+    if (schedule.repeat === 'once') {
+      return new Date(schedule.time) > from ? schedule.time : null;
+    }
+
+    const times = this.getRestartTimes(schedule);
+    for (let dayOffset = 0; dayOffset <= 7; dayOffset++) {
+      const day = new Date(from);
+      day.setDate(day.getDate() + dayOffset);
+
+      if (schedule.repeat === 'weekly' && !schedule.weekdays.includes(day.getDay())) {
+        continue;
+      }
+
+      for (const time of times) {
+        const [hours, minutes] = time.split(':').map(Number);
+        const candidate = new Date(day);
+        candidate.setHours(hours, minutes, 0, 0);
+        if (candidate > from) {
+          return candidate.toISOString();
+        }
+      }
+    }
+
+    return null;
   }
 
   /**
-   * Cancel scheduled restart
+   * Cancel a restart schedule or countdown, telling players if they were already warned
    */
-  cancelScheduledRestart(id) {
+  async cancelScheduledRestart(id) {
+    const countdown = this.countdownRestarts.find(r => r.id === id);
+    if (countdown) {
+      this.countdownRestarts = this.countdownRestarts.filter(r => r.id !== id);
+      await restartWarnings.sendCancelled(countdown, this.rconManager);
+      return;
+    }
+
+    const schedule = this.scheduledRestarts.find(r => r.id === id);
+    if (!schedule) {
+      return;
+    }
+
     this.scheduledRestarts = this.scheduledRestarts.filter(r => r.id !== id);
+    await this.saveScheduledRestarts();
+    await restartWarnings.sendCancelled(schedule, this.rconManager);
   }
 
   /**
-   * Get scheduled restarts
+   * Get upcoming restart occurrences, soonest first
    */
-  getScheduledRestarts() {
-    return this.scheduledRestarts.filter(r => !r.executed);
+  getScheduledRestarts(limit = 20) {
+    const occurrences = this.countdownRestarts.map(restart => ({
+      id: restart.id,
+      time: restart.nextRun,
+      repeat: 'once',
+      countdown: true,
+      profileName: restart.profileName
+    }));
+
+    for (const schedule of this.scheduledRestarts) {
+      let next = schedule.nextRun;
+      // Show the next few occurrences of each recurring schedule
+      for (let i = 0; next && i < 5; i++) {
+        occurrences.push({
+          id: schedule.id,
+          time: next,
+          repeat: schedule.repeat,
+          times: schedule.times,
+          weekdays: schedule.weekdays,
+          intervalHours: schedule.intervalHours,
+          startTime: schedule.startTime,
+          profileName: schedule.profileName,
+          lastRun: schedule.lastRun,
+          lastMissed: schedule.lastMissed || null
+        });
+        if (schedule.repeat === 'once') {
+          break;
+        }
+        next = this.computeNextRun(schedule, new Date(next));
+      }
+    }
+
+    occurrences.sort((a, b) => new Date(a.time) - new Date(b.time));
+    return occurrences.slice(0, limit);
   }
 
   /**
-   * Check and execute scheduled restarts
+   * Check and execute due restarts, broadcasting warnings as they approach
    */
   async checkScheduledRestarts() {
+    if (!this.schedulesLoaded) {
+      return;
+    }
+
     const now = new Date();
-    
-    for (const restart of this.scheduledRestarts) {
-      if (!restart.executed && new Date(restart.time) <= now) {
-        restart.executed = true;
+
+    for (const restart of [...this.countdownRestarts]) {
+      const remainingSeconds = (new Date(restart.nextRun) - now) / 1000;
+      if (remainingSeconds <= 0) {
+        this.countdownRestarts = this.countdownRestarts.filter(r => r !== restart);
         if (this.isRunning) {
-          await this.restartServer(restart.serverPath, restart.profileName, restart.parameters);
+          await this.runDueRestart(restart);
         }
+      } else if (this.isRunning) {
+        await restartWarnings.checkWarnings(restart, remainingSeconds, this.rconManager);
+      }
+    }
+
+    for (const schedule of [...this.scheduledRestarts]) {
+      if (!schedule.nextRun) {
+        continue;
+      }
+
+      const remainingSeconds = (new Date(schedule.nextRun) - now) / 1000;
+      if (remainingSeconds > 0) {
+        if (this.isRunning) {
+          await restartWarnings.checkWarnings(schedule, remainingSeconds, this.rconManager);
+        }
+        continue;
+      }
+
+      // Advance before restarting so a slow restart is not triggered twice
+      schedule.lastRun = now.toISOString();
+      schedule.nextRun = this.computeNextRun(schedule, now);
+      schedule.warningsSent = [];
+      if (!schedule.nextRun) {
+        this.scheduledRestarts = this.scheduledRestarts.filter(r => r !== schedule);
+      }
+      await this.saveScheduledRestarts();
+
+      if (this.isRunning) {
+        await this.runDueRestart(schedule);
       }
     }
   }
-}
 
-module.exports = new ServerControl();
+  /**
+   * Restart for a countdown or schedule, a failure (e.g. pre-launch checks) is logged
+   * so the remaining restarts are still checked
+   */
+  async runDueRestart(restart) {
+    try {
+      await this.restartServer(restart.serverPath, restart.profileName, restart.parameters);
+    } catch (error) {
+      console.error('Scheduled restart failed:', error);
+      this.serverConsole.addMarker(`Scheduled restart failed: ${error.message}`);
+    }
+  }
+}
 
+module.exports = ServerControl;
@@ -1,6 +1,8 @@
 const fs = require('fs-extra');
 const path = require('path');
 const steamcmd = require('./steamcmd');
+const config = require('./config');
+const launchProfiles = require('./launchProfiles');
 
 /**
  * Server file operations
@@ -79,6 +81,38 @@ class ServerManager {
     }
   }
 
+  /**
+   * Get the latest build id of a server branch from Steam
+   */
+  async getLatestBuildId(branch = 'public') {
+    const result = await steamcmd.executeCommand([
+      ...steamcmd.getLoginArgs(),
+      '+app_info_update', '1',
+      '+app_info_print', '223350',
+      '+quit'
+    ], { timeout: 120000 });
+
+    // "branches" { "public" { "buildid" "123" ... } }
+    const branchPattern = new RegExp(`"branches"[\\s\\S]*?"${branch}"\\s*\\{[^}]*?"buildid"\\s+"(\\d+)"`);
+    const match = result.stdout.match(branchPattern);
+    return match ? match[1] : null;
+  }
+
+  /**
+   * Compare the installed server build with the latest one on Steam
+   */
+  async checkForUpdate(installPath, branch = 'public') {
+    const installed = await this.getServerVersion(installPath);
+    const latestBuildId = await this.getLatestBuildId(branch);
+    const installedBuildId = installed ? installed.buildId : null;
+
+    return {
+      installedBuildId,
+      latestBuildId,
+      updateAvailable: Boolean(installedBuildId && latestBuildId && installedBuildId !== latestBuildId)
+    };
+  }
+
   /**
    * Validate server installation
    */
@@ -121,6 +155,41 @@ class ServerManager {
     return path.join(installPath, 'profiles', profileName);
   }
 
+  /**
+   * Locate the BattlEye folder for a server/profile
+   * A -BEpath set in the launch profile of the instance running it wins, otherwise
+   * with -profiles set BattlEye uses <profile>/BattlEye, and <server>/battleye without
+   */
+  async findBattlEyePath(installPath, profileName = 'default') {
+    const instance = config.findInstanceByServer(installPath, profileName);
+    const bePath = instance ? launchProfiles.getActiveProfile(instance.id).bePath : '';
+    if (bePath) {
+      // The server runs in its folder, so a relative -BEpath is relative to it
+      return path.resolve(installPath, bePath);
+    }
+
+    const candidates = [
+      path.join(this.getServerProfilePath(installPath, profileName), 'BattlEye'),
+      path.join(this.getServerProfilePath(installPath, profileName), 'battleye'),
+      path.join(installPath, 'battleye'),
+      path.join(installPath, 'BattlEye')
+    ];
+
+    for (const candidate of candidates) {
+      try {
+        const stats = await fs.stat(candidate);
+        if (stats.isDirectory()) {
+          return candidate;
+        }
+      } catch (error) {
+        // Not found, try next location
+      }
+    }
+
+    // Default location BattlEye creates when none exists yet
+    return candidates[0];
+  }
+
   /**
    * List available server profiles
    */
@@ -0,0 +1,250 @@
+const fs = require('fs-extra');
+const path = require('path');
+const EventEmitter = require('events');
+const readLastLines = require('read-last-lines');
+const config = require('./config');
+const instanceManager = require('./instanceManager');
+const logViewer = require('./logViewer');
+const PathUtils = require('../utils/paths');
+
+const DEFAULT_SETTINGS = {
+  enabled: true,
+  restartDelaySeconds: 30,
+  maxRestartsPerHour: 3
+};
+
+/**
+ * Watches the server process, records crashes and restarts the server after one
+ */
+class ServerWatchdog extends EventEmitter {
+  constructor() {
+    super();
+    this.crashes = [];
+    this.maxCrashes = 50;
+    this.rptLines = 50;
+    // Automatic restart times and pending restarts, keyed by instance id
+    this.restartTimes = new Map();
+    this.pendingRestarts = new Map();
+    this.initialized = false;
+  }
+
+  /**
+   * Load crash history and start listening for server exits
+   */
+  async init() {
+    if (this.initialized) {
+      return;
+    }
+    this.initialized = true;
+
+    try {
+      const historyPath = this.getHistoryPath();
+      if (await fs.pathExists(historyPath)) {
+        this.crashes = await fs.readJson(historyPath);
+      }
+    } catch (error) {
+      console.error('Error loading crash history:', error);
+      this.crashes = [];
+    }
+
+    instanceManager.on('exit', (info) => {
+      this.handleExit(info).catch(error => {
+        console.error('Error handling server exit:', error);
+      });
+    });
+  }
+
+  /**
+   * Get watchdog settings
+   */
+  getSettings() {
+    return { ...DEFAULT_SETTINGS, ...(config.get('watchdog') || {}) };
+  }
+
+  /**
+   * Save watchdog settings
+   */
+  async setSettings(settings) {
+    const current = this.getSettings();
+    const delay = settings.restartDelaySeconds !== undefined ? parseInt(settings.restartDelaySeconds) : current.restartDelaySeconds;
+    const maxRestarts = settings.maxRestartsPerHour !== undefined ? parseInt(settings.maxRestartsPerHour) : current.maxRestartsPerHour;
+
+    if (!Number.isInteger(delay) || delay < 0) {
+      throw new Error(`Invalid restart delay: ${settings.restartDelaySeconds}`);
+    }
+    if (!Number.isInteger(maxRestarts) || maxRestarts < 0) {
+      throw new Error(`Invalid restarts per hour: ${settings.maxRestartsPerHour}`);
+    }
+
+    const updated = {
+      enabled: settings.enabled !== undefined ? Boolean(settings.enabled) : current.enabled,
+      restartDelaySeconds: delay,
+      maxRestartsPerHour: maxRestarts
+    };
+
+    await config.set('watchdog', updated);
+    if (!updated.enabled) {
+      for (const instanceId of Array.from(this.pendingRestarts.keys())) {
+        this.cancelPendingRestart(instanceId);
+      }
+    }
+    return updated;
+  }
+
+  /**
+   * Record a crash and schedule an automatic restart when allowed
+   */
+  async handleExit(info) {
+    if (info.expected) {
+      return null;
+    }
+
+    const settings = this.getSettings();
+    const crash = {
+      id: Date.now().toString(),
+      instanceId: info.instanceId,
+      time: info.exitedAt,
+      exitCode: info.code,
+      signal: info.signal,
+      pid: info.pid,
+      profileName: info.profileName,
+      uptimeSeconds: Math.round((new Date(info.exitedAt) - new Date(info.startedAt)) / 1000),
+      rptPath: null,
+      rptLines: [],
+      action: null,
+      restartAt: null,
+      restartResult: null
+    };
+
+    try {
+      crash.rptPath = await logViewer.findLatestRPT(info.serverPath, info.profileName);
+      if (crash.rptPath) {
+        const content = await readLastLines.read(crash.rptPath, this.rptLines);
+        crash.rptLines = content.split(/\r?\n/).filter(line => line.trim());
+      }
+    } catch (error) {
+      console.warn('Could not read RPT log after crash:', error);
+    }
+
+    if (!settings.enabled) {
+      crash.action = 'auto-restart-disabled';
+    } else if (this.getRecentRestartCount(info.instanceId) >= settings.maxRestartsPerHour) {
+      crash.action = 'restart-limit-reached';
+    } else {
+      crash.action = 'restart-scheduled';
+      crash.restartAt = new Date(Date.now() + settings.restartDelaySeconds * 1000).toISOString();
+      this.scheduleRestart(crash, info, settings.restartDelaySeconds);
+    }
+
+    console.warn(`Server crashed (exit code ${info.code}, signal ${info.signal}): ${crash.action}`);
+
+    this.crashes.unshift(crash);
+    this.crashes = this.crashes.slice(0, this.maxCrashes);
+    await this.saveHistory();
+
+    this.emit('crash', crash);
+    return crash;
+  }
+
+  /**
+   * Restart the server after a delay, unless it was started in the meantime
+   */
+  scheduleRestart(crash, info, delaySeconds) {
+    const instanceId = info.instanceId;
+    this.cancelPendingRestart(instanceId);
+
+    const timer = setTimeout(async () => {
+      this.pendingRestarts.delete(instanceId);
+
+      if (!config.getInstance(instanceId)) {
+        crash.restartResult = 'skipped (instance removed)';
+      } else if (instanceManager.getRuntime(instanceId).serverControl.isRunning) {
+        crash.restartResult = 'skipped (server already running)';
+      } else {
+        this.getRestartTimes(instanceId).push(Date.now());
+        try {
+          await instanceManager.getRuntime(instanceId).serverControl.startServer(info.serverPath, info.profileName, info.parameters);
+          crash.restartResult = 'restarted';
+        } catch (error) {
+          console.error('Automatic restart after crash failed:', error);
+          crash.restartResult = `failed: ${error.message}`;
+        }
+      }
+
+      await this.saveHistory();
+      this.emit('restart', crash);
+    }, delaySeconds * 1000);
+
+    this.pendingRestarts.set(instanceId, { crashId: crash.id, timer });
+  }
+
+  /**
+   * Cancel an instance's automatic restart that is waiting for its delay
+   */
+  cancelPendingRestart(instanceId) {
+    const pending = this.pendingRestarts.get(instanceId);
+    if (!pending) {
+      return false;
+    }
+
+    clearTimeout(pending.timer);
+    const crash = this.crashes.find(c => c.id === pending.crashId);
+    if (crash) {
+      crash.restartResult = 'cancelled';
+      this.saveHistory();
+    }
+    this.pendingRestarts.delete(instanceId);
+    return true;
+  }
+
+  getRestartTimes(instanceId) {
+    if (!this.restartTimes.has(instanceId)) {
+      this.restartTimes.set(instanceId, []);
+    }
+    return this.restartTimes.get(instanceId);
+  }
+
+  /**
+   * Count an instance's automatic restarts in the last hour
+   */
+  getRecentRestartCount(instanceId) {
+    const hourAgo = Date.now() - 60 * 60 * 1000;
+    const recent = this.getRestartTimes(instanceId).filter(time => time > hourAgo);
+    this.restartTimes.set(instanceId, recent);
+    return recent.length;
+  }
+
+  /**
+   * Get an instance's recorded crashes, newest first
+   * Crashes recorded before instances existed belong to the default instance
+   */
+  getCrashes(instanceId) {
+    const pending = this.pendingRestarts.get(instanceId);
+    return {
+      crashes: this.crashes.filter(crash => (crash.instanceId || 'default') === instanceId),
+      pendingRestart: pending ? pending.crashId : null
+    };
+  }
+
+  /**
+   * Clear an instance's crash history
+   */
+  async clearCrashes(instanceId) {
+    this.crashes = this.crashes.filter(crash => (crash.instanceId || 'default') !== instanceId);
+    await this.saveHistory();
+  }
+
+  getHistoryPath() {
+    return path.join(PathUtils.getUserDataPath(), 'crashes.json');
+  }
+
+  async saveHistory() {
+    try {
+      await fs.writeJson(this.getHistoryPath(), this.crashes, { spaces: 2 });
+    } catch (error) {
+      console.error('Error saving crash history:', error);
+    }
+  }
+}
+
+module.exports = new ServerWatchdog();
@@ -301,6 +301,107 @@ class SteamCMD {
       timeout: 600000 // 10 minutes for mod downloads
     });
   }
+
+  /**
+   * Download several workshop items in one SteamCMD session (one login)
+   * onItemProgress is called with { workshopId, progress, message } as each item downloads
+   * Resolves with a result per item, parsed from the output:
+   * "Success. Downloaded item X" or "ERROR! Download item X failed (reason)"
+   */
+  async downloadWorkshopItems(workshopIds, installDir, onItemProgress = null) {
+    const ids = workshopIds.map(id => id.toString());
+    if (ids.length === 0) {
+      return [];
+    }
+
+    const normalizedPath = installDir.replace(/\\/g, '/').replace(/"/g, '');
+    const args = [
+      ...this.getLoginArgs(),
+      '+force_install_dir', normalizedPath,
+      ...ids.flatMap(id => ['+workshop_download_item', '221100', id, 'validate']),
+      '+quit'
+    ];
+
+    const results = new Map();
+    let currentId = null;
+    let buffer = '';
+
+    const handleLine = (line) => {
+      const event = this.parseWorkshopOutput(line);
+      if (!event) {
+        return;
+      }
+      if (event.workshopId) {
+        currentId = event.workshopId;
+      }
+      if (!currentId || !ids.includes(currentId)) {
+        return;
+      }
+
+      if (event.type === 'success') {
+        results.set(currentId, { workshopId: currentId, success: true });
+      } else if (event.type === 'failed') {
+        results.set(currentId, { workshopId: currentId, success: false, error: event.error });
+      }
+
+      if (onItemProgress) {
+        const progress = event.type === 'progress' ? event.progress : (event.type === 'started' ? 0 : 100);
+        onItemProgress({ workshopId: currentId, progress, message: line.trim() });
+      }
+    };
+
+    let commandError = null;
+    try {
+      await this.executeCommand(args, {
+        onOutput: (output) => {
+          buffer += output;
+          const lines = buffer.split(/\r?\n/);
+          buffer = lines.pop();
+          lines.forEach(handleLine);
+        },
+        timeout: 600000 * ids.length // 10 minutes per mod
+      });
+    } catch (error) {
+      // SteamCMD exits with an error when any item fails, the output still has the rest
+      commandError = error;
+    }
+    if (buffer) {
+      handleLine(buffer);
+    }
+
+    return ids.map(id => results.get(id) || {
+      workshopId: id,
+      success: false,
+      error: commandError ? commandError.message : 'No result for this item in the SteamCMD output'
+    });
+  }
+
+  /**
+   * Recognise workshop download lines in SteamCMD output
+   */
+  parseWorkshopOutput(line) {
+    let match = line.match(/Success\. Downloaded item (\d+)/);
+    if (match) {
+      return { type: 'success', workshopId: match[1] };
+    }
+
+    match = line.match(/ERROR! Download item (\d+) failed(?: \(([^)]*)\))?/);
+    if (match) {
+      return { type: 'failed', workshopId: match[1], error: match[2] || 'Download failed' };
+    }
+
+    match = line.match(/Downloading item (\d+)/);
+    if (match) {
+      return { type: 'started', workshopId: match[1] };
+    }
+
+    match = line.match(/Update state \(0x[0-9a-f]+\) (\d+)% /i) || line.match(/Update state \(0x[0-9a-f]+\) [^,]*, progress: ([\d.]+)/i);
+    if (match) {
+      return { type: 'progress', progress: Math.round(parseFloat(match[1])) };
+    }
+
+    return null;
+  }
 }
 
 module.exports = new SteamCMD();
@@ -15,6 +15,7 @@ const path = require('path');
 const axios = require('axios');
 const cheerio = require('cheerio');
 const steamcmd = require('./steamcmd');
+const config = require('./config');
 
 /**
  * Workshop mod management
@@ -24,6 +25,9 @@ class WorkshopManager {
     this.workshopAppId = '221100'; // DayZ App ID
     this.searchCache = new Map();
     this.cacheTimeout = 5 * 60 * 1000; // 5 minutes
+    this.updateTimeCache = new Map();
+    // Steam Web API requests fail after this long instead of hanging an update
+    this.apiTimeout = 15000;
   }
 
   /**
@@ -296,39 +300,28 @@ class WorkshopManager {
         throw new Error('Collection is empty or mods could not be extracted');
       }
 
-      const results = [];
       const total = collection.modIds.length;
 
-      for (let i = 0; i < collection.modIds.length; i++) {
-        const modId = collection.modIds[i];
-        
-        try {
-          if (onProgress) {
-            onProgress({
-              current: i + 1,
-              total: total,
-              progress: Math.round(((i + 1) / total) * 100),
-              message: `Downloading mod ${i + 1}/${total} (ID: ${modId})...`,
-              workshopId: modId,
-              collectionId: collectionId
-            });
-          }
-
-          const result = await this.downloadMod(modId, installPath);
-          results.push({
-            workshopId: modId,
-            success: result.success,
-            error: result.error || null
-          });
-        } catch (error) {
-          console.error(`Error downloading mod ${modId} from collection:`, error);
-          results.push({
-            workshopId: modId,
-            success: false,
-            error: error.message
+      // All mods of the collection download in one SteamCMD session
+      const downloads = await this.downloadMods(collection.modIds, installPath, (progress) => {
+        if (onProgress) {
+          onProgress({
+            current: progress.current,
+            total: total,
+            progress: Math.round(((progress.current - 1) / total) * 100 + progress.progress / total),
+            message: `Downloading mod ${progress.current}/${total} (ID: ${progress.workshopId})...`,
+            workshopId: progress.workshopId,
+            collectionId: collectionId
           });
         }
-      }
+      });
+
+      const results = downloads.map(result => ({
+        workshopId: result.workshopId,
+        success: result.success,
+        error: result.error || null
+      }));
+      results.filter(r => !r.success).forEach(r => console.error(`Error downloading mod ${r.workshopId} from collection:`, r.error));
 
       const successCount = results.filter(r => r.success).length;
       const failCount = results.filter(r => !r.success).length;
@@ -359,57 +352,128 @@ class WorkshopManager {
       await fs.ensureDir(installPath);
       await steamcmd.downloadWorkshopItem(workshopId, installPath, onProgress);
 
-      // Verify mod was downloaded
-      const workshopModPath = path.join(installPath, 'steamapps', 'workshop', 'content', this.workshopAppId, workshopId.toString());
-      if (!await fs.pathExists(workshopModPath)) {
-        throw new Error('Mod download completed but files not found');
+      return await this.installDownloadedMod(workshopId, installPath);
+    } catch (error) {
+      throw new Error(`Failed to download mod: ${error.message}`);
+    }
+  }
+
+  /**
+   * Download several mods in one SteamCMD session
+   * onProgress is called with { workshopId, current, total, progress, message } for the item downloading
+   * Resolves with a result per mod, failed downloads do not stop the others
+   * options.replaceLinks (updates) recreates each mod's @ModName link, but only once its download
+   * succeeded, so a failed update leaves the mod linked and loadable
+   */
+  async downloadMods(workshopIds, installPath, onProgress = null, options = {}) {
+    if (!await steamcmd.isInstalled()) {
+      throw new Error('SteamCMD is not installed. Please download it first.');
+    }
+
+    await fs.ensureDir(installPath);
+    const ids = workshopIds.map(id => id.toString());
+
+    // The folder name may change with the update, remember the one currently linked
+    const linkedNames = new Map();
+    if (options.replaceLinks) {
+      for (const id of ids) {
+        linkedNames.set(id, await this.getModFolderName(id, installPath));
       }
+    }
 
-      // Get mod name from mod.info or meta.cpp
-      const modName = await this.getModFolderName(workshopId, installPath);
-      
-      // Create mod folder in server directory (as @ModName)
-      const serverModPath = path.join(installPath, `@${modName}`);
-      const keysPath = path.join(installPath, 'keys');
-      
-      // Create symlink or copy mod folder to server directory
-      if (!await fs.pathExists(serverModPath)) {
-        // Use symlink on Windows/Linux, copy on systems that don't support symlinks well
-        try {
-          if (process.platform === 'win32') {
-            // Windows: Use junction or symlink
-            await fs.ensureSymlink(workshopModPath, serverModPath, 'junction');
-          } else {
-            // Linux/Mac: Use symlink
-            await fs.ensureSymlink(workshopModPath, serverModPath, 'dir');
-          }
-          console.log(`Created symlink: ${serverModPath} -> ${workshopModPath}`);
-        } catch (symlinkError) {
-          // If symlink fails, copy the directory
-          console.warn('Symlink failed, copying mod directory:', symlinkError.message);
-          await fs.copy(workshopModPath, serverModPath);
-          console.log(`Copied mod directory: ${workshopModPath} -> ${serverModPath}`);
+    const downloads = await steamcmd.downloadWorkshopItems(ids, installPath, (item) => {
+      if (onProgress) {
+        onProgress({ ...item, current: ids.indexOf(item.workshopId) + 1, total: ids.length });
+      }
+    });
+
+    const results = [];
+    for (const download of downloads) {
+      if (!download.success) {
+        results.push({ success: false, workshopId: download.workshopId, error: `Failed to download mod: ${download.error}` });
+        continue;
+      }
+      try {
+        if (options.replaceLinks) {
+          await this.removeModLink(download.workshopId, installPath, linkedNames.get(download.workshopId));
         }
+        results.push(await this.installDownloadedMod(download.workshopId, installPath));
+      } catch (error) {
+        results.push({ success: false, workshopId: download.workshopId, error: `Failed to download mod: ${error.message}` });
       }
+    }
+    return results;
+  }
 
-      // Copy .bikey files to keys folder
-      await this.copyModKeys(workshopModPath, keysPath);
+  /**
+   * Link a downloaded mod into the server directory as @ModName and copy its keys
+   */
+  async installDownloadedMod(workshopId, installPath) {
+    // Verify mod was downloaded
+    const workshopModPath = path.join(installPath, 'steamapps', 'workshop', 'content', this.workshopAppId, workshopId.toString());
+    if (!await fs.pathExists(workshopModPath)) {
+      throw new Error('Mod download completed but files not found');
+    }
 
-      return { success: true, path: serverModPath, workshopId, modName };
-    } catch (error) {
-      throw new Error(`Failed to download mod: ${error.message}`);
+    // Get mod name from mod.info or meta.cpp
+    const modName = await this.getModFolderName(workshopId, installPath);
+    
+    // Create mod folder in server directory (as @ModName)
+    const serverModPath = path.join(installPath, `@${modName}`);
+    const keysPath = path.join(installPath, 'keys');
+    
+    // Create symlink or copy mod folder to server directory
+    if (!await fs.pathExists(serverModPath)) {
+      // Use symlink on Windows/Linux, copy on systems that don't support symlinks well
+      try {
+        if (process.platform === 'win32') {
+          // Windows: Use junction or symlink
+          await fs.ensureSymlink(workshopModPath, serverModPath, 'junction');
+        } else {
+          // Linux/Mac: Use symlink
+          await fs.ensureSymlink(workshopModPath, serverModPath, 'dir');
+        }
+        console.log(`Created symlink: ${serverModPath} -> ${workshopModPath}`);
+      } catch (symlinkError) {
+        // If symlink fails, copy the directory
+        console.warn('Symlink failed, copying mod directory:', symlinkError.message);
+        await fs.copy(workshopModPath, serverModPath);
+        console.log(`Copied mod directory: ${workshopModPath} -> ${serverModPath}`);
+      }
     }
+
+    // Copy .bikey files to keys folder, server-only mods must not have their keys there
+    if (!config.isServerOnlyMod(workshopId, installPath)) {
+      await this.copyModKeys(workshopModPath, keysPath);
+    }
+
+    return { success: true, path: serverModPath, workshopId, modName };
   }
 
   /**
    * Update existing mod
+   * Its link is only recreated (with its keys) after the new files have downloaded
    */
   async updateMod(workshopId, installPath, onProgress = null) {
-    // Get mod name first to preserve the link
-    const modName = await this.getModFolderName(workshopId, installPath);
-    const serverModPath = path.join(installPath, `@${modName}`);
+    const [result] = await this.downloadMods([workshopId], installPath, onProgress, { replaceLinks: true });
+    if (!result.success) {
+      throw new Error(result.error);
+    }
+    return result;
+  }
+
+  /**
+   * Remove a mod's @ModName link or copy so installDownloadedMod recreates it
+   * modName is the folder to remove, by default the one named by the mod's current files
+   */
+  async removeModLink(workshopId, installPath, modName = null) {
+    const folderName = modName || await this.getModFolderName(workshopId, installPath);
+    if (!folderName) {
+      return;
+    }
+    const serverModPath = path.join(installPath, `@${folderName}`);
     
-    // Remove old link/copy if it exists (will be recreated by downloadMod)
+    // Remove old link/copy if it exists (will be recreated by installDownloadedMod)
     if (await fs.pathExists(serverModPath)) {
       try {
         const stats = await fs.lstat(serverModPath);
@@ -421,43 +485,185 @@ class WorkshopManager {
         }
       } catch (error) {
         console.warn('Error removing old mod link:', error);
-        // Continue anyway - downloadMod will handle it
+        // Continue anyway - installDownloadedMod will handle it
       }
     }
-    
-    // Download/update the mod (this will recreate the link and copy keys)
-    return await this.downloadMod(workshopId, installPath, onProgress);
   }
 
   /**
-   * Update all mods in list
+   * Parse a Steam KeyValues (.acf/.vdf) file into nested objects
+   */
+  parseVdf(content) {
+    const root = {};
+    const stack = [root];
+    const pattern = /"((?:[^"\\]|\\.)*)"|([{}])/g;
+    let key = null;
+    let match;
+
+    while ((match = pattern.exec(content)) !== null) {
+      const current = stack[stack.length - 1];
+      if (match[2] === '{') {
+        const child = {};
+        current[key] = child;
+        stack.push(child);
+        key = null;
+      } else if (match[2] === '}') {
+        if (stack.length > 1) {
+          stack.pop();
+        }
+      } else if (key === null) {
+        key = match[1];
+      } else {
+        current[key] = match[1].replace(/\\(.)/g, '$1');
+        key = null;
+      }
+    }
+
+    return root;
+  }
+
+  /**
+   * Read the installed version of each workshop item from SteamCMD's appworkshop_221100.acf
+   * Returns a map of workshop id to { timeUpdated, manifest }
+   */
+  async readInstalledWorkshopItems(installPath) {
+    const items = new Map();
+    const acfPath = path.join(installPath, 'steamapps', 'workshop', `appworkshop_${this.workshopAppId}.acf`);
+    if (!await fs.pathExists(acfPath)) {
+      return items;
+    }
+
+    const acf = this.parseVdf(await fs.readFile(acfPath, 'utf-8'));
+    const installed = (acf.AppWorkshop && acf.AppWorkshop.WorkshopItemsInstalled) || {};
+    for (const [workshopId, item] of Object.entries(installed)) {
+      items.set(workshopId, {
+        timeUpdated: parseInt(item.timeupdated) || null,
+        manifest: item.manifest || null
+      });
+    }
+    return items;
+  }
+
+  /**
+   * Get the latest update time (unix seconds) of workshop items from the Steam Web API
+   * Results are cached for cacheTimeout unless force is set
+   */
+  async getLatestUpdateTimes(workshopIds, force = false) {
+    const times = new Map();
+    const now = Date.now();
+    const missing = [];
+
+    for (const workshopId of workshopIds.map(String)) {
+      const cached = this.updateTimeCache.get(workshopId);
+      if (!force && cached && now - cached.checkedAt < this.cacheTimeout) {
+        times.set(workshopId, cached.timeUpdated);
+      } else {
+        missing.push(workshopId);
+      }
+    }
+
+    if (missing.length > 0) {
+      const form = new URLSearchParams({ itemcount: String(missing.length) });
+      missing.forEach((workshopId, index) => form.append(`publishedfileids[${index}]`, workshopId));
+
+      const response = await axios.post(
+        'https://api.steampowered.com/ISteamRemoteStorage/GetPublishedFileDetails/v1/',
+        form.toString(),
+        { headers: { 'Content-Type': 'application/x-www-form-urlencoded' }, timeout: this.apiTimeout }
+      );
+
+      const details = (response.data && response.data.response && response.data.response.publishedfiledetails) || [];
+      for (const detail of details) {
+        // result 1 means found, removed or hidden items have no update time
+        const timeUpdated = detail.result === 1 ? parseInt(detail.time_updated) || null : null;
+        this.updateTimeCache.set(String(detail.publishedfileid), { timeUpdated, checkedAt: now });
+        times.set(String(detail.publishedfileid), timeUpdated);
+      }
+    }
+
+    return times;
+  }
+
+  /**
+   * Compare installed workshop items with the workshop's latest versions
+   * Status is 'up-to-date', 'update-available', 'not-installed' or 'unknown'
+   * (files present but not recorded by SteamCMD, so their version is not known)
+   */
+  async checkModUpdates(modsList, installPath, force = false) {
+    const installed = await this.readInstalledWorkshopItems(installPath);
+    const latest = await this.getLatestUpdateTimes(modsList.map(mod => mod.workshopId), force);
+
+    const results = [];
+    for (const mod of modsList) {
+      const workshopId = String(mod.workshopId);
+      const item = installed.get(workshopId);
+      const latestTimeUpdated = latest.get(workshopId) || null;
+      const contentPath = path.join(installPath, 'steamapps', 'workshop', 'content', this.workshopAppId, workshopId);
+
+      let status;
+      if (!await fs.pathExists(contentPath)) {
+        status = 'not-installed';
+      } else if (!item) {
+        status = 'unknown';
+      } else if (latestTimeUpdated && (!item.timeUpdated || latestTimeUpdated > item.timeUpdated)) {
+        status = 'update-available';
+      } else {
+        status = 'up-to-date';
+      }
+
+      results.push({
+        workshopId,
+        name: mod.name,
+        status,
+        installedTimeUpdated: item ? item.timeUpdated : null,
+        manifest: item ? item.manifest : null,
+        latestTimeUpdated
+      });
+    }
+
+    return results;
+  }
+
+  /**
+   * Update the mods in a list that are not known to be up to date: newer workshop version,
+   * not downloaded, or version unknown (e.g. scanned from a folder, not in SteamCMD's manifest)
+   * If the Steam Web API cannot be reached every mod is updated
    */
   async updateAllMods(modsList, installPath, onProgress = null) {
     const results = [];
-    const total = modsList.length;
+    let updates = null;
+    try {
+      updates = await this.checkModUpdates(modsList, installPath, true);
+    } catch (error) {
+      console.warn(`Could not check for mod updates, updating all mods: ${error.message}`);
+    }
+    const needsUpdate = (mod) => {
+      const update = updates ? updates.find(u => u.workshopId === String(mod.workshopId)) : null;
+      return !update || update.status !== 'up-to-date';
+    };
 
-    for (let i = 0; i < modsList.length; i++) {
-      const mod = modsList[i];
-      try {
-        if (onProgress) {
-          onProgress({ 
-            current: i + 1, 
-            total, 
-            mod: mod.name || mod.workshopId,
-            message: `Updating ${mod.name || mod.workshopId}...`
-          });
-        }
-        const result = await this.updateMod(mod.workshopId, installPath);
-        results.push({ ...result, mod });
-      } catch (error) {
-        results.push({ 
-          success: false, 
-          error: error.message, 
-          mod 
+    for (const mod of modsList.filter(m => !needsUpdate(m))) {
+      results.push({ success: true, skipped: true, status: 'up-to-date', mod });
+    }
+
+    const outdated = modsList.filter(needsUpdate);
+    if (outdated.length === 0) {
+      return results;
+    }
+
+    // All outdated mods download in one SteamCMD session
+    const downloads = await this.downloadMods(outdated.map(mod => mod.workshopId), installPath, (progress) => {
+      if (onProgress) {
+        const mod = outdated[progress.current - 1];
+        onProgress({
+          ...progress,
+          mod: mod.name || mod.workshopId,
+          message: `Updating ${mod.name || mod.workshopId}...`
         });
       }
-    }
+    }, { replaceLinks: true });
 
+    downloads.forEach((result, index) => results.push({ ...result, mod: outdated[index] }));
     return results;
   }
 
@@ -514,35 +720,38 @@ class WorkshopManager {
     }
   }
 
+  /**
+   * Find all .bikey files in a mod directory (recursively)
+   */
+  async findModKeys(dir) {
+    const keys = [];
+    try {
+      const entries = await fs.readdir(dir, { withFileTypes: true });
+      for (const entry of entries) {
+        const fullPath = path.join(dir, entry.name);
+        if (entry.isDirectory()) {
+          // Recursively search subdirectories
+          const subKeys = await this.findModKeys(fullPath);
+          keys.push(...subKeys);
+        } else if (entry.isFile() && entry.name.toLowerCase().endsWith('.bikey')) {
+          keys.push(fullPath);
+        }
+      }
+    } catch (error) {
+      // Ignore permission errors
+    }
+    return keys;
+  }
+
   /**
    * Copy .bikey files from mod directory to keys folder
+   * Existing keys are kept unless overwrite is set (after an update the mod may ship a new key)
    */
-  async copyModKeys(modPath, keysPath) {
+  async copyModKeys(modPath, keysPath, overwrite = false) {
     try {
       await fs.ensureDir(keysPath);
       
-      // Find all .bikey files in mod directory (recursively)
-      const findKeys = async (dir) => {
-        const keys = [];
-        try {
-          const entries = await fs.readdir(dir, { withFileTypes: true });
-          for (const entry of entries) {
-            const fullPath = path.join(dir, entry.name);
-            if (entry.isDirectory()) {
-              // Recursively search subdirectories
-              const subKeys = await findKeys(fullPath);
-              keys.push(...subKeys);
-            } else if (entry.isFile() && entry.name.toLowerCase().endsWith('.bikey')) {
-              keys.push(fullPath);
-            }
-          }
-        } catch (error) {
-          // Ignore permission errors
-        }
-        return keys;
-      };
-
-      const keyFiles = await findKeys(modPath);
+      const keyFiles = await this.findModKeys(modPath);
       
       // Copy each .bikey file to keys folder
       for (const keyFile of keyFiles) {
@@ -550,7 +759,7 @@ class WorkshopManager {
         const destKeyPath = path.join(keysPath, keyFileName);
         
         // Only copy if it doesn't already exist
-        if (!await fs.pathExists(destKeyPath)) {
+        if (overwrite || !await fs.pathExists(destKeyPath)) {
           await fs.copy(keyFile, destKeyPath);
           console.log(`Copied key file: ${keyFile} -> ${destKeyPath}`);
         }
@@ -561,6 +770,66 @@ class WorkshopManager {
     }
   }
 
+  /**
+   * Remove a mod's .bikey files from the keys folder
+   * Keys named in keepNames (shipped by other client mods too) stay
+   */
+  async removeModKeys(modPath, keysPath, keepNames = []) {
+    const keep = new Set(keepNames.map(name => name.toLowerCase()));
+    const removed = [];
+
+    for (const keyFile of await this.findModKeys(modPath)) {
+      const keyFileName = path.basename(keyFile);
+      const keyPath = path.join(keysPath, keyFileName);
+      if (!keep.has(keyFileName.toLowerCase()) && await fs.pathExists(keyPath)) {
+        await fs.remove(keyPath);
+        removed.push(keyFileName);
+        console.log(`Removed key file: ${keyPath}`);
+      }
+    }
+
+    return removed;
+  }
+
+  /**
+   * Set whether a mod is server-only and update the keys folder to match
+   * Server-only mods run with -serverMod and clients must not need their keys
+   */
+  async setServerOnly(workshopId, serverOnly, serverPath) {
+    await config.setModServerOnly(workshopId, serverOnly);
+    if (!serverPath) {
+      return { keysAdded: false, keysRemoved: [] };
+    }
+
+    const modPath = path.join(serverPath, `@${await this.getModFolderName(workshopId, serverPath)}`);
+    const keysPath = path.join(serverPath, 'keys');
+    if (!await fs.pathExists(modPath)) {
+      return { keysAdded: false, keysRemoved: [] };
+    }
+
+    if (!serverOnly) {
+      await this.copyModKeys(modPath, keysPath);
+      return { keysAdded: true, keysRemoved: [] };
+    }
+
+    // Another instance using this server folder still loads the mod with -mod
+    if (!config.isServerOnlyMod(workshopId, serverPath)) {
+      return { keysAdded: false, keysRemoved: [] };
+    }
+
+    // Keep keys that a client mod of any instance using this server folder ships as well
+    const clientModIds = new Set(config.getModsForServer(serverPath)
+      .filter(m => !m.serverOnly && String(m.workshopId) !== String(workshopId))
+      .map(m => String(m.workshopId)));
+    const keepNames = [];
+    for (const clientModId of clientModIds) {
+      const otherPath = path.join(serverPath, `@${await this.getModFolderName(clientModId, serverPath)}`);
+      keepNames.push(...(await this.findModKeys(otherPath)).map(keyFile => path.basename(keyFile)));
+    }
+
+    return { keysAdded: false, keysRemoved: await this.removeModKeys(modPath, keysPath, keepNames) };
+  }
+
   async getModInfo(workshopId, installPath) {
     try {
       // First check standard workshop path
@@ -832,7 +1101,6 @@ class WorkshopManager {
             }
 
             // Add to config if not already there
-            const config = require('./config');
             const configMods = config.getMods() || [];
             if (!configMods.find(m => String(m.workshopId) === String(workshopId))) {
               await config.addMod(workshopId, displayName);
@@ -856,9 +1124,11 @@ class WorkshopManager {
                 }
               }
 
-              // Copy keys
-              const keysPath = path.join(serverPath, 'keys');
-              await this.copyModKeys(modPath, keysPath);
+              // Copy keys, except for server-only mods
+              if (!config.isServerOnlyMod(workshopId, serverPath)) {
+                const keysPath = path.join(serverPath, 'keys');
+                await this.copyModKeys(modPath, keysPath);
+              }
             }
 
             modsFound.push({ workshopId, name: displayName, modName: modName });
@@ -145,8 +145,25 @@ class App {
                     window.logViewer.loadLogFiles();
                 }
                 break;
+            case 'console':
+                if (window.consoleView) {
+                    window.consoleView.loadLines();
+                }
+                break;
             case 'rcon':
-                // RCON panel doesn't need special loading
+                if (window.rconPanel) {
+                    window.rconPanel.loadEventHistory();
+                    window.rconPanel.loadBattlEyeConfig();
+                    window.rconPanel.loadScheduledMessages();
+                    if (!window.rconPanel.isConnected) {
+                        window.rconPanel.loadConfig();
+                    }
+                }
+                break;
+            case 'bans':
+                if (window.banPanel) {
+                    window.banPanel.loadBans();
+                }
                 break;
             case 'settings':
                 this.loadSettings();
@@ -279,6 +296,34 @@ class App {
         setInterval(() => this.updateStatusIndicators(), 5000); // Update every 5 seconds
     }
 
+    /**
+     * Reload everything shown for the server instance after switching to another one
+     */
+    async onInstanceChanged() {
+        try {
+            const serverPath = await window.electronAPI.configGetServerPath();
+            const serverPathEl = document.getElementById('server-path');
+            if (serverPathEl) {
+                serverPathEl.textContent = serverPath || 'Not set';
+            }
+            document.getElementById('settings-server-path').value = serverPath || '';
+        } catch (error) {
+            console.error('Error loading server path:', error);
+        }
+
+        if (window.rconPanel) {
+            window.rconPanel.refreshStatus();
+        }
+        if (window.launchProfilePanel) {
+            window.launchProfilePanel.loadProfiles();
+        }
+        if (window.autoUpdatePanel) {
+            window.autoUpdatePanel.load();
+        }
+        this.updateStatusIndicators();
+        this.loadPanelData(this.currentPanel);
+    }
+
     async updateStatusIndicators() {
         try {
             // Update server status
@@ -318,10 +363,11 @@ class App {
         try {
             const config = await window.electronAPI.configGet();
             if (config) {
-                document.getElementById('settings-server-path').value = config.serverPath || '';
+                document.getElementById('settings-server-path').value = await window.electronAPI.configGetServerPath() || '';
                 document.getElementById('settings-steamcmd-path').value = config.steamcmdPath || '';
                 document.getElementById('auto-update').checked = config.preferences?.autoUpdate || false;
                 document.getElementById('check-updates').checked = config.preferences?.checkUpdatesOnStart !== false;
+                document.getElementById('stop-servers-on-quit').checked = config.preferences?.stopServersOnQuit || false;
             }
 
             // Load Steam credentials
@@ -372,6 +418,7 @@ class App {
             const serverPath = document.getElementById('settings-server-path').value;
             const autoUpdate = document.getElementById('auto-update').checked;
             const checkUpdates = document.getElementById('check-updates').checked;
+            const stopServersOnQuit = document.getElementById('stop-servers-on-quit').checked;
             const useCredentials = document.getElementById('use-steam-credentials').checked;
             const steamUsername = document.getElementById('steam-username').value;
             const steamPassword = document.getElementById('steam-password').value;
@@ -384,7 +431,8 @@ class App {
             config.preferences = {
                 ...config.preferences,
                 autoUpdate,
-                checkUpdatesOnStart: checkUpdates
+                checkUpdatesOnStart: checkUpdates,
+                stopServersOnQuit
             };
             await window.electronAPI.configSet('preferences', config.preferences);
 
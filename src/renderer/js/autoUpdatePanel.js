@@ -0,0 +1,179 @@
+/**
+ * Automatic mod and server update settings with the update log of the selected instance
+ */
+class AutoUpdatePanel {
+    constructor() {
+        this.init();
+    }
+
+    init() {
+        this.setupEventListeners();
+        this.load();
+    }
+
+    setupEventListeners() {
+        document.getElementById('save-auto-update-settings').addEventListener('click', () => {
+            this.saveSettings();
+        });
+
+        document.getElementById('auto-update-check-now').addEventListener('click', () => {
+            this.checkNow();
+        });
+
+        document.getElementById('cancel-auto-update').addEventListener('click', () => {
+            this.cancelUpdate();
+        });
+
+        document.getElementById('clear-auto-update-log').addEventListener('click', () => {
+            this.clearLog();
+        });
+
+        window.electronAPI.onAutoUpdateLog(() => {
+            this.loadStatus();
+        });
+    }
+
+    async load() {
+        await this.loadSettings();
+        await this.loadStatus();
+    }
+
+    async loadSettings() {
+        try {
+            const settings = await window.electronAPI.autoUpdateGetSettings();
+            document.getElementById('auto-update-enabled').checked = settings.enabled;
+            document.getElementById('auto-update-check-mods').checked = settings.checkMods;
+            document.getElementById('auto-update-check-server').checked = settings.checkServerFiles;
+            document.getElementById('auto-update-interval').value = settings.checkIntervalMinutes;
+            document.getElementById('auto-update-countdown').value = settings.countdownSeconds;
+            document.getElementById('auto-update-message').value = settings.announceMessage;
+            document.getElementById('auto-update-quiet-start').value = settings.quietHoursStart;
+            document.getElementById('auto-update-quiet-end').value = settings.quietHoursEnd;
+            document.getElementById('auto-update-dry-run').checked = settings.dryRun;
+        } catch (error) {
+            console.error('Error loading automatic update settings:', error);
+        }
+    }
+
+    async saveSettings() {
+        try {
+            const result = await window.electronAPI.autoUpdateSetSettings({
+                enabled: document.getElementById('auto-update-enabled').checked,
+                checkMods: document.getElementById('auto-update-check-mods').checked,
+                checkServerFiles: document.getElementById('auto-update-check-server').checked,
+                checkIntervalMinutes: document.getElementById('auto-update-interval').value,
+                countdownSeconds: document.getElementById('auto-update-countdown').value,
+                announceMessage: document.getElementById('auto-update-message').value,
+                quietHoursStart: document.getElementById('auto-update-quiet-start').value,
+                quietHoursEnd: document.getElementById('auto-update-quiet-end').value,
+                dryRun: document.getElementById('auto-update-dry-run').checked
+            });
+
+            if (result.success) {
+                window.app.showSuccess('Automatic update settings saved');
+                await this.loadSettings();
+            } else {
+                window.app.showError(result.error || 'Failed to save automatic update settings');
+            }
+        } catch (error) {
+            window.app.showError(`Failed to save automatic update settings: ${error.message}`);
+        }
+    }
+
+    async loadStatus() {
+        try {
+            const { status, log } = await window.electronAPI.autoUpdateGetStatus();
+            this.renderStatus(status);
+            this.renderLog(log);
+        } catch (error) {
+            console.error('Error loading automatic update status:', error);
+        }
+    }
+
+    renderStatus(status) {
+        const element = document.getElementById('auto-update-status');
+        document.getElementById('cancel-auto-update').style.display = status.phase === 'countdown' ? '' : 'none';
+
+        const phases = {
+            idle: status.lastCheckAt ? `Last checked ${new Date(status.lastCheckAt).toLocaleString()}` : 'Not checked yet',
+            checking: 'Checking for updates...',
+            countdown: `Restarting for updates at ${status.restartAt ? new Date(status.restartAt).toLocaleTimeString() : '-'}`,
+            updating: 'Installing updates...'
+        };
+        element.textContent = phases[status.phase] || status.phase;
+    }
+
+    renderLog(log) {
+        const container = document.getElementById('auto-update-log');
+        if (log.length === 0) {
+            container.innerHTML = '<div class="empty-state">No update checks logged</div>';
+            return;
+        }
+
+        container.innerHTML = log.map(entry => `
+            <div class="auto-update-entry ${entry.level}">
+                <span class="auto-update-time">${new Date(entry.time).toLocaleString()}</span>
+                <span class="auto-update-message">${entry.dryRun ? '[dry run] ' : ''}${this.escapeHtml(entry.message)}</span>
+            </div>
+        `).join('');
+    }
+
+    async checkNow() {
+        const button = document.getElementById('auto-update-check-now');
+        button.disabled = true;
+        this.renderStatus({ phase: 'checking' });
+
+        try {
+            const result = await window.electronAPI.autoUpdateCheckNow();
+            if (!result.success) {
+                window.app.showError(result.error || 'Update check failed');
+            } else if (!result.updates) {
+                window.app.showSuccess('No updates found');
+            }
+        } catch (error) {
+            window.app.showError(`Update check failed: ${error.message}`);
+        } finally {
+            button.disabled = false;
+            await this.loadStatus();
+        }
+    }
+
+    async cancelUpdate() {
+        const result = await window.electronAPI.autoUpdateCancel();
+        if (result.cancelled) {
+            window.app.showSuccess('Update restart cancelled');
+        }
+        await this.loadStatus();
+    }
+
+    async clearLog() {
+        if (!confirm('Clear the update log?')) {
+            return;
+        }
+        await window.electronAPI.autoUpdateClearLog();
+        await this.loadStatus();
+    }
+
+    escapeHtml(text) {
+        const div = document.createElement('div');
+        div.textContent = text;
+        return div.innerHTML;
+    }
+}
+
+// Initialize when DOM and electronAPI are ready
+function initializeAutoUpdatePanel() {
+    if (document.readyState === 'loading') {
+        document.addEventListener('DOMContentLoaded', () => {
+            if (typeof window.electronAPI !== 'undefined') {
+                window.autoUpdatePanel = new AutoUpdatePanel();
+            }
+        });
+    } else {
+        if (typeof window.electronAPI !== 'undefined') {
+            window.autoUpdatePanel = new AutoUpdatePanel();
+        }
+    }
+}
+
+initializeAutoUpdatePanel();
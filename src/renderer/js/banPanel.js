@@ -0,0 +1,304 @@
+/**
+ * Ban management panel
+ */
+class BanPanel {
+    constructor() {
+        this.bans = [];
+        this.editingBan = null;
+        this.source = 'rcon'; // rcon, file
+        this.sourceChosen = false;
+        this.serverPath = null;
+        this.init();
+    }
+
+    init() {
+        this.setupEventListeners();
+    }
+
+    setupEventListeners() {
+        document.getElementById('add-ban').addEventListener('click', () => this.showBanModal());
+        document.getElementById('refresh-bans').addEventListener('click', () => this.loadBans());
+        document.getElementById('ban-search').addEventListener('input', () => this.renderBans());
+        document.getElementById('ban-type-filter').addEventListener('change', () => this.renderBans());
+        document.getElementById('ban-source').addEventListener('change', (e) => {
+            this.source = e.target.value;
+            this.sourceChosen = true;
+            this.loadBans();
+        });
+        document.getElementById('ban-profile-select').addEventListener('change', () => this.loadBans());
+
+        document.getElementById('save-ban').addEventListener('click', () => this.saveBan());
+        document.getElementById('close-ban-modal').addEventListener('click', () => this.hideBanModal());
+        document.getElementById('cancel-ban-modal').addEventListener('click', () => this.hideBanModal());
+    }
+
+    async loadBans() {
+        const container = document.getElementById('bans-list');
+
+        try {
+            // Fall back to bans.txt when the server is not reachable over RCON
+            const status = await window.electronAPI.rconGetStatus();
+            if (!this.sourceChosen) {
+                this.source = status.connected ? 'rcon' : 'file';
+            }
+            document.getElementById('ban-source').value = this.source;
+            document.getElementById('ban-profile-group').style.display = this.source === 'file' ? '' : 'none';
+
+            if (this.source === 'file') {
+                await this.loadBansFile();
+                return;
+            }
+
+            document.getElementById('ban-file-info').style.display = 'none';
+
+            if (!status.connected) {
+                this.bans = [];
+                container.innerHTML = '<div class="empty-state">Connect to RCON to load live bans, or switch the source to bans.txt</div>';
+                this.updateCounter();
+                return;
+            }
+
+            container.innerHTML = '<div class="empty-state">Loading bans...</div>';
+            const result = await window.electronAPI.rconGetBans();
+
+            if (result.success) {
+                this.bans = result.bans || [];
+                this.renderBans();
+            } else {
+                container.innerHTML = `<div class="empty-state">Failed to load bans: ${this.escapeHtml(result.error)}</div>`;
+            }
+        } catch (error) {
+            container.innerHTML = `<div class="empty-state">Failed to load bans: ${this.escapeHtml(error.message)}</div>`;
+        }
+    }
+
+    async loadBansFile() {
+        const container = document.getElementById('bans-list');
+        const info = document.getElementById('ban-file-info');
+
+        this.serverPath = await window.electronAPI.configGetServerPath();
+        if (!this.serverPath) {
+            this.bans = [];
+            info.style.display = 'none';
+            container.innerHTML = '<div class="empty-state">Set the server installation path first</div>';
+            this.updateCounter();
+            return;
+        }
+
+        await this.loadProfiles();
+
+        const result = await window.electronAPI.bansFileRead(this.serverPath, this.getProfileName());
+        if (!result.success) {
+            info.style.display = 'none';
+            container.innerHTML = `<div class="empty-state">Failed to read bans.txt: ${this.escapeHtml(result.error)}</div>`;
+            return;
+        }
+
+        this.bans = result.bans || [];
+        info.style.display = '';
+        info.innerHTML = `${result.exists ? 'File' : 'Will be created at'}: ${this.escapeHtml(result.path)}`;
+        if (result.invalidLines && result.invalidLines.length > 0) {
+            const lines = result.invalidLines.map(l => l.line).join(', ');
+            info.innerHTML += `<br><span class="warning">Unrecognised line(s) kept as-is: ${lines}</span>`;
+        }
+        this.renderBans();
+    }
+
+    async loadProfiles() {
+        const select = document.getElementById('ban-profile-select');
+        const current = select.value || 'default';
+
+        try {
+            const profiles = await window.electronAPI.serverListProfiles(this.serverPath);
+            const profileSet = new Set(profiles || []);
+            profileSet.add('default');
+
+            select.innerHTML = '';
+            Array.from(profileSet).sort().forEach(profile => {
+                const option = document.createElement('option');
+                option.value = profile;
+                option.textContent = profile;
+                select.appendChild(option);
+            });
+            select.value = profileSet.has(current) ? current : 'default';
+        } catch (error) {
+            console.error('Error loading profiles:', error);
+        }
+    }
+
+    getProfileName() {
+        return document.getElementById('ban-profile-select').value || 'default';
+    }
+
+    getFilteredBans() {
+        const search = document.getElementById('ban-search').value.trim().toLowerCase();
+        const type = document.getElementById('ban-type-filter').value;
+
+        return this.bans.filter(ban => {
+            if (type && ban.type !== type) {
+                return false;
+            }
+            if (search && !ban.value.toLowerCase().includes(search) && !ban.reason.toLowerCase().includes(search)) {
+                return false;
+            }
+            return true;
+        });
+    }
+
+    renderBans() {
+        const container = document.getElementById('bans-list');
+        const bans = this.getFilteredBans();
+        this.updateCounter();
+
+        if (bans.length === 0) {
+            container.innerHTML = `<div class="empty-state">${this.bans.length === 0 ? 'No bans' : 'No bans match the search'}</div>`;
+            return;
+        }
+
+        let html = '<table class="bans-table">';
+        html += '<thead><tr><th>#</th><th>Type</th><th>GUID / IP</th><th>Remaining</th><th>Reason</th><th></th></tr></thead>';
+        html += '<tbody>';
+
+        bans.forEach(ban => {
+            html += `<tr class="${ban.expired ? 'expired' : ''}">
+                <td>${ban.index}</td>
+                <td>${ban.type.toUpperCase()}</td>
+                <td>${this.escapeHtml(ban.value)}</td>
+                <td>${this.formatRemaining(ban)}</td>
+                <td>${this.escapeHtml(ban.reason || '-')}</td>
+                <td>
+                    <div class="ban-actions">
+                        <button class="btn btn-secondary btn-sm" onclick="window.banPanel.showBanModal(${ban.index})">Edit</button>
+                        <button class="btn btn-danger btn-sm" onclick="window.banPanel.removeBan(${ban.index})">Remove</button>
+                    </div>
+                </td>
+            </tr>`;
+        });
+
+        html += '</tbody></table>';
+        container.innerHTML = html;
+    }
+
+    updateCounter() {
+        const counter = document.getElementById('ban-counter');
+        counter.textContent = `${this.bans.length} ${this.bans.length === 1 ? 'ban' : 'bans'}`;
+    }
+
+    formatRemaining(ban) {
+        if (ban.permanent) return 'Permanent';
+        if (ban.expired) return 'Expired';
+
+        const minutes = ban.minutesLeft;
+        if (minutes >= 1440) {
+            return `${Math.floor(minutes / 1440)}d ${Math.floor((minutes % 1440) / 60)}h`;
+        }
+        if (minutes >= 60) {
+            return `${Math.floor(minutes / 60)}h ${minutes % 60}m`;
+        }
+        return `${minutes}m`;
+    }
+
+    showBanModal(index = null) {
+        this.editingBan = index !== null ? this.bans.find(ban => ban.index === index) : null;
+
+        document.getElementById('ban-modal-title').textContent = this.editingBan ? 'Edit Ban' : 'Add Ban';
+        document.getElementById('ban-target').value = this.editingBan ? this.editingBan.value : '';
+        document.getElementById('ban-minutes').value = this.editingBan && !this.editingBan.permanent
+            ? (this.editingBan.minutesLeft || 0)
+            : 0;
+        document.getElementById('ban-reason').value = this.editingBan ? this.editingBan.reason : '';
+        document.getElementById('ban-modal').classList.add('active');
+    }
+
+    hideBanModal() {
+        document.getElementById('ban-modal').classList.remove('active');
+        this.editingBan = null;
+    }
+
+    async saveBan() {
+        const target = document.getElementById('ban-target').value.trim();
+        const minutes = parseInt(document.getElementById('ban-minutes').value) || 0;
+        const reason = document.getElementById('ban-reason').value.trim();
+
+        if (!target) {
+            window.app.showError('Please enter a GUID or IP address');
+            return;
+        }
+
+        try {
+            let result;
+            if (this.source === 'file') {
+                result = this.editingBan
+                    ? await window.electronAPI.bansFileUpdate(this.serverPath, this.getProfileName(), this.editingBan.index, target, minutes, reason)
+                    : await window.electronAPI.bansFileAdd(this.serverPath, this.getProfileName(), target, minutes, reason);
+            } else {
+                result = this.editingBan
+                    ? await window.electronAPI.rconUpdateBan(this.editingBan.index, target, minutes, reason)
+                    : await window.electronAPI.rconAddBan(target, minutes, reason);
+            }
+
+            if (result.success) {
+                window.app.showSuccess(this.editingBan ? 'Ban updated' : 'Ban added');
+                this.hideBanModal();
+                await this.loadBans();
+            } else {
+                window.app.showError(result.error || 'Failed to save ban');
+            }
+        } catch (error) {
+            window.app.showError(`Failed to save ban: ${error.message}`);
+        }
+    }
+
+    async removeBan(index) {
+        const ban = this.bans.find(b => b.index === index);
+        if (!ban) return;
+
+        if (!confirm(`Remove ban for ${ban.value}?`)) {
+            return;
+        }
+
+        try {
+            const result = this.source === 'file'
+                ? await window.electronAPI.bansFileRemove(this.serverPath, this.getProfileName(), index)
+                : await window.electronAPI.rconRemoveBan(index);
+            if (result.success) {
+                window.app.showSuccess('Ban removed');
+                await this.loadBans();
+            } else {
+                window.app.showError(result.error || 'Failed to remove ban');
+            }
+        } catch (error) {
+            window.app.showError(`Failed to remove ban: ${error.message}`);
+        }
+    }
+
+    escapeHtml(text) {
+        const div = document.createElement('div');
+        div.textContent = text;
+        return div.innerHTML;
+    }
+}
+
+// Initialize when DOM and electronAPI are ready
+function initializeBanPanel() {
+    if (document.readyState === 'loading') {
+        document.addEventListener('DOMContentLoaded', () => {
+            if (typeof window.electronAPI !== 'undefined') {
+                window.banPanel = new BanPanel();
+            }
+        });
+    } else {
+        if (typeof window.electronAPI !== 'undefined') {
+            window.banPanel = new BanPanel();
+        } else {
+            const checkAPI = setInterval(() => {
+                if (typeof window.electronAPI !== 'undefined') {
+                    window.banPanel = new BanPanel();
+                    clearInterval(checkAPI);
+                }
+            }, 100);
+        }
+    }
+}
+
+initializeBanPanel();
@@ -0,0 +1,195 @@
+/**
+ * Live view of the server's stdout/stderr
+ */
+class ConsoleView {
+    constructor() {
+        this.lines = [];
+        this.pendingLines = [];
+        this.maxLines = 5000;
+        this.isPaused = false;
+        this.autoScroll = true;
+        this.init();
+    }
+
+    init() {
+        this.setupEventListeners();
+    }
+
+    setupEventListeners() {
+        document.getElementById('console-level-filter').addEventListener('change', () => {
+            this.renderLines();
+        });
+
+        document.getElementById('console-search').addEventListener('input', () => {
+            this.renderLines();
+        });
+
+        document.getElementById('console-pause').addEventListener('click', () => {
+            this.togglePause();
+        });
+
+        document.getElementById('console-clear').addEventListener('click', () => {
+            this.clear();
+        });
+
+        document.getElementById('console-auto-scroll').addEventListener('change', (e) => {
+            this.autoScroll = e.target.checked;
+        });
+
+        window.electronAPI.onConsoleLines((lines) => {
+            this.addLines(lines);
+        });
+    }
+
+    async loadLines() {
+        try {
+            const result = await window.electronAPI.consoleGetLines();
+            if (!result.success) {
+                window.app.showError(result.error || 'Failed to load server console');
+                return;
+            }
+
+            this.lines = result.lines || [];
+            this.pendingLines = [];
+            document.getElementById('console-info').textContent = `Output is also saved to ${result.logPath}`;
+            this.renderLines();
+        } catch (error) {
+            console.error('Error loading server console:', error);
+        }
+    }
+
+    addLines(lines) {
+        if (this.isPaused) {
+            // Keep what arrives while paused so nothing is lost on resume
+            this.pendingLines.push(...lines);
+            this.trim(this.pendingLines);
+            this.updatePauseButton();
+            return;
+        }
+
+        this.lines.push(...lines);
+        const trimmed = this.trim(this.lines);
+
+        if (trimmed > 0) {
+            this.renderLines();
+            return;
+        }
+
+        const container = document.getElementById('console-output');
+        const emptyState = container.querySelector('.empty-state');
+        if (emptyState) {
+            emptyState.remove();
+        }
+
+        for (const entry of lines.filter(line => this.matchesFilter(line))) {
+            container.appendChild(this.createEntryElement(entry));
+        }
+        this.scrollToEnd();
+    }
+
+    togglePause() {
+        this.isPaused = !this.isPaused;
+
+        if (!this.isPaused && this.pendingLines.length > 0) {
+            this.lines.push(...this.pendingLines);
+            this.pendingLines = [];
+            this.trim(this.lines);
+            this.renderLines();
+        }
+        this.updatePauseButton();
+    }
+
+    updatePauseButton() {
+        const button = document.getElementById('console-pause');
+        if (!this.isPaused) {
+            button.textContent = 'Pause';
+        } else {
+            button.textContent = this.pendingLines.length > 0 ? `Resume (${this.pendingLines.length} new)` : 'Resume';
+        }
+    }
+
+    async clear() {
+        try {
+            await window.electronAPI.consoleClear();
+            this.lines = [];
+            this.pendingLines = [];
+            this.updatePauseButton();
+            this.renderLines();
+        } catch (error) {
+            window.app.showError(`Failed to clear console: ${error.message}`);
+        }
+    }
+
+    /**
+     * Drop the oldest lines over the limit, returning how many were removed
+     */
+    trim(lines) {
+        const excess = lines.length - this.maxLines;
+        if (excess > 0) {
+            lines.splice(0, excess);
+            return excess;
+        }
+        return 0;
+    }
+
+    matchesFilter(entry) {
+        const level = document.getElementById('console-level-filter').value;
+        const search = document.getElementById('console-search').value.toLowerCase();
+
+        if (level && entry.level !== level) {
+            return false;
+        }
+        if (search && !(entry.raw || '').toLowerCase().includes(search)) {
+            return false;
+        }
+        return true;
+    }
+
+    renderLines() {
+        const container = document.getElementById('console-output');
+        const filtered = this.lines.filter(entry => this.matchesFilter(entry));
+
+        if (filtered.length === 0) {
+            container.innerHTML = '<div class="empty-state">No server output</div>';
+            return;
+        }
+
+        container.innerHTML = '';
+        const fragment = document.createDocumentFragment();
+        filtered.forEach(entry => fragment.appendChild(this.createEntryElement(entry)));
+        container.appendChild(fragment);
+        this.scrollToEnd();
+    }
+
+    createEntryElement(entry) {
+        const levelClass = entry.level ? entry.level.toLowerCase() : 'info';
+        const element = document.createElement('div');
+        element.className = `log-entry ${levelClass} ${entry.source}`;
+        element.textContent = `${new Date(entry.time).toLocaleTimeString()} ${entry.raw}`;
+        return element;
+    }
+
+    scrollToEnd() {
+        if (this.autoScroll) {
+            const container = document.getElementById('console-output');
+            container.scrollTop = container.scrollHeight;
+        }
+    }
+}
+
+// Initialize when DOM and electronAPI are ready
+function initializeConsoleView() {
+    if (document.readyState === 'loading') {
+        document.addEventListener('DOMContentLoaded', () => {
+            if (typeof window.electronAPI !== 'undefined') {
+                window.consoleView = new ConsoleView();
+            }
+        });
+    } else {
+        if (typeof window.electronAPI !== 'undefined') {
+            window.consoleView = new ConsoleView();
+        }
+    }
+}
+
+initializeConsoleView();
@@ -0,0 +1,290 @@
+/**
+ * Server instance switcher in the top bar and instance management in Settings
+ */
+class InstancePanel {
+    constructor() {
+        this.instances = [];
+        this.editingInstanceId = null;
+        this.init();
+    }
+
+    init() {
+        this.setupEventListeners();
+        this.loadInstances();
+    }
+
+    setupEventListeners() {
+        document.getElementById('instance-select').addEventListener('change', (e) => {
+            this.switchInstance(e.target.value);
+        });
+
+        document.getElementById('add-instance').addEventListener('click', () => {
+            this.showInstanceModal();
+        });
+
+        document.getElementById('close-instance-modal').addEventListener('click', () => {
+            this.hideInstanceModal();
+        });
+
+        document.getElementById('cancel-instance').addEventListener('click', () => {
+            this.hideInstanceModal();
+        });
+
+        document.getElementById('save-instance').addEventListener('click', () => {
+            this.saveInstance();
+        });
+
+        document.getElementById('instance-browse-path').addEventListener('click', async () => {
+            const path = await window.electronAPI.instancesSelectPath();
+            if (path) {
+                document.getElementById('instance-server-path').value = path;
+            }
+        });
+
+        window.electronAPI.onInstancesStatus((instances) => {
+            // Only re-render when something changed so open menus are not reset every tick
+            if (JSON.stringify(instances) !== JSON.stringify(this.instances)) {
+                this.instances = instances;
+                this.render();
+            }
+        });
+
+        window.electronAPI.onActiveInstanceChanged(async () => {
+            await this.loadInstances();
+            if (window.app) {
+                window.app.onInstanceChanged();
+            }
+        });
+    }
+
+    async loadInstances() {
+        try {
+            this.instances = await window.electronAPI.instancesList();
+            this.render();
+        } catch (error) {
+            console.error('Error loading server instances:', error);
+        }
+    }
+
+    render() {
+        this.renderSelect();
+        this.renderInstances();
+    }
+
+    renderSelect() {
+        const select = document.getElementById('instance-select');
+        select.innerHTML = '';
+
+        this.instances.forEach(instance => {
+            const option = document.createElement('option');
+            option.value = instance.id;
+            option.textContent = instance.isRunning ? `${instance.name} (running)` : instance.name;
+            option.selected = instance.active;
+            select.appendChild(option);
+        });
+    }
+
+    renderInstances() {
+        const container = document.getElementById('instances-list');
+
+        if (this.instances.length === 0) {
+            container.innerHTML = '<div class="empty-state">No server instances</div>';
+            return;
+        }
+
+        container.innerHTML = this.instances.map(instance => {
+            const state = instance.isRunning ? `Running (PID ${instance.pid})` : 'Stopped';
+            const rconPort = instance.rconPort ? ` | RCON port: ${instance.rconPort}` : '';
+
+            return `
+                <div class="instance-item ${instance.active ? 'active' : ''}">
+                    <div class="instance-info">
+                        <div class="instance-name">${this.escapeHtml(instance.name)}${instance.active ? ' (selected)' : ''}</div>
+                        <div class="instance-details">${this.escapeHtml(instance.serverPath || 'No install path')}</div>
+                        <div class="instance-details">Profile: ${this.escapeHtml(instance.profileName)} | Game port: ${instance.gamePort}${rconPort} | ${state}</div>
+                    </div>
+                    <div class="instance-actions">
+                        ${instance.active ? '' : `<button class="btn btn-secondary btn-sm" onclick="window.instancePanel.switchInstance('${instance.id}')">Select</button>`}
+                        <button class="btn btn-secondary btn-sm" onclick="window.instancePanel.checkPorts('${instance.id}')">Check Ports</button>
+                        <button class="btn btn-secondary btn-sm" onclick="window.instancePanel.showInstanceModal('${instance.id}')">Edit</button>
+                        <button class="btn btn-danger btn-sm" onclick="window.instancePanel.removeInstance('${instance.id}')" ${instance.isRunning ? 'disabled' : ''}>Remove</button>
+                    </div>
+                </div>
+            `;
+        }).join('');
+    }
+
+    async switchInstance(id) {
+        try {
+            const result = await window.electronAPI.instancesSetActive(id);
+            if (!result.success) {
+                window.app.showError(result.error || 'Failed to switch server instance');
+                this.renderSelect();
+            }
+        } catch (error) {
+            window.app.showError(`Failed to switch server instance: ${error.message}`);
+            this.renderSelect();
+        }
+    }
+
+    showInstanceModal(id = null) {
+        const instance = id ? this.instances.find(i => i.id === id) : null;
+        this.editingInstanceId = instance ? instance.id : null;
+
+        document.getElementById('instance-modal-title').textContent = instance ? 'Edit Server Instance' : 'Add Server Instance';
+        document.getElementById('instance-name').value = instance ? instance.name : '';
+        document.getElementById('instance-server-path').value = instance ? instance.serverPath : '';
+        document.getElementById('instance-profile').value = instance ? instance.profileName : 'default';
+        document.getElementById('instance-game-port').value = instance ? instance.gamePort : 2302;
+        document.getElementById('instance-modal').classList.add('active');
+
+        if (!instance) {
+            this.prefillFreeGamePort();
+        }
+    }
+
+    /**
+     * Fill in the first game port clear of other instances and running processes
+     */
+    async prefillFreeGamePort() {
+        try {
+            const result = await window.electronAPI.portsSuggest();
+            if (result.success) {
+                document.getElementById('instance-game-port').value = result.ports.gamePort;
+            }
+        } catch (error) {
+            console.error('Error suggesting ports:', error);
+        }
+    }
+
+    hideInstanceModal() {
+        document.getElementById('instance-modal').classList.remove('active');
+        this.editingInstanceId = null;
+    }
+
+    async saveInstance() {
+        const data = {
+            name: document.getElementById('instance-name').value.trim(),
+            serverPath: document.getElementById('instance-server-path').value.trim(),
+            profileName: document.getElementById('instance-profile').value.trim(),
+            gamePort: parseInt(document.getElementById('instance-game-port').value)
+        };
+
+        if (!data.name) {
+            window.app.showError('Please enter an instance name');
+            return;
+        }
+
+        try {
+            const result = this.editingInstanceId
+                ? await window.electronAPI.instancesUpdate(this.editingInstanceId, data)
+                : await window.electronAPI.instancesAdd(data);
+
+            if (result.success) {
+                const wasActive = this.instances.some(i => i.id === this.editingInstanceId && i.active);
+                window.app.showSuccess(this.editingInstanceId ? 'Server instance updated' : 'Server instance added');
+                this.hideInstanceModal();
+                await this.loadInstances();
+                if (wasActive) {
+                    window.app.onInstanceChanged();
+                }
+            } else {
+                window.app.showError(result.error || 'Failed to save server instance');
+            }
+        } catch (error) {
+            window.app.showError(`Failed to save server instance: ${error.message}`);
+        }
+    }
+
+    async removeInstance(id) {
+        const instance = this.instances.find(i => i.id === id);
+        if (!instance || !confirm(`Remove server instance "${instance.name}"? Its server files are not deleted.`)) {
+            return;
+        }
+
+        const result = await window.electronAPI.instancesRemove(id);
+        if (result.success) {
+            window.app.showSuccess('Server instance removed');
+        } else {
+            window.app.showError(result.error || 'Failed to remove server instance');
+        }
+        await this.loadInstances();
+    }
+
+    async checkPorts(id) {
+        try {
+            const result = await window.electronAPI.portsCheck(id);
+            if (!result.success) {
+                window.app.showError(result.error || 'Failed to check ports');
+                return;
+            }
+
+            if (result.conflicts.length > 0) {
+                const suggestion = await window.electronAPI.portsSuggest(id);
+                await this.resolvePortConflicts(id, result.conflicts, suggestion.success ? suggestion.ports : null);
+            } else if (result.warnings.length > 0) {
+                window.app.showError(`Ports shared with a stopped instance: ${this.describePorts(result.warnings)}`);
+            } else {
+                window.app.showSuccess(`Ports free: ${result.ports.map(p => p.port).join(', ')}`);
+            }
+        } catch (error) {
+            window.app.showError(`Failed to check ports: ${error.message}`);
+        }
+    }
+
+    /**
+     * Report port conflicts and offer to switch the instance to a free port block
+     * Returns true when the suggested ports were applied
+     */
+    async resolvePortConflicts(id, conflicts, suggestedPorts) {
+        const details = this.describePorts(conflicts);
+        if (!suggestedPorts) {
+            window.app.showError(`Port conflict: ${details}`);
+            return false;
+        }
+
+        const question = `These ports are already in use:\n${details}\n\n` +
+            `Switch to game port ${suggestedPorts.gamePort}, steam query port ${suggestedPorts.steamQueryPort} ` +
+            `and RCON port ${suggestedPorts.rconPort}?`;
+        if (!confirm(question)) {
+            return false;
+        }
+
+        const result = await window.electronAPI.portsApply(id, suggestedPorts);
+        if (!result.success) {
+            window.app.showError(result.error || 'Failed to change ports');
+            return false;
+        }
+
+        window.app.showSuccess(`Ports changed to ${result.gamePort} (game) and ${result.rconPort} (RCON)`);
+        await this.loadInstances();
+        return true;
+    }
+
+    describePorts(entries) {
+        return entries.map(entry => `${entry.port} (${entry.purpose}) used by ${entry.owner}`).join('\n');
+    }
+
+    escapeHtml(text) {
+        const div = document.createElement('div');
+        div.textContent = text;
+        return div.innerHTML;
+    }
+}
+
+// Initialize when DOM and electronAPI are ready
+function initializeInstancePanel() {
+    if (document.readyState === 'loading') {
+        document.addEventListener('DOMContentLoaded', () => {
+            if (typeof window.electronAPI !== 'undefined') {
+                window.instancePanel = new InstancePanel();
+            }
+        });
+    } else {
+        if (typeof window.electronAPI !== 'undefined') {
+            window.instancePanel = new InstancePanel();
+        }
+    }
+}
+
+initializeInstancePanel();
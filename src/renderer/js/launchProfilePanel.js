@@ -0,0 +1,207 @@
+/**
+ * Launch profile editor with a preview of the server command line
+ */
+class LaunchProfilePanel {
+    constructor() {
+        this.profiles = [];
+        this.editingProfileId = null;
+        this.previewTimer = null;
+        this.init();
+    }
+
+    init() {
+        this.setupEventListeners();
+        this.loadProfiles();
+    }
+
+    setupEventListeners() {
+        document.getElementById('launch-profile-select').addEventListener('change', (e) => {
+            this.selectProfile(e.target.value);
+        });
+
+        document.getElementById('new-launch-profile').addEventListener('click', () => {
+            this.newProfile();
+        });
+
+        document.getElementById('remove-launch-profile').addEventListener('click', () => {
+            this.removeProfile();
+        });
+
+        document.getElementById('save-launch-profile').addEventListener('click', () => {
+            this.saveProfile();
+        });
+
+        // Keep the preview in step with unsaved edits
+        const fields = document.querySelectorAll('.launch-profile-form input, .launch-profile-flags input, #launch-extras');
+        fields.forEach(field => {
+            field.addEventListener('input', () => this.schedulePreview());
+        });
+        document.getElementById('server-profile-select').addEventListener('change', () => this.schedulePreview());
+    }
+
+    async loadProfiles() {
+        try {
+            const result = await window.electronAPI.launchProfilesList();
+            this.profiles = result.profiles || [];
+            this.renderSelect(result.activeId);
+
+            const active = this.profiles.find(profile => profile.id === result.activeId) || this.profiles[0];
+            this.fillForm(active);
+        } catch (error) {
+            console.error('Error loading launch profiles:', error);
+        }
+    }
+
+    renderSelect(selectedId) {
+        const select = document.getElementById('launch-profile-select');
+        select.innerHTML = '';
+
+        this.profiles.forEach(profile => {
+            const option = document.createElement('option');
+            option.value = profile.id;
+            option.textContent = profile.name;
+            option.selected = profile.id === selectedId;
+            select.appendChild(option);
+        });
+    }
+
+    async selectProfile(id) {
+        const result = await window.electronAPI.launchProfilesSetActive(id);
+        if (!result.success) {
+            window.app.showError(result.error || 'Failed to select launch profile');
+        }
+        await this.loadProfiles();
+    }
+
+    newProfile() {
+        this.fillForm(null);
+        document.getElementById('launch-profile-select').value = '';
+        document.getElementById('launch-name').focus();
+    }
+
+    fillForm(profile) {
+        this.editingProfileId = profile ? profile.id : null;
+        const value = (field, fallback = '') => (profile && profile[field] !== null && profile[field] !== undefined ? profile[field] : fallback);
+
+        document.getElementById('launch-name').value = value('name');
+        document.getElementById('launch-config-file').value = value('configFile', 'serverDZ.cfg');
+        document.getElementById('launch-port').value = value('port');
+        document.getElementById('launch-cpu-count').value = value('cpuCount');
+        document.getElementById('launch-limit-fps').value = value('limitFPS');
+        document.getElementById('launch-be-path').value = value('bePath');
+        document.getElementById('launch-storage-path').value = value('storagePath');
+        document.getElementById('launch-server-mods').value = value('serverMods', []).join(';');
+        document.getElementById('launch-freeze-check').checked = value('freezeCheck', false);
+        document.getElementById('launch-file-patching').checked = value('filePatching', false);
+        document.getElementById('launch-do-logs').checked = value('doLogs', true);
+        document.getElementById('launch-admin-log').checked = value('adminLog', true);
+        document.getElementById('launch-net-log').checked = value('netLog', true);
+        document.getElementById('launch-extras').value = value('extras');
+        this.updatePreview();
+    }
+
+    readForm() {
+        return {
+            id: this.editingProfileId,
+            name: document.getElementById('launch-name').value.trim(),
+            configFile: document.getElementById('launch-config-file').value.trim(),
+            port: document.getElementById('launch-port').value,
+            cpuCount: document.getElementById('launch-cpu-count').value,
+            limitFPS: document.getElementById('launch-limit-fps').value,
+            bePath: document.getElementById('launch-be-path').value.trim(),
+            storagePath: document.getElementById('launch-storage-path').value.trim(),
+            serverMods: document.getElementById('launch-server-mods').value,
+            freezeCheck: document.getElementById('launch-freeze-check').checked,
+            filePatching: document.getElementById('launch-file-patching').checked,
+            doLogs: document.getElementById('launch-do-logs').checked,
+            adminLog: document.getElementById('launch-admin-log').checked,
+            netLog: document.getElementById('launch-net-log').checked,
+            extras: document.getElementById('launch-extras').value.trim()
+        };
+    }
+
+    schedulePreview() {
+        clearTimeout(this.previewTimer);
+        this.previewTimer = setTimeout(() => this.updatePreview(), 300);
+    }
+
+    async updatePreview() {
+        const preview = document.getElementById('launch-preview');
+        const profileSelect = document.getElementById('server-profile-select');
+        const profileName = profileSelect && profileSelect.value ? profileSelect.value : 'default';
+        const data = this.readForm();
+        // The preview needs a name to validate, unsaved new profiles may not have one yet
+        data.name = data.name || 'preview';
+
+        try {
+            // The main process adds the mod list and reports mods it cannot find
+            const result = await window.electronAPI.launchProfilesPreview(data, profileName);
+            preview.classList.toggle('error', !result.success);
+            preview.textContent = result.success
+                ? [result.commandLine, ...result.warnings].join('\n')
+                : result.error;
+        } catch (error) {
+            preview.classList.add('error');
+            preview.textContent = error.message;
+        }
+    }
+
+    async saveProfile() {
+        const data = this.readForm();
+        if (!data.name) {
+            window.app.showError('Please enter a launch profile name');
+            return;
+        }
+
+        try {
+            const result = await window.electronAPI.launchProfilesSave(data);
+            if (!result.success) {
+                window.app.showError(result.error || 'Failed to save launch profile');
+                return;
+            }
+
+            // A new profile becomes the one the server starts with
+            if (!data.id) {
+                await window.electronAPI.launchProfilesSetActive(result.profile.id);
+            }
+            window.app.showSuccess('Launch profile saved');
+            await this.loadProfiles();
+        } catch (error) {
+            window.app.showError(`Failed to save launch profile: ${error.message}`);
+        }
+    }
+
+    async removeProfile() {
+        const profile = this.profiles.find(p => p.id === this.editingProfileId);
+        if (!profile) {
+            await this.loadProfiles();
+            return;
+        }
+        if (!confirm(`Delete launch profile "${profile.name}"?`)) {
+            return;
+        }
+
+        const result = await window.electronAPI.launchProfilesRemove(profile.id);
+        if (!result.success) {
+            window.app.showError(result.error || 'Failed to delete launch profile');
+        }
+        await this.loadProfiles();
+    }
+}
+
+// Initialize when DOM and electronAPI are ready
+function initializeLaunchProfilePanel() {
+    if (document.readyState === 'loading') {
+        document.addEventListener('DOMContentLoaded', () => {
+            if (typeof window.electronAPI !== 'undefined') {
+                window.launchProfilePanel = new LaunchProfilePanel();
+            }
+        });
+    } else {
+        if (typeof window.electronAPI !== 'undefined') {
+            window.launchProfilePanel = new LaunchProfilePanel();
+        }
+    }
+}
+
+initializeLaunchProfilePanel();
@@ -5,6 +5,8 @@ class ModPanel {
     constructor() {
         this.mods = [];
         this.serverPath = null;
+        // Update status per workshop id from the last update check
+        this.updates = new Map();
         this.init();
     }
 
@@ -22,6 +24,10 @@ class ModPanel {
             this.updateAllMods();
         });
 
+        document.getElementById('check-mod-updates').addEventListener('click', () => {
+            this.checkForUpdates(true);
+        });
+
         document.getElementById('refresh-mods').addEventListener('click', () => {
             this.loadMods();
         });
@@ -91,6 +97,7 @@ class ModPanel {
                         modName: modNameFromInfo || modName?.replace(/@/g, '').replace(/[^a-zA-Z0-9_-]/g, '') || `Mod${configMod.workshopId}`,
                         workshopId: configMod.workshopId,
                         loadOrder: configMod.loadOrder || 999999, // Include loadOrder from config
+                        serverOnly: Boolean(configMod.serverOnly),
                         installed: true // Mark as installed if found in installedMods
                     };
                 } else {
@@ -109,6 +116,7 @@ class ModPanel {
                                 name: modName || modInfo.name || `Mod ${configMod.workshopId}`,
                                 workshopId: configMod.workshopId,
                                 loadOrder: configMod.loadOrder || 999999,
+                                serverOnly: Boolean(configMod.serverOnly),
                                 installed: true
                             };
                         } else if (modInfo) {
@@ -117,6 +125,7 @@ class ModPanel {
                                 name: modName || modInfo.name || `Mod ${configMod.workshopId}`,
                                 workshopId: configMod.workshopId,
                                 loadOrder: configMod.loadOrder || 999999,
+                                serverOnly: Boolean(configMod.serverOnly),
                                 installed: false
                             };
                         }
@@ -129,6 +138,7 @@ class ModPanel {
                         workshopId: configMod.workshopId,
                         name: modName || `Mod ${configMod.workshopId}`,
                         loadOrder: configMod.loadOrder || 999999,
+                        serverOnly: Boolean(configMod.serverOnly),
                         installed: false
                     };
                 }
@@ -148,6 +158,8 @@ class ModPanel {
             this.renderMods();
             this.setupDragAndDrop();
             this.setupContextMenu();
+            // Asks the Steam workshop, so it fills in the badges once it returns
+            this.checkForUpdates();
         } catch (error) {
             console.error('Error loading mods:', error);
             window.app.showError(`Failed to load mods: ${error.message}`);
@@ -185,7 +197,13 @@ class ModPanel {
                     <div class="mod-item-id">Workshop ID: ${mod.workshopId}</div>
                 </div>
                 <div class="mod-actions">
+                    ${mod.serverOnly ? '<span class="mod-status server-only">Server only</span>' : ''}
                     <span class="mod-status ${statusClass}">${statusText}</span>
+                    ${this.hasUpdate(mod) ? '<span class="mod-status update-available">Update available</span>' : ''}
+                    <label class="mod-server-only" title="Load with -serverMod, clients do not need this mod">
+                        <input type="checkbox" ${mod.serverOnly ? 'checked' : ''} onchange="window.modPanel.setServerOnly('${mod.workshopId}', this.checked)">
+                        Server only
+                    </label>
                     ${isInstalled ? `<button class="btn btn-secondary btn-sm" onclick="window.modPanel.updateMod('${mod.workshopId}')">Update</button>` : ''}
                     <button class="btn btn-secondary btn-sm" onclick="window.modPanel.removeMod('${mod.workshopId}')">Remove</button>
                 </div>
@@ -194,6 +212,38 @@ class ModPanel {
         }).join('');
     }
 
+    hasUpdate(mod) {
+        const update = this.updates.get(String(mod.workshopId));
+        return Boolean(update && update.status === 'update-available');
+    }
+
+    /**
+     * Compare installed mods with their latest workshop versions
+     * force skips the main process cache of workshop update times
+     */
+    async checkForUpdates(force = false) {
+        if (!this.serverPath || this.mods.length === 0) return;
+
+        try {
+            const result = await window.electronAPI.workshopCheckUpdates(this.serverPath, force);
+            if (!result.success) {
+                if (force) {
+                    window.app.showError(result.error || 'Failed to check for mod updates');
+                }
+                return;
+            }
+
+            this.updates = new Map(result.updates.map(update => [update.workshopId, update]));
+            this.renderMods();
+            if (force) {
+                const count = result.updates.filter(update => update.status === 'update-available').length;
+                window.app.showSuccess(count > 0 ? `${count} mod update(s) available` : 'All mods are up to date');
+            }
+        } catch (error) {
+            console.warn('Could not check for mod updates:', error);
+        }
+    }
+
     escapeHtml(text) {
         const div = document.createElement('div');
         div.textContent = text;
@@ -380,6 +430,22 @@ class ModPanel {
         }
     }
 
+    async setServerOnly(workshopId, serverOnly) {
+        try {
+            const result = await window.electronAPI.configSetModServerOnly(workshopId, serverOnly);
+            if (result.success) {
+                if (result.keysRemoved && result.keysRemoved.length > 0) {
+                    window.app.showSuccess(`Removed keys: ${result.keysRemoved.join(', ')}`);
+                }
+            } else {
+                window.app.showError(result.error || 'Failed to change server-only setting');
+            }
+        } catch (error) {
+            window.app.showError(`Failed to change server-only setting: ${error.message}`);
+        }
+        await this.loadMods();
+    }
+
     async reorderMods(modOrderArray) {
         try {
             const result = await window.electronAPI.configReorderMods(modOrderArray);
@@ -656,15 +722,19 @@ class ModPanel {
             this.serverPath = await window.electronAPI.configGetServerPath();
         }
 
-        const confirmed = confirm(`Update all ${this.mods.length} mods? This may take a while.`);
+        // The main process checks again and only downloads outdated or missing mods
+        const confirmed = confirm('Download updates for outdated mods? This may take a while.');
         if (!confirmed) return;
 
         try {
             const result = await window.electronAPI.workshopUpdateAll(this.mods, this.serverPath);
             
             if (result.success) {
-                const successCount = result.results.filter(r => r.success).length;
-                window.app.showSuccess(`Updated ${successCount} of ${this.mods.length} mods`);
+                const updated = result.results.filter(r => !r.skipped);
+                const successCount = updated.filter(r => r.success).length;
+                window.app.showSuccess(updated.length > 0
+                    ? `Updated ${successCount} of ${updated.length} outdated mods`
+                    : 'All mods are up to date');
                 await this.loadMods();
             } else {
                 window.app.showError(result.error || 'Failed to update mods');
@@ -686,8 +756,8 @@ class ModPanel {
         }
 
         try {
-            // Filter to only installed mods (or all mods if user wants)
-            const modsToExport = this.mods.filter(mod => mod.installed !== false);
+            // Filter to only installed mods, server-only mods are not loaded by clients
+            const modsToExport = this.mods.filter(mod => mod.installed !== false && !mod.serverOnly);
             
             if (modsToExport.length === 0) {
                 window.app.showError('No installed mods to export');
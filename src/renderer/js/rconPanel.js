@@ -4,16 +4,23 @@
 class RCONPanel {
     constructor() {
         this.isConnected = false;
+        this.connectionStatus = null;
         this.players = [];
+        this.events = [];
+        this.maxEvents = 500;
+        this.feedFilter = '';
         this.commandHistory = [];
         this.historyIndex = -1;
+        this.scheduledMessages = [];
+        this.editingMessageId = null;
         this.init();
     }
 
     init() {
         this.setupEventListeners();
         this.loadConfig();
-        this.startStatusPolling();
+        this.listenForStateChanges();
+        this.listenForEvents();
     }
 
     setupEventListeners() {
@@ -41,6 +48,26 @@ class RCONPanel {
             }
         });
         document.getElementById('rcon-send-command').addEventListener('click', () => this.sendCommand());
+
+        // Live feed
+        document.getElementById('rcon-feed-filter').addEventListener('change', (e) => {
+            this.feedFilter = e.target.value;
+            this.renderFeed();
+        });
+        document.getElementById('rcon-feed-clear').addEventListener('click', () => this.clearFeed());
+
+        // BattlEye server config
+        document.getElementById('battleye-profile-select').addEventListener('change', () => this.loadBattlEyeConfig());
+        document.getElementById('battleye-reload-config').addEventListener('click', () => this.loadBattlEyeConfig());
+        document.getElementById('battleye-save-config').addEventListener('click', () => this.saveBattlEyeConfig());
+        document.getElementById('battleye-generate-password').addEventListener('click', () => this.generateBattlEyePassword());
+
+        // Scheduled messages
+        document.getElementById('add-scheduled-message').addEventListener('click', () => this.showScheduledMessageModal());
+        document.getElementById('save-scheduled-message').addEventListener('click', () => this.saveScheduledMessage());
+        document.getElementById('close-scheduled-message').addEventListener('click', () => this.hideScheduledMessageModal());
+        document.getElementById('cancel-scheduled-message').addEventListener('click', () => this.hideScheduledMessageModal());
+        document.getElementById('scheduled-message-type').addEventListener('change', () => this.updateScheduleTypeFields());
     }
 
     async loadConfig() {
@@ -69,6 +96,238 @@ class RCONPanel {
         }
     }
 
+    async loadBattlEyeConfig() {
+        const info = document.getElementById('battleye-config-info');
+        const serverPath = await window.electronAPI.configGetServerPath();
+        if (!serverPath) {
+            info.style.display = '';
+            info.textContent = 'Set the server installation path first';
+            return;
+        }
+
+        await this.loadBattlEyeProfiles(serverPath);
+
+        try {
+            const result = await window.electronAPI.battlEyeReadConfig(serverPath, this.getBattlEyeProfile());
+            if (!result.success) {
+                info.style.display = '';
+                info.textContent = `Failed to read BattlEye config: ${result.error}`;
+                return;
+            }
+
+            const settings = result.settings || {};
+            document.getElementById('battleye-rcon-port').value = settings.RConPort || '';
+            document.getElementById('battleye-rcon-password').value = settings.RConPassword || '';
+            document.getElementById('battleye-max-ping').value = settings.MaxPing !== undefined ? settings.MaxPing : '';
+            document.getElementById('battleye-restrict-rcon').checked = settings.RestrictRCon === 1;
+
+            info.style.display = '';
+            info.textContent = result.exists
+                ? `File: ${result.readFrom}`
+                : `Not created yet, it will be generated at ${result.path} when the server starts`;
+        } catch (error) {
+            console.error('Error loading BattlEye config:', error);
+        }
+    }
+
+    async loadBattlEyeProfiles(serverPath) {
+        const select = document.getElementById('battleye-profile-select');
+        const current = select.value || 'default';
+
+        try {
+            const profiles = await window.electronAPI.serverListProfiles(serverPath);
+            const profileSet = new Set(profiles || []);
+            profileSet.add('default');
+
+            select.innerHTML = '';
+            Array.from(profileSet).sort().forEach(profile => {
+                const option = document.createElement('option');
+                option.value = profile;
+                option.textContent = profile;
+                select.appendChild(option);
+            });
+            select.value = profileSet.has(current) ? current : 'default';
+        } catch (error) {
+            console.error('Error loading profiles:', error);
+        }
+    }
+
+    getBattlEyeProfile() {
+        return document.getElementById('battleye-profile-select').value || 'default';
+    }
+
+    async saveBattlEyeConfig() {
+        const serverPath = await window.electronAPI.configGetServerPath();
+        if (!serverPath) {
+            window.app.showError('Please set server installation path first');
+            return;
+        }
+
+        const settings = {
+            RConPort: parseInt(document.getElementById('battleye-rcon-port').value),
+            RConPassword: document.getElementById('battleye-rcon-password').value.trim(),
+            RestrictRCon: document.getElementById('battleye-restrict-rcon').checked ? 1 : 0,
+            MaxPing: document.getElementById('battleye-max-ping').value.trim()
+        };
+
+        try {
+            const result = await window.electronAPI.battlEyeWriteConfig(serverPath, this.getBattlEyeProfile(), settings);
+            if (result.success) {
+                window.app.showSuccess('BattlEye config saved, restart the server to apply it');
+                // The app's connection settings are synced to the new config
+                await this.loadConfig();
+                await this.loadBattlEyeConfig();
+            } else {
+                window.app.showError(result.error || 'Failed to save BattlEye config');
+            }
+        } catch (error) {
+            window.app.showError(`Failed to save BattlEye config: ${error.message}`);
+        }
+    }
+
+    async generateBattlEyePassword() {
+        const password = await window.electronAPI.battlEyeGeneratePassword();
+        document.getElementById('battleye-rcon-password').value = password;
+    }
+
+    async loadScheduledMessages() {
+        try {
+            this.scheduledMessages = await window.electronAPI.scheduledMessagesGet();
+            this.renderScheduledMessages();
+        } catch (error) {
+            console.error('Error loading scheduled messages:', error);
+        }
+    }
+
+    renderScheduledMessages() {
+        const container = document.getElementById('scheduled-messages-list');
+
+        if (this.scheduledMessages.length === 0) {
+            container.innerHTML = '<div class="empty-state">No scheduled messages</div>';
+            return;
+        }
+
+        container.innerHTML = this.scheduledMessages.map(message => {
+            const schedule = message.type === 'cron'
+                ? `Cron: ${this.escapeHtml(message.cron)}`
+                : `Every ${message.intervalMinutes} minute${message.intervalMinutes === 1 ? '' : 's'}`;
+            const nextRun = message.enabled && message.nextRun
+                ? `Next: ${new Date(message.nextRun).toLocaleString()}`
+                : 'Disabled';
+            const lastSent = message.lastSent ? ` | Last sent: ${new Date(message.lastSent).toLocaleString()}` : '';
+            const lastError = message.lastError ? ` | <span class="warning">Error: ${this.escapeHtml(message.lastError)}</span>` : '';
+
+            return `
+                <div class="scheduled-message-item ${message.enabled ? '' : 'disabled'}">
+                    <div class="scheduled-message-info">
+                        <div class="scheduled-message-text">${this.escapeHtml(message.message)}</div>
+                        <div class="scheduled-message-schedule">${schedule} | ${nextRun}${lastSent}${lastError}</div>
+                    </div>
+                    <div class="scheduled-message-actions">
+                        <button class="btn btn-secondary btn-sm" onclick="window.rconPanel.toggleScheduledMessage('${message.id}')">${message.enabled ? 'Disable' : 'Enable'}</button>
+                        <button class="btn btn-secondary btn-sm" onclick="window.rconPanel.sendScheduledMessageNow('${message.id}')">Send Now</button>
+                        <button class="btn btn-secondary btn-sm" onclick="window.rconPanel.showScheduledMessageModal('${message.id}')">Edit</button>
+                        <button class="btn btn-danger btn-sm" onclick="window.rconPanel.removeScheduledMessage('${message.id}')">Delete</button>
+                    </div>
+                </div>
+            `;
+        }).join('');
+    }
+
+    showScheduledMessageModal(id = null) {
+        const message = id ? this.scheduledMessages.find(m => m.id === id) : null;
+        this.editingMessageId = message ? message.id : null;
+
+        document.getElementById('scheduled-message-modal-title').textContent = message ? 'Edit Scheduled Message' : 'Add Scheduled Message';
+        document.getElementById('scheduled-message-text').value = message ? message.message : '';
+        document.getElementById('scheduled-message-type').value = message ? message.type : 'interval';
+        document.getElementById('scheduled-message-interval').value = message && message.intervalMinutes ? message.intervalMinutes : 30;
+        document.getElementById('scheduled-message-cron').value = message && message.cron ? message.cron : '';
+        document.getElementById('scheduled-message-enabled').checked = message ? message.enabled : true;
+        this.updateScheduleTypeFields();
+        document.getElementById('scheduled-message-modal').classList.add('active');
+    }
+
+    hideScheduledMessageModal() {
+        document.getElementById('scheduled-message-modal').classList.remove('active');
+        this.editingMessageId = null;
+    }
+
+    updateScheduleTypeFields() {
+        const type = document.getElementById('scheduled-message-type').value;
+        document.getElementById('scheduled-message-interval-group').style.display = type === 'interval' ? '' : 'none';
+        document.getElementById('scheduled-message-cron-group').style.display = type === 'cron' ? '' : 'none';
+    }
+
+    async saveScheduledMessage() {
+        const data = {
+            message: document.getElementById('scheduled-message-text').value.trim(),
+            type: document.getElementById('scheduled-message-type').value,
+            intervalMinutes: parseInt(document.getElementById('scheduled-message-interval').value),
+            cron: document.getElementById('scheduled-message-cron').value.trim(),
+            enabled: document.getElementById('scheduled-message-enabled').checked
+        };
+
+        if (!data.message) {
+            window.app.showError('Please enter a message');
+            return;
+        }
+
+        try {
+            const result = this.editingMessageId
+                ? await window.electronAPI.scheduledMessagesUpdate(this.editingMessageId, data)
+                : await window.electronAPI.scheduledMessagesAdd(data);
+
+            if (result.success) {
+                window.app.showSuccess(this.editingMessageId ? 'Scheduled message updated' : 'Scheduled message added');
+                this.hideScheduledMessageModal();
+                await this.loadScheduledMessages();
+            } else {
+                window.app.showError(result.error || 'Failed to save scheduled message');
+            }
+        } catch (error) {
+            window.app.showError(`Failed to save scheduled message: ${error.message}`);
+        }
+    }
+
+    async toggleScheduledMessage(id) {
+        const message = this.scheduledMessages.find(m => m.id === id);
+        if (!message) return;
+
+        const result = await window.electronAPI.scheduledMessagesSetEnabled(id, !message.enabled);
+        if (!result.success) {
+            window.app.showError(result.error || 'Failed to update scheduled message');
+        }
+        await this.loadScheduledMessages();
+    }
+
+    async sendScheduledMessageNow(id) {
+        if (!this.isConnected) {
+            window.app.showError('Not connected to RCON server');
+            return;
+        }
+
+        const result = await window.electronAPI.scheduledMessagesSendNow(id);
+        if (result.success) {
+            window.app.showSuccess('Message sent');
+        } else {
+            window.app.showError(result.error || 'Failed to send message');
+        }
+        await this.loadScheduledMessages();
+    }
+
+    async removeScheduledMessage(id) {
+        if (!confirm('Delete this scheduled message?')) {
+            return;
+        }
+
+        const result = await window.electronAPI.scheduledMessagesRemove(id);
+        if (!result.success) {
+            window.app.showError(result.error || 'Failed to delete scheduled message');
+        }
+        await this.loadScheduledMessages();
+    }
+
     async connect() {
         const host = document.getElementById('rcon-host').value;
         const port = parseInt(document.getElementById('rcon-port').value) || 2302;
@@ -115,12 +374,20 @@ class RCONPanel {
         const connectBtn = document.getElementById('rcon-connect');
         const disconnectBtn = document.getElementById('rcon-disconnect');
         const statusBadge = document.getElementById('rcon-status');
+        const state = this.connectionStatus ? this.connectionStatus.state : (this.isConnected ? 'connected' : 'disconnected');
 
-        if (this.isConnected) {
+        if (state === 'connected') {
             connectBtn.disabled = true;
             disconnectBtn.disabled = false;
             statusBadge.textContent = 'Connected';
             statusBadge.className = 'status-badge status-success';
+        } else if (state === 'connecting' || state === 'reconnecting') {
+            connectBtn.disabled = true;
+            disconnectBtn.disabled = false;
+            statusBadge.textContent = state === 'reconnecting'
+                ? `Reconnecting (${this.connectionStatus.reconnectAttempts}/${this.connectionStatus.maxReconnectAttempts})...`
+                : 'Connecting...';
+            statusBadge.className = 'status-badge status-warning';
         } else {
             connectBtn.disabled = false;
             disconnectBtn.disabled = true;
@@ -129,20 +396,151 @@ class RCONPanel {
         }
     }
 
-    async startStatusPolling() {
-        setInterval(async () => {
-            if (this.isConnected) {
-                try {
-                    const status = await window.electronAPI.rconGetStatus();
-                    if (!status.connected) {
-                        this.isConnected = false;
-                        this.updateConnectionUI();
-                    }
-                } catch (error) {
-                    // Ignore polling errors
-                }
+    async listenForStateChanges() {
+        window.electronAPI.onRconStateChange((status) => this.handleStateChange(status));
+
+        // Pick up a connection that was established before the panel loaded
+        try {
+            const status = await window.electronAPI.rconGetStatus();
+            this.handleStateChange(status);
+        } catch (error) {
+            console.error('Error getting RCON status:', error);
+        }
+    }
+
+    /**
+     * Re-read the connection state and settings, e.g. after switching server instance
+     */
+    async refreshStatus() {
+        this.connectionStatus = null;
+        try {
+            const status = await window.electronAPI.rconGetStatus();
+            this.handleStateChange(status);
+        } catch (error) {
+            console.error('Error getting RCON status:', error);
+        }
+        await this.loadConfig();
+    }
+
+    handleStateChange(status) {
+        if (!status) return;
+
+        const previousState = this.connectionStatus ? this.connectionStatus.state : null;
+        this.connectionStatus = status;
+        this.isConnected = status.connected;
+        this.updateConnectionUI();
+
+        if (status.state === 'reconnecting' && previousState !== 'reconnecting') {
+            this.addOutput(`Connection lost (${status.error || 'no response'}), reconnecting...`, 'error');
+        } else if (status.state === 'connected' && previousState === 'reconnecting') {
+            this.addOutput('Reconnected to RCON server', 'success');
+            this.refreshPlayers();
+        } else if (status.state === 'disconnected' && status.error &&
+                   (previousState === 'connected' || previousState === 'reconnecting')) {
+            this.addOutput(`Disconnected: ${status.error}`, 'error');
+        }
+
+        if (!this.isConnected && status.state === 'disconnected') {
+            this.players = [];
+            this.renderPlayers();
+        }
+    }
+
+    listenForEvents() {
+        window.electronAPI.onRconEvent((event) => this.handleEvent(event));
+        this.loadEventHistory();
+    }
+
+    async loadEventHistory() {
+        try {
+            this.events = await window.electronAPI.rconGetEvents() || [];
+            this.renderFeed();
+        } catch (error) {
+            console.error('Error loading RCON events:', error);
+        }
+    }
+
+    handleEvent(event) {
+        this.events.push(event);
+        if (this.events.length > this.maxEvents) {
+            this.events.shift();
+        }
+
+        if (this.matchesFeedFilter(event)) {
+            const feed = document.getElementById('rcon-feed');
+            if (feed.querySelector('.empty-state')) {
+                feed.innerHTML = '';
             }
-        }, 5000); // Poll every 5 seconds
+            feed.insertAdjacentHTML('beforeend', this.renderFeedEntry(event));
+            feed.scrollTop = feed.scrollHeight;
+        }
+
+        // Keep the player list in step with joins and leaves
+        if (event.type === 'connect' || event.type === 'disconnect' || event.type === 'kick') {
+            this.refreshPlayers();
+        }
+    }
+
+    matchesFeedFilter(event) {
+        if (!this.feedFilter) return true;
+        if (this.feedFilter === 'connections') {
+            return event.type === 'connect' || event.type === 'disconnect' || event.type === 'guid-verified';
+        }
+        return event.type === this.feedFilter;
+    }
+
+    renderFeed() {
+        const feed = document.getElementById('rcon-feed');
+        const events = this.events.filter(event => this.matchesFeedFilter(event));
+
+        if (events.length === 0) {
+            feed.innerHTML = '<div class="empty-state">No events yet</div>';
+            return;
+        }
+
+        feed.innerHTML = events.map(event => this.renderFeedEntry(event)).join('');
+        feed.scrollTop = feed.scrollHeight;
+    }
+
+    renderFeedEntry(event) {
+        const time = new Date(event.timestamp).toLocaleTimeString();
+        let text;
+
+        switch (event.type) {
+            case 'chat':
+                text = `[${event.channel}] ${event.playerName}: ${event.text}`;
+                break;
+            case 'connect':
+                text = `${event.playerName} connected (#${event.playerId}, ${event.ip})`;
+                break;
+            case 'disconnect':
+                text = `${event.playerName} disconnected (#${event.playerId})`;
+                break;
+            case 'guid-verified':
+                text = `${event.playerName} verified (GUID ${event.guid})`;
+                break;
+            case 'kick':
+                text = `${event.playerName} kicked by BattlEye: ${event.reason}`;
+                break;
+            default:
+                text = event.message;
+        }
+
+        return `
+            <div class="rcon-feed-entry ${event.type}">
+                <span class="feed-time">${time}</span>${this.escapeHtml(text)}
+            </div>
+        `;
+    }
+
+    async clearFeed() {
+        try {
+            await window.electronAPI.rconClearEvents();
+            this.events = [];
+            this.renderFeed();
+        } catch (error) {
+            console.error('Error clearing RCON events:', error);
+        }
     }
 
     async sendCommand() {
@@ -262,16 +660,35 @@ class RCONPanel {
 
         container.innerHTML = this.players.map(player => `
             <div class="rcon-player-item">
-                <span class="player-name">${this.escapeHtml(player.name || player.raw)}</span>
-                ${player.id ? `<span class="player-id">ID: ${player.id}</span>` : ''}
+                <div class="player-info">
+                    <span class="player-name">#${player.slot} ${this.escapeHtml(player.name)}${player.lobby ? ' <span class="player-lobby">(Lobby)</span>' : ''}</span>
+                    <span class="player-id">${player.ip}:${player.port} · ${player.ping} ms · ${player.guid ? `${player.guid}${player.verified ? '' : ' (unverified)'}` : 'no GUID'}</span>
+                </div>
+                <div class="player-actions">
+                    <button class="btn btn-secondary btn-sm" onclick="window.rconPanel.kickPlayer(${player.slot})">Kick</button>
+                    <button class="btn btn-secondary btn-sm" onclick="window.rconPanel.banPlayer(${player.slot})">Ban</button>
+                </div>
             </div>
         `).join('');
     }
 
-    async kickPlayer() {
-        const playerName = document.getElementById('rcon-player-name').value.trim();
-        if (!playerName) {
-            window.app.showError('Please enter a player name');
+    /**
+     * Resolve the quick action input (slot number or player name) to an online player
+     */
+    resolvePlayer(input) {
+        const value = String(input).trim();
+        if (/^\d+$/.test(value)) {
+            const slot = parseInt(value);
+            return this.players.find(p => p.slot === slot) || { slot, name: `#${slot}` };
+        }
+        const lower = value.toLowerCase();
+        return this.players.find(p => p.name.toLowerCase() === lower) || null;
+    }
+
+    async kickPlayer(slot = null) {
+        const input = slot !== null ? slot : document.getElementById('rcon-player-name').value.trim();
+        if (input === '') {
+            window.app.showError('Please enter a player slot number or name');
             return;
         }
 
@@ -280,11 +697,19 @@ class RCONPanel {
             return;
         }
 
+        const player = this.resolvePlayer(input);
+        if (!player) {
+            window.app.showError(`No online player named ${input}. Refresh the player list and try again.`);
+            return;
+        }
+
+        const reason = document.getElementById('rcon-player-reason').value.trim();
+
         try {
-            const result = await window.electronAPI.rconKick(playerName);
+            const result = await window.electronAPI.rconKick(player.slot, reason);
             if (result.success) {
-                window.app.showSuccess(`Kicked player: ${playerName}`);
-                this.addOutput(`Kicked player: ${playerName}`, 'success');
+                window.app.showSuccess(`Kicked player: ${player.name}`);
+                this.addOutput(`Kicked player: ${player.name} (#${player.slot})`, 'success');
                 await this.refreshPlayers();
             } else {
                 window.app.showError(result.error || 'Failed to kick player');
@@ -295,10 +720,10 @@ class RCONPanel {
         }
     }
 
-    async banPlayer() {
-        const playerName = document.getElementById('rcon-player-name').value.trim();
-        if (!playerName) {
-            window.app.showError('Please enter a player name');
+    async banPlayer(slot = null) {
+        const input = slot !== null ? slot : document.getElementById('rcon-player-name').value.trim();
+        if (input === '') {
+            window.app.showError('Please enter a player slot number or name');
             return;
         }
 
@@ -307,15 +732,25 @@ class RCONPanel {
             return;
         }
 
-        if (!confirm(`Are you sure you want to ban ${playerName}?`)) {
+        const player = this.resolvePlayer(input);
+        if (!player) {
+            window.app.showError(`No online player named ${input}. Refresh the player list and try again.`);
+            return;
+        }
+
+        const reason = document.getElementById('rcon-player-reason').value.trim();
+        const minutes = parseInt(document.getElementById('rcon-ban-minutes').value) || 0;
+        const duration = minutes > 0 ? `for ${minutes} minutes` : 'permanently';
+
+        if (!confirm(`Are you sure you want to ban ${player.name} ${duration}?`)) {
             return;
         }
 
         try {
-            const result = await window.electronAPI.rconBan(playerName);
+            const result = await window.electronAPI.rconBan(player.slot, minutes, reason);
             if (result.success) {
-                window.app.showSuccess(`Banned player: ${playerName}`);
-                this.addOutput(`Banned player: ${playerName}`, 'success');
+                window.app.showSuccess(`Banned player: ${player.name}`);
+                this.addOutput(`Banned player: ${player.name} (#${player.slot}) ${duration}`, 'success');
                 await this.refreshPlayers();
             } else {
                 window.app.showError(result.error || 'Failed to ban player');
@@ -8,6 +8,7 @@ class ServerControl {
         this.parameters = [];
         this.monitoringInterval = null;
         this.countdownInterval = null;
+        this.countdownRestartId = null;
         this.isStarting = false;
         this.isStopping = false;
         this.eventListenersAttached = false;
@@ -103,6 +104,10 @@ class ServerControl {
                 e.stopPropagation();
                 console.log('=== RESTART WITH COUNTDOWN BUTTON CLICKED (via delegation) ===');
                 this.restartWithCountdown();
+            } else if (id === 'check-launch-btn') {
+                e.preventDefault();
+                e.stopPropagation();
+                this.runLaunchChecks();
             } else if (id === 'add-scheduled-restart') {
                 e.preventDefault();
                 e.stopPropagation();
@@ -135,6 +140,26 @@ class ServerControl {
                 e.stopPropagation();
                 console.log('Cancel countdown clicked');
                 this.cancelCountdown();
+            } else if (id === 'save-restart-warnings') {
+                e.preventDefault();
+                e.stopPropagation();
+                this.saveRestartWarnings();
+            } else if (id === 'save-health-settings') {
+                e.preventDefault();
+                e.stopPropagation();
+                this.saveHealthSettings();
+            } else if (id === 'save-watchdog-settings') {
+                e.preventDefault();
+                e.stopPropagation();
+                this.saveWatchdogSettings();
+            } else if (id === 'cancel-watchdog-restart') {
+                e.preventDefault();
+                e.stopPropagation();
+                this.cancelWatchdogRestart();
+            } else if (id === 'clear-crash-history') {
+                e.preventDefault();
+                e.stopPropagation();
+                this.clearCrashHistory();
             }
         };
         
@@ -326,10 +351,34 @@ class ServerControl {
 
         // Setup progress listener for stats updates
         if (window.electronAPI) {
-            window.electronAPI.onProgress('server-control:stats-update', (event, data) => {
+            window.electronAPI.onProgress('server-control:stats-update', (data) => {
                 this.updateStats(data);
             });
             console.log('Progress listener attached');
+
+            window.electronAPI.onServerCrash((crash) => {
+                if (crash.restartResult === null) {
+                    window.app.showError(`Server crashed (exit code ${crash.exitCode})`);
+                } else if (crash.restartResult === 'restarted') {
+                    window.app.showSuccess('Server restarted after crash');
+                } else if (crash.restartResult.startsWith('failed')) {
+                    window.app.showError(`Automatic restart ${crash.restartResult}`);
+                }
+                this.loadCrashes();
+                this.updateStatus();
+            });
+
+            window.electronAPI.onServerHung((hangEvent) => {
+                const failing = hangEvent.failing.join(', ');
+                if (hangEvent.restartResult === 'restarted') {
+                    window.app.showError(`Server was hung (${failing}) and has been restarted`);
+                } else if (hangEvent.restartResult) {
+                    window.app.showError(`Server is hung (${failing}), restart ${hangEvent.restartResult}`);
+                } else {
+                    window.app.showError(`Server appears hung (${failing})`);
+                }
+                this.updateStatus();
+            });
         }
 
         // Mark as attached
@@ -384,16 +433,17 @@ class ServerControl {
                     installStatusElement.style.color = isValid ? '#4caf50' : '#f44336';
                 }
 
-                // Load profiles - always ensure default profile exists
+                // Load profiles - always ensure the instance's profile exists
                 const profiles = await window.electronAPI.serverListProfiles(this.serverPath);
+                const instanceProfile = await window.electronAPI.configGet('profileName') || 'default';
                 const select = document.getElementById('server-profile-select');
                 if (select) {
                     select.innerHTML = '';
                     
-                    // Always include 'default' profile if it doesn't exist
+                    // Always include the instance's profile if it doesn't exist
                     const profileSet = new Set(profiles || []);
-                    if (!profileSet.has('default')) {
-                        profileSet.add('default');
+                    if (!profileSet.has(instanceProfile)) {
+                        profileSet.add(instanceProfile);
                     }
                     
                     const sortedProfiles = Array.from(profileSet).sort();
@@ -402,16 +452,16 @@ class ServerControl {
                         const option = document.createElement('option');
                         option.value = profile;
                         option.textContent = profile;
-                        if (profile === 'default') {
+                        if (profile === instanceProfile) {
                             option.selected = true;
                         }
                         select.appendChild(option);
                     });
                     
-                    // Default to 'default' profile
-                    this.profileName = 'default';
-                    if (select.value !== 'default') {
-                        select.value = 'default';
+                    // Default to the instance's profile
+                    this.profileName = instanceProfile;
+                    if (select.value !== instanceProfile) {
+                        select.value = instanceProfile;
                     }
                 }
 
@@ -435,7 +485,11 @@ class ServerControl {
 
             // Load current status
             await this.updateStatus();
+            await this.checkOrphanedServers();
             await this.loadScheduledRestarts();
+            await this.loadRestartWarnings();
+            await this.loadWatchdog();
+            await this.loadHealthSettings();
         } catch (error) {
             console.error('Error loading server info:', error);
         }
@@ -459,7 +513,7 @@ class ServerControl {
             const pidElement = document.getElementById('server-pid');
             
             if (status.isRunning) {
-                statusElement.textContent = 'Running';
+                statusElement.textContent = status.adopted ? 'Running (re-attached)' : 'Running';
                 statusElement.className = 'status-badge running';
                 pidElement.textContent = status.pid || '-';
                 
@@ -482,6 +536,23 @@ class ServerControl {
         }
     }
 
+    async checkOrphanedServers() {
+        try {
+            const result = await window.electronAPI.serverControlGetOrphans();
+            if (!result.success || result.orphans.length === 0) {
+                return;
+            }
+
+            const details = result.orphans.map(orphan => {
+                const ports = orphan.ports.length > 0 ? ` on port ${orphan.ports.join(', ')}` : '';
+                return `PID ${orphan.pid}${ports}`;
+            }).join('; ');
+            window.app.showError(`DayZ server not controlled by this app is running (${details}). Stop it before starting the server here.`);
+        } catch (error) {
+            console.error('Error checking for orphaned servers:', error);
+        }
+    }
+
     updateStats(data) {
         if (data.stats) {
             document.getElementById('server-cpu').textContent = `${data.stats.cpu.toFixed(1)}%`;
@@ -496,6 +567,75 @@ class ServerControl {
         if (data.status) {
             this.updateStatusDisplay(data.status);
         }
+
+        if (data.health) {
+            this.updateHealthDisplay(data.health);
+        }
+    }
+
+    updateHealthDisplay(health) {
+        const element = document.getElementById('server-health');
+        const probes = health.probes || {};
+        const details = [];
+
+        if (probes.log && probes.log.available) details.push(`log ${probes.log.ageSeconds}s old`);
+        if (probes.rcon && probes.rcon.available) {
+            details.push(probes.rcon.error ? `RCON ${probes.rcon.error}` : `RCON ${probes.rcon.roundTripMs}ms`);
+        }
+        if (probes.cpu && probes.cpu.stuckSeconds > 0) details.push(`CPU stuck ${probes.cpu.stuckSeconds}s`);
+
+        if (!health.checkedAt) {
+            element.textContent = '-';
+        } else if (health.starting) {
+            element.textContent = 'Starting';
+        } else if (health.hung) {
+            element.textContent = `Hung (${health.failing.join(', ')})`;
+        } else {
+            element.textContent = 'OK';
+        }
+        element.title = details.join(', ');
+    }
+
+    async loadHealthSettings() {
+        try {
+            const settings = await window.electronAPI.healthGetSettings();
+            document.getElementById('health-enabled').checked = settings.enabled;
+            document.getElementById('health-auto-restart').checked = settings.autoRestart;
+            document.getElementById('health-startup-grace').value = settings.startupGraceSeconds;
+            document.getElementById('health-log-stale').value = settings.logStaleSeconds;
+            document.getElementById('health-rcon-failures').value = settings.rconFailureLimit;
+            document.getElementById('health-cpu-stuck').value = settings.cpuStuckSeconds;
+            document.getElementById('health-cpu-high').value = settings.cpuHighPercent;
+            document.getElementById('health-cpu-low').value = settings.cpuLowPercent;
+            document.getElementById('health-required-failures').value = settings.requiredFailures;
+        } catch (error) {
+            console.error('Error loading hang detection settings:', error);
+        }
+    }
+
+    async saveHealthSettings() {
+        try {
+            const result = await window.electronAPI.healthSetSettings({
+                enabled: document.getElementById('health-enabled').checked,
+                autoRestart: document.getElementById('health-auto-restart').checked,
+                startupGraceSeconds: document.getElementById('health-startup-grace').value,
+                logStaleSeconds: document.getElementById('health-log-stale').value,
+                rconFailureLimit: document.getElementById('health-rcon-failures').value,
+                cpuStuckSeconds: document.getElementById('health-cpu-stuck').value,
+                cpuHighPercent: document.getElementById('health-cpu-high').value,
+                cpuLowPercent: document.getElementById('health-cpu-low').value,
+                requiredFailures: document.getElementById('health-required-failures').value
+            });
+
+            if (result.success) {
+                window.app.showSuccess('Hang detection settings saved');
+                await this.loadHealthSettings();
+            } else {
+                window.app.showError(result.error || 'Failed to save hang detection settings');
+            }
+        } catch (error) {
+            window.app.showError(`Failed to save hang detection settings: ${error.message}`);
+        }
     }
 
     updateStatusDisplay(status) {
@@ -561,73 +701,56 @@ class ServerControl {
             console.log('Using server path:', this.serverPath);
 
             const profileSelect = document.getElementById('server-profile-select');
-            const paramsInput = document.getElementById('server-parameters');
-            
             this.profileName = profileSelect ? profileSelect.value : 'default';
-            const paramsText = paramsInput ? paramsInput.value : '';
-            this.parameters = paramsText ? paramsText.split(' ').filter(p => p.trim()) : [];
 
-            // Get ordered mods and use their actual folder names
-            let modParameter = '';
-            try {
-                // Get ordered mods from config
-                const orderedModsResult = await window.electronAPI.configGetModsOrdered();
-                const orderedMods = orderedModsResult.success ? orderedModsResult.mods : [];
-                
-                if (orderedMods.length > 0) {
-                    // Get installed mods to match with ordered mods
-                    const installedMods = await window.electronAPI.workshopListInstalled(this.serverPath);
-                    
-                    // Build mod parameter in load order
-                    const modNames = [];
-                    for (const orderedMod of orderedMods) {
-                        // Find matching installed mod by workshop ID
-                        const installedMod = installedMods.find(im => 
-                            String(im.workshopId) === String(orderedMod.workshopId)
-                        );
-                        
-                        if (installedMod && installedMod.modName) {
-                            // Use modName from mod.info (actual folder name)
-                            let modName = installedMod.modName;
-                            // Remove ALL @ symbols from anywhere in the name
-                            modName = modName.replace(/@/g, '');
-                            modName = modName.trim();
-                            modName = modName.replace(/[^a-zA-Z0-9_-]/g, '');
-                            modNames.push(`@${modName}`);
-                        }
-                    }
-                    
-                    if (modNames.length > 0) {
-                        modParameter = `-mod=${modNames.join(';')}`;
-                        console.log('Mods to load (in order):', modNames);
-                    }
-                }
-            } catch (error) {
-                console.warn('Could not load mod list:', error);
-            }
-
-            // Add mod parameter to parameters if it exists
-            if (modParameter) {
-                this.parameters.push(modParameter);
-            }
+            // The main process adds the mod list and the selected launch profile
+            this.parameters = [];
 
             console.log('Starting server with:', {
                 path: this.serverPath,
                 profile: this.profileName,
-                parameters: this.parameters,
-                modParameter: modParameter || 'none'
+                parameters: this.parameters
             });
 
             if (!window.electronAPI) {
                 throw new Error('electronAPI not available');
             }
 
-            const result = await window.electronAPI.serverControlStart(
+            let result = await window.electronAPI.serverControlStart(
                 this.serverPath,
                 this.profileName,
                 this.parameters
             );
 
+            // Offer a free port block when the ports are taken, then try again with it
+            if (result && result.portConflicts && window.instancePanel &&
+                await window.instancePanel.resolvePortConflicts(null, result.portConflicts, result.suggestedPorts)) {
+                result = await window.electronAPI.serverControlStart(
+                    this.serverPath,
+                    this.profileName,
+                    this.parameters
+                );
+            }
+
+            // Failed pre-launch checks block the start unless the user overrides them
+            if (result && result.validation) {
+                this.renderLaunchChecks(result.validation);
+            }
+            if (result && !result.success && result.validation && result.validation.errors.length > 0) {
+                const errors = result.validation.errors.map(check => `- ${check.message}`).join('\n');
+                if (confirm(`Pre-launch checks failed:\n${errors}\n\nStart the server anyway?`)) {
+                    result = await window.electronAPI.serverControlStart(
+                        this.serverPath,
+                        this.profileName,
+                        this.parameters,
+                        { override: true }
+                    );
+                    if (result && result.validation) {
+                        this.renderLaunchChecks(result.validation);
+                    }
+                }
+            }
+
             console.log('Start server result:', result);
 
             if (result && result.success) {
@@ -673,6 +796,51 @@ class ServerControl {
         }
     }
 
+    /**
+     * Run the pre-launch checks without starting the server
+     */
+    async runLaunchChecks() {
+        if (!this.serverPath) {
+            window.app.showError('Server path not set');
+            return;
+        }
+
+        const profileSelect = document.getElementById('server-profile-select');
+        try {
+            const result = await window.electronAPI.serverControlValidate(
+                this.serverPath,
+                profileSelect ? profileSelect.value : 'default'
+            );
+            if (result.success) {
+                this.renderLaunchChecks(result.validation);
+            } else {
+                window.app.showError(result.error || 'Failed to run pre-launch checks');
+            }
+        } catch (error) {
+            window.app.showError(`Failed to run pre-launch checks: ${error.message}`);
+        }
+    }
+
+    renderLaunchChecks(validation) {
+        const container = document.getElementById('launch-checks-list');
+        if (!container) return;
+
+        const summary = validation.errors.length > 0
+            ? `${validation.errors.length} error(s), ${validation.warnings.length} warning(s)`
+            : `Ready to start, ${validation.warnings.length} warning(s)`;
+        const time = new Date(validation.checkedAt).toLocaleTimeString();
+
+        container.innerHTML = `
+            <div class="launch-checks-summary ${validation.errors.length > 0 ? 'error' : 'ok'}">${summary} (checked ${time})</div>
+            ${validation.checks.map(check => `
+                <div class="launch-check ${check.level}">
+                    <span class="launch-check-level">${check.level === 'ok' ? 'OK' : check.level === 'warning' ? 'Warning' : 'Error'}</span>
+                    <span class="launch-check-message">${this.escapeHtml(check.message)}</span>
+                </div>
+            `).join('')}
+        `;
+    }
+
     async stopServer() {
         console.log('stopServer called');
         const confirmed = confirm('Are you sure you want to stop the server?');
@@ -681,11 +849,19 @@ class ServerControl {
             return;
         }
 
+        // A graceful shutdown can take up to a minute
+        document.getElementById('server-control-status').textContent = 'Stopping...';
+        document.getElementById('stop-server-btn').disabled = true;
+
         try {
             const result = await window.electronAPI.serverControlStop();
             
             if (result.success) {
-                window.app.showSuccess('Server stopped successfully');
+                if (result.method === 'graceful') {
+                    window.app.showSuccess(`Server shut down gracefully${result.kickedPlayers ? ` (${result.kickedPlayers} player(s) kicked)` : ''}`);
+                } else {
+                    window.app.showSuccess(result.message || 'Server stopped');
+                }
                 await this.updateStatus();
             } else {
                 window.app.showError(result.error || 'Failed to stop server');
@@ -707,40 +883,7 @@ class ServerControl {
         }
 
         this.profileName = document.getElementById('server-profile-select').value;
-        const paramsText = document.getElementById('server-parameters').value;
-        this.parameters = paramsText ? paramsText.split(' ').filter(p => p.trim()) : [];
-
-        // Get ordered mods and use their actual folder names
-        try {
-            const orderedModsResult = await window.electronAPI.configGetModsOrdered();
-            const orderedMods = orderedModsResult.success ? orderedModsResult.mods : [];
-            
-            if (orderedMods.length > 0) {
-                const installedMods = await window.electronAPI.workshopListInstalled(this.serverPath);
-                const modNames = [];
-                
-                for (const orderedMod of orderedMods) {
-                    const installedMod = installedMods.find(im => 
-                        String(im.workshopId) === String(orderedMod.workshopId)
-                    );
-                    
-                    if (installedMod && installedMod.modName) {
-                        let modName = installedMod.modName;
-                        modName = modName.replace(/@/g, '');
-                        modName = modName.trim();
-                        modName = modName.replace(/[^a-zA-Z0-9_-]/g, '');
-                        modNames.push(`@${modName}`);
-                    }
-                }
-                
-                if (modNames.length > 0) {
-                    const modParameter = `-mod=${modNames.join(';')}`;
-                    this.parameters.push(modParameter);
-                }
-            }
-        } catch (error) {
-            console.warn('Could not load mod list for restart:', error);
-        }
+        this.parameters = [];
 
         try {
             const result = await window.electronAPI.serverControlRestart(
@@ -751,9 +894,14 @@ class ServerControl {
             );
 
             if (result.success) {
-                window.app.showSuccess('Server restarting...');
+                window.app.showSuccess(result.stopMethod === 'forced'
+                    ? `Server restarting... (previous process was killed: ${result.stopReason})`
+                    : 'Server restarting...');
                 await this.updateStatus();
             } else {
+                if (result.validation) {
+                    this.renderLaunchChecks(result.validation);
+                }
                 window.app.showError(result.error || 'Failed to restart server');
             }
         } catch (error) {
@@ -778,45 +926,34 @@ class ServerControl {
         }
 
         this.profileName = document.getElementById('server-profile-select').value;
-        const paramsText = document.getElementById('server-parameters').value;
-        this.parameters = paramsText ? paramsText.split(' ').filter(p => p.trim()) : [];
+        this.parameters = [];
 
-        // Get ordered mods and use their actual folder names
+        // The main process runs the countdown and broadcasts the RCON warnings
+        let result;
         try {
-            const orderedModsResult = await window.electronAPI.configGetModsOrdered();
-            const orderedMods = orderedModsResult.success ? orderedModsResult.mods : [];
-            
-            if (orderedMods.length > 0) {
-                const installedMods = await window.electronAPI.workshopListInstalled(this.serverPath);
-                const modNames = [];
-                
-                for (const orderedMod of orderedMods) {
-                    const installedMod = installedMods.find(im => 
-                        String(im.workshopId) === String(orderedMod.workshopId)
-                    );
-                    
-                    if (installedMod && installedMod.modName) {
-                        let modName = installedMod.modName;
-                        modName = modName.replace(/@/g, '');
-                        modName = modName.trim();
-                        modName = modName.replace(/[^a-zA-Z0-9_-]/g, '');
-                        modNames.push(`@${modName}`);
-                    }
-                }
-                
-                if (modNames.length > 0) {
-                    const modParameter = `-mod=${modNames.join(';')}`;
-                    this.parameters.push(modParameter);
-                }
-            }
+            result = await window.electronAPI.serverControlRestart(
+                this.serverPath,
+                this.profileName,
+                this.parameters,
+                countdown
+            );
         } catch (error) {
-            console.warn('Could not load mod list for restart:', error);
+            window.app.showError(`Failed to start restart countdown: ${error.message}`);
+            return;
+        }
+
+        if (!result.success) {
+            window.app.showError(result.error || 'Failed to start restart countdown');
+            return;
         }
+        this.countdownRestartId = result.restartId;
 
         // Show countdown modal
         const modal = document.getElementById('restart-countdown-modal');
         const countdownDisplay = document.getElementById('countdown-display');
         const countdownSeconds = document.getElementById('countdown-seconds');
+        countdownDisplay.textContent = countdown;
+        countdownSeconds.textContent = countdown;
         modal.classList.add('active');
 
         let remaining = countdown;
@@ -828,37 +965,32 @@ class ServerControl {
 
             if (remaining <= 0) {
                 clearInterval(this.countdownInterval);
+                this.countdownInterval = null;
+                this.countdownRestartId = null;
                 modal.classList.remove('active');
-                this.performRestart();
+                window.app.showSuccess('Server restarting...');
+                setTimeout(() => this.updateStatus(), 5000);
             }
         }, 1000);
     }
 
-    cancelCountdown() {
+    async cancelCountdown() {
         if (this.countdownInterval) {
             clearInterval(this.countdownInterval);
             this.countdownInterval = null;
         }
         document.getElementById('restart-countdown-modal').classList.remove('active');
-    }
 
-    async performRestart() {
-        try {
-            const result = await window.electronAPI.serverControlRestart(
-                this.serverPath,
-                this.profileName,
-                this.parameters,
-                0
-            );
-
-            if (result.success) {
-                window.app.showSuccess('Server restarting...');
-                await this.updateStatus();
-            } else {
-                window.app.showError(result.error || 'Failed to restart server');
+        const restartId = this.countdownRestartId;
+        this.countdownRestartId = null;
+        if (restartId) {
+            try {
+                await window.electronAPI.serverControlCancelScheduledRestart(restartId);
+                window.app.showSuccess('Restart cancelled');
+                await this.loadScheduledRestarts();
+            } catch (error) {
+                window.app.showError(`Failed to cancel restart: ${error.message}`);
             }
-        } catch (error) {
-            window.app.showError(`Failed to restart server: ${error.message}`);
         }
     }
 
@@ -868,17 +1000,62 @@ class ServerControl {
         const now = new Date();
         now.setHours(now.getHours() + 1);
         document.getElementById('restart-time').value = now.toISOString().slice(0, 16);
+
+        const repeatSelect = document.getElementById('restart-repeat');
+        repeatSelect.onchange = () => this.updateRestartRepeatFields();
+        this.updateRestartRepeatFields();
     }
 
     hideScheduledRestartModal() {
         document.getElementById('scheduled-restart-modal').classList.remove('active');
     }
 
-    async saveScheduledRestart() {
-        const timeInput = document.getElementById('restart-time').value;
+    updateRestartRepeatFields() {
         const repeat = document.getElementById('restart-repeat').value;
+        document.getElementById('restart-once-group').style.display = repeat === 'once' ? '' : 'none';
+        document.getElementById('restart-times-group').style.display = repeat === 'daily' || repeat === 'weekly' ? '' : 'none';
+        document.getElementById('restart-weekdays-group').style.display = repeat === 'weekly' ? '' : 'none';
+        document.getElementById('restart-interval-group').style.display = repeat === 'interval' ? '' : 'none';
+    }
+
+    getRestartRule() {
+        const repeat = document.getElementById('restart-repeat').value;
+
+        if (repeat === 'once') {
+            const timeInput = document.getElementById('restart-time').value;
+            return timeInput ? { repeat, time: new Date(timeInput).toISOString() } : null;
+        }
+
+        if (repeat === 'interval') {
+            return {
+                repeat,
+                intervalHours: parseInt(document.getElementById('restart-interval-hours').value),
+                startTime: document.getElementById('restart-start-time').value || '00:00'
+            };
+        }
 
-        if (!timeInput) {
+        const rule = { repeat, times: document.getElementById('restart-times').value };
+        if (repeat === 'weekly') {
+            rule.weekdays = Array.from(document.querySelectorAll('.restart-weekday:checked')).map(cb => parseInt(cb.value));
+        }
+        return rule;
+    }
+
+    describeRestartRule(restart) {
+        const dayNames = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+        if (restart.countdown) return 'Countdown';
+        if (restart.repeat === 'daily') return `Daily at ${restart.times.join(', ')}`;
+        if (restart.repeat === 'weekly') {
+            return `Weekly on ${restart.weekdays.map(d => dayNames[d]).join(', ')} at ${restart.times.join(', ')}`;
+        }
+        if (restart.repeat === 'interval') return `Every ${restart.intervalHours}h from ${restart.startTime}`;
+        return 'Once';
+    }
+
+    async saveScheduledRestart() {
+        const rule = this.getRestartRule();
+
+        if (!rule) {
             window.app.showError('Please select a restart time');
             return;
         }
@@ -889,54 +1066,22 @@ class ServerControl {
         }
 
         this.profileName = document.getElementById('server-profile-select').value;
-        const paramsText = document.getElementById('server-parameters').value;
-        this.parameters = paramsText ? paramsText.split(' ').filter(p => p.trim()) : [];
-
-        // Get ordered mods and use their actual folder names
-        try {
-            const orderedModsResult = await window.electronAPI.configGetModsOrdered();
-            const orderedMods = orderedModsResult.success ? orderedModsResult.mods : [];
-            
-            if (orderedMods.length > 0) {
-                const installedMods = await window.electronAPI.workshopListInstalled(this.serverPath);
-                const modNames = [];
-                
-                for (const orderedMod of orderedMods) {
-                    const installedMod = installedMods.find(im => 
-                        String(im.workshopId) === String(orderedMod.workshopId)
-                    );
-                    
-                    if (installedMod && installedMod.modName) {
-                        let modName = installedMod.modName;
-                        modName = modName.replace(/@/g, '');
-                        modName = modName.trim();
-                        modName = modName.replace(/[^a-zA-Z0-9_-]/g, '');
-                        modNames.push(`@${modName}`);
-                    }
-                }
-                
-                if (modNames.length > 0) {
-                    const modParameter = `-mod=${modNames.join(';')}`;
-                    this.parameters.push(modParameter);
-                }
-            }
-        } catch (error) {
-            console.warn('Could not load mod list from config for scheduled restart:', error);
-        }
+        this.parameters = [];
 
         try {
-            const time = new Date(timeInput);
             const result = await window.electronAPI.serverControlScheduleRestart(
-                time.toISOString(),
+                rule,
                 this.serverPath,
                 this.profileName,
                 this.parameters
             );
 
-            if (result) {
+            if (result.success) {
                 window.app.showSuccess('Scheduled restart added');
                 this.hideScheduledRestartModal();
                 await this.loadScheduledRestarts();
+            } else {
+                window.app.showError(result.error || 'Failed to schedule restart');
             }
         } catch (error) {
             window.app.showError(`Failed to schedule restart: ${error.message}`);
@@ -953,13 +1098,30 @@ class ServerControl {
                 return;
             }
 
-            container.innerHTML = restarts.map(restart => {
+            // Occurrences of the same schedule are shown as one entry
+            const schedules = new Map();
+            restarts.forEach(restart => {
+                if (!schedules.has(restart.id)) {
+                    schedules.set(restart.id, { ...restart, following: [] });
+                } else {
+                    schedules.get(restart.id).following.push(restart.time);
+                }
+            });
+
+            container.innerHTML = Array.from(schedules.values()).map(restart => {
                 const time = new Date(restart.time);
+                const following = restart.following.length > 0
+                    ? ` | Then: ${restart.following.slice(0, 2).map(t => new Date(t).toLocaleString()).join(', ')}`
+                    : '';
+                const missed = restart.lastMissed
+                    ? `<div class="restart-missed">Missed run at ${new Date(restart.lastMissed).toLocaleString()} (app was closed)</div>`
+                    : '';
                 return `
                     <div class="scheduled-restart-item">
                         <div class="restart-info">
                             <div class="restart-time">${time.toLocaleString()}</div>
-                            <div class="restart-profile">Profile: ${restart.profileName}</div>
+                            <div class="restart-profile">${this.describeRestartRule(restart)} | Profile: ${restart.profileName}${following}</div>
+                            ${missed}
                         </div>
                         <button class="btn btn-secondary btn-sm" onclick="window.serverControl.cancelScheduledRestart('${restart.id}')">Cancel</button>
                     </div>
@@ -970,6 +1132,137 @@ class ServerControl {
         }
     }
 
+    async loadRestartWarnings() {
+        try {
+            const settings = await window.electronAPI.restartWarningsGet();
+            document.getElementById('restart-warnings-enabled').checked = settings.enabled;
+            document.getElementById('restart-warnings-stages').value = settings.stages.map(stage => this.formatStage(stage)).join(' ');
+            document.getElementById('restart-warnings-message').value = settings.message;
+        } catch (error) {
+            console.error('Error loading restart warnings:', error);
+        }
+    }
+
+    async saveRestartWarnings() {
+        try {
+            const result = await window.electronAPI.restartWarningsSet({
+                enabled: document.getElementById('restart-warnings-enabled').checked,
+                stages: document.getElementById('restart-warnings-stages').value,
+                message: document.getElementById('restart-warnings-message').value
+            });
+
+            if (result.success) {
+                window.app.showSuccess('Restart warnings saved');
+                await this.loadRestartWarnings();
+            } else {
+                window.app.showError(result.error || 'Failed to save restart warnings');
+            }
+        } catch (error) {
+            window.app.showError(`Failed to save restart warnings: ${error.message}`);
+        }
+    }
+
+    formatStage(seconds) {
+        if (seconds % 3600 === 0) return `${seconds / 3600}h`;
+        if (seconds % 60 === 0) return `${seconds / 60}m`;
+        return `${seconds}s`;
+    }
+
+    async loadWatchdog() {
+        try {
+            const settings = await window.electronAPI.watchdogGetSettings();
+            document.getElementById('watchdog-enabled').checked = settings.enabled;
+            document.getElementById('watchdog-delay').value = settings.restartDelaySeconds;
+            document.getElementById('watchdog-max-restarts').value = settings.maxRestartsPerHour;
+            await this.loadCrashes();
+        } catch (error) {
+            console.error('Error loading watchdog settings:', error);
+        }
+    }
+
+    async saveWatchdogSettings() {
+        try {
+            const result = await window.electronAPI.watchdogSetSettings({
+                enabled: document.getElementById('watchdog-enabled').checked,
+                restartDelaySeconds: document.getElementById('watchdog-delay').value,
+                maxRestartsPerHour: document.getElementById('watchdog-max-restarts').value
+            });
+
+            if (result.success) {
+                window.app.showSuccess('Watchdog settings saved');
+                await this.loadWatchdog();
+            } else {
+                window.app.showError(result.error || 'Failed to save watchdog settings');
+            }
+        } catch (error) {
+            window.app.showError(`Failed to save watchdog settings: ${error.message}`);
+        }
+    }
+
+    async loadCrashes() {
+        try {
+            const { crashes, pendingRestart } = await window.electronAPI.watchdogGetCrashes();
+            const container = document.getElementById('crash-list');
+            document.getElementById('cancel-watchdog-restart').style.display = pendingRestart ? '' : 'none';
+
+            if (crashes.length === 0) {
+                container.innerHTML = '<div class="empty-state">No crashes recorded</div>';
+                return;
+            }
+
+            const actions = {
+                'restart-scheduled': 'Automatic restart scheduled',
+                'restart-limit-reached': 'Not restarted, hourly restart limit reached',
+                'auto-restart-disabled': 'Not restarted, automatic restart is disabled'
+            };
+
+            container.innerHTML = crashes.map(crash => {
+                const exit = crash.signal ? `signal ${crash.signal}` : `exit code ${crash.exitCode}`;
+                let action = actions[crash.action] || crash.action;
+                if (crash.restartResult) {
+                    action += ` (${crash.restartResult})`;
+                } else if (crash.restartAt) {
+                    action += ` for ${new Date(crash.restartAt).toLocaleTimeString()}`;
+                }
+                const rpt = crash.rptLines && crash.rptLines.length > 0
+                    ? `<details><summary>Last RPT lines</summary><div class="crash-rpt">${this.escapeHtml(crash.rptLines.join('\n'))}</div></details>`
+                    : '';
+
+                return `
+                    <div class="crash-item">
+                        <div class="crash-summary">${new Date(crash.time).toLocaleString()} - ${exit}</div>
+                        <div class="crash-details">Profile: ${this.escapeHtml(crash.profileName || '-')} | Uptime: ${Math.round(crash.uptimeSeconds / 60)} min | ${this.escapeHtml(action)}</div>
+                        ${rpt}
+                    </div>
+                `;
+            }).join('');
+        } catch (error) {
+            console.error('Error loading crash history:', error);
+        }
+    }
+
+    async cancelWatchdogRestart() {
+        const result = await window.electronAPI.watchdogCancelRestart();
+        if (result.cancelled) {
+            window.app.showSuccess('Automatic restart cancelled');
+        }
+        await this.loadCrashes();
+    }
+
+    async clearCrashHistory() {
+        if (!confirm('Clear the crash history?')) {
+            return;
+        }
+        await window.electronAPI.watchdogClearCrashes();
+        await this.loadCrashes();
+    }
+
+    escapeHtml(text) {
+        const div = document.createElement('div');
+        div.textContent = text;
+        return div.innerHTML;
+    }
+
     async cancelScheduledRestart(id) {
         try {
             await window.electronAPI.serverControlCancelScheduledRestart(id);
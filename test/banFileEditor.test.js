@@ -0,0 +1,67 @@
+const { stubElectron } = require('./helpers/electron');
+const userDataPath = stubElectron();
+
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs-extra');
+const path = require('path');
+const config = require('../src/main/config');
+const instanceManager = require('../src/main/instanceManager');
+const banFileEditor = require('../src/main/banFileEditor');
+
+const mainPath = path.join(userDataPath, 'main');
+const otherPath = path.join(userDataPath, 'other');
+
+test.before(async () => {
+  await config.load();
+  await config.set('instances', [
+    { id: 'main', name: 'Main', serverPath: mainPath, profileName: 'default' },
+    { id: 'other', name: 'Other', serverPath: otherPath, profileName: 'default' }
+  ]);
+  await config.set('activeInstanceId', 'main');
+});
+
+test('bans are reloaded on the server using the edited file', async (t) => {
+  const commands = { main: [], other: [] };
+  for (const id of ['main', 'other']) {
+    const rcon = instanceManager.getRuntime(id).rconManager;
+    rcon.isConnected = true;
+    t.after(() => {
+      rcon.isConnected = false;
+    });
+    t.mock.method(rcon, 'sendCommand', async (command) => {
+      commands[id].push(command);
+      return '';
+    });
+  }
+
+  const result = await banFileEditor.addBan(otherPath, 'default', '1.2.3.4', 0, 'Cheating');
+
+  assert.strictEqual(result.reloaded, true);
+  assert.deepStrictEqual(commands, { main: [], other: ['loadBans'] });
+});
+
+test('lines that are not bans keep their place when bans are edited', async () => {
+  const bansPath = await banFileEditor.getBansFilePath(mainPath, 'default');
+  await fs.outputFile(bansPath, [
+    '// Cheaters',
+    '0123456789abcdef0123456789abcdef -1 Aimbot',
+    '10.0.0.1 -1 Speedhack',
+    '// Griefers',
+    '10.0.0.2 -1 Griefing',
+    ''
+  ].join('\n'));
+
+  await banFileEditor.removeBan(mainPath, 'default', 1);
+  await banFileEditor.updateBan(mainPath, 'default', 1, '10.0.0.2', 0, 'Griefing twice');
+  await banFileEditor.addBan(mainPath, 'default', '10.0.0.3', 0, 'Spam');
+
+  assert.deepStrictEqual((await fs.readFile(bansPath, 'utf-8')).split('\n'), [
+    '// Cheaters',
+    '0123456789abcdef0123456789abcdef -1 Aimbot',
+    '// Griefers',
+    '10.0.0.2 -1 Griefing twice',
+    '10.0.0.3 -1 Spam',
+    ''
+  ]);
+});
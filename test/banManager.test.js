@@ -0,0 +1,40 @@
+const { stubElectron } = require('./helpers/electron');
+stubElectron();
+
+const test = require('node:test');
+const assert = require('node:assert');
+const banManager = require('../src/main/banManager');
+
+const GUID = '0123456789abcdef0123456789abcdef';
+
+/**
+ * Send RCON commands to a stand-in that fails the ones matching failOn
+ */
+function stubRcon(t, failOn = null) {
+  const commands = [];
+  t.mock.method(banManager, 'getRcon', () => ({
+    sendCommand: async (command) => {
+      commands.push(command);
+      if (failOn && failOn.test(command)) {
+        throw new Error('RCON command timeout');
+      }
+      return '';
+    }
+  }));
+  return commands;
+}
+
+test('updating a ban adds the new ban before removing the old one', async (t) => {
+  const commands = stubRcon(t);
+
+  await banManager.updateBan(2, GUID, 60, 'Griefing');
+
+  assert.deepStrictEqual(commands, [`addBan ${GUID} 60 Griefing`, 'writeBans', 'removeBan 2', 'writeBans']);
+});
+
+test('a failed add keeps the old ban', async (t) => {
+  const commands = stubRcon(t, /^addBan/);
+
+  await assert.rejects(banManager.updateBan(2, GUID, 60, 'Griefing'), /timeout/);
+  assert.ok(!commands.some(command => command.startsWith('removeBan')));
+});
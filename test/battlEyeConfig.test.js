@@ -0,0 +1,34 @@
+const { stubElectron } = require('./helpers/electron');
+const userDataPath = stubElectron();
+
+const test = require('node:test');
+const assert = require('node:assert');
+const path = require('path');
+const config = require('../src/main/config');
+const battlEyeConfig = require('../src/main/battlEyeConfig');
+
+const RCON = { host: '127.0.0.1', port: 2306, password: 'mainpass', enabled: true };
+
+test.before(async () => {
+  await config.load();
+  await config.set('instances', [
+    { id: 'main', name: 'Main', serverPath: path.join(userDataPath, 'main'), profileName: 'default', rcon: { ...RCON } },
+    { id: 'other', name: 'Other', serverPath: path.join(userDataPath, 'other'), profileName: 'default', rcon: { ...RCON, port: 2406 } }
+  ]);
+  await config.set('activeInstanceId', 'main');
+});
+
+test('writing the config syncs the RCON settings of the given instance only', async () => {
+  await battlEyeConfig.writeConfig(path.join(userDataPath, 'other'), 'default', { RConPassword: 'otherpass', RConPort: 2416 }, 'other');
+
+  assert.deepStrictEqual(config.getRCONConfig('main'), RCON);
+  assert.strictEqual(config.getRCONConfig('other').port, 2416);
+  assert.strictEqual(config.getRCONConfig('other').password, 'otherpass');
+});
+
+test('a config no instance uses is written without syncing RCON settings', async () => {
+  const result = await battlEyeConfig.writeConfig(path.join(userDataPath, 'unused'), 'default', { RConPassword: 'unusedpass', RConPort: 2506 });
+
+  assert.strictEqual(result.settings.RConPort, 2506);
+  assert.deepStrictEqual(config.getRCONConfig('main'), RCON);
+});
@@ -0,0 +1,32 @@
+const { stubElectron } = require('./helpers/electron');
+stubElectron();
+
+const test = require('node:test');
+const assert = require('node:assert');
+const config = require('../src/main/config');
+const hangDetector = require('../src/main/hangDetector');
+
+let settings;
+test.before(async () => {
+  await config.load();
+  settings = { ...hangDetector.getSettings(), cpuStuckSeconds: 0 };
+});
+
+test('an unmeasured CPU reading does not count as stuck', async () => {
+  const state = { cpuStuckSince: null };
+  const probe = await hangDetector.probeCpu(state, null, settings, { cpu: 0, cpuMeasured: false }, Date.now());
+
+  assert.deepStrictEqual(probe, { available: false, failing: false });
+  assert.strictEqual(state.cpuStuckSince, null);
+});
+
+test('a measured idle or pinned CPU counts as stuck', async () => {
+  const now = Date.now();
+  const idle = await hangDetector.probeCpu({ cpuStuckSince: null }, null, settings, { cpu: 0, cpuMeasured: true }, now);
+  const pinned = await hangDetector.probeCpu({ cpuStuckSince: null }, null, settings, { cpu: 100, cpuMeasured: true }, now);
+  const working = await hangDetector.probeCpu({ cpuStuckSince: null }, null, settings, { cpu: 40, cpuMeasured: true }, now);
+
+  assert.strictEqual(idle.failing, true);
+  assert.strictEqual(pinned.failing, true);
+  assert.strictEqual(working.failing, false);
+});
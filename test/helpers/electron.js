@@ -0,0 +1,26 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const Module = require('module');
+
+/**
+ * Replace the electron module with the parts the main process modules use outside the app
+ * userData points at a fresh temporary folder, which is returned
+ */
+function stubElectron() {
+  const userDataPath = fs.mkdtempSync(path.join(os.tmpdir(), 'dayz-server-manager-test-'));
+  const electronPath = require.resolve('electron');
+  const stub = new Module(electronPath);
+  stub.filename = electronPath;
+  stub.loaded = true;
+  stub.exports = {
+    app: {
+      getPath: () => userDataPath,
+      isPackaged: false
+    }
+  };
+  require.cache[electronPath] = stub;
+  return userDataPath;
+}
+
+module.exports = { stubElectron };
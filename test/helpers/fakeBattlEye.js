@@ -0,0 +1,137 @@
+const dgram = require('dgram');
+const EventEmitter = require('events');
+
+const PACKET_LOGIN = 0x00;
+const PACKET_COMMAND = 0x01;
+const PACKET_MESSAGE = 0x02;
+
+function crc32(buffer) {
+  let crc = 0xFFFFFFFF;
+  for (const byte of buffer) {
+    crc ^= byte;
+    for (let k = 0; k < 8; k++) {
+      crc = crc & 1 ? 0xEDB88320 ^ (crc >>> 1) : crc >>> 1;
+    }
+  }
+  return (crc ^ 0xFFFFFFFF) >>> 0;
+}
+
+/**
+ * Build a BattlEye RCon packet: 'BE' + CRC32 + 0xFF + type + payload
+ */
+function buildPacket(type, payload = Buffer.alloc(0)) {
+  const body = Buffer.concat([Buffer.from([0xFF, type]), payload]);
+  const header = Buffer.alloc(6);
+  header.write('BE', 0, 'ascii');
+  header.writeUInt32LE(crc32(body), 2);
+  return Buffer.concat([header, body]);
+}
+
+/**
+ * Local UDP stand-in for a BattlEye RCon server
+ * Commands are answered by onCommand(command, sequence), which returns a reply string,
+ * an array of reply parts (sent as a multipart response) or null to leave the command unanswered
+ */
+class FakeBattlEyeServer extends EventEmitter {
+  constructor(password = 'secret') {
+    super();
+    this.password = password;
+    this.socket = null;
+    this.client = null;
+    // While silent every packet is dropped, as if the server went away
+    this.silent = false;
+    this.logins = 0;
+    this.commands = [];
+    this.acks = [];
+    this.onCommand = () => '';
+  }
+
+  start() {
+    return new Promise((resolve) => {
+      this.socket = dgram.createSocket('udp4');
+      this.socket.on('message', (msg, rinfo) => this.handlePacket(msg, rinfo));
+      this.socket.bind(0, '127.0.0.1', () => resolve(this.socket.address().port));
+    });
+  }
+
+  stop() {
+    return new Promise((resolve) => {
+      if (!this.socket) {
+        resolve();
+        return;
+      }
+      this.socket.close(() => resolve());
+      this.socket = null;
+    });
+  }
+
+  handlePacket(msg, rinfo) {
+    if (this.silent || msg.length < 8 || msg.toString('ascii', 0, 2) !== 'BE') {
+      return;
+    }
+    this.client = rinfo;
+    const type = msg[7];
+    const payload = msg.slice(8);
+
+    if (type === PACKET_LOGIN) {
+      this.logins++;
+      const success = payload.toString('utf-8') === this.password;
+      this.send(buildPacket(PACKET_LOGIN, Buffer.from([success ? 0x01 : 0x00])));
+    } else if (type === PACKET_COMMAND) {
+      const sequence = payload[0];
+      const command = payload.slice(1).toString('utf-8');
+      this.commands.push(command);
+      this.emit('command', command, sequence);
+
+      const reply = this.onCommand(command, sequence);
+      if (Array.isArray(reply)) {
+        reply.forEach((part, index) => this.sendCommandPart(sequence, reply.length, index, part));
+      } else if (reply !== null && reply !== undefined) {
+        this.sendCommandReply(sequence, reply);
+      }
+    } else if (type === PACKET_MESSAGE) {
+      this.acks.push(payload[0]);
+      this.emit('ack', payload[0]);
+    }
+  }
+
+  send(packet) {
+    if (this.socket && this.client) {
+      this.socket.send(packet, this.client.port, this.client.address);
+    }
+  }
+
+  sendCommandReply(sequence, body) {
+    this.send(buildPacket(PACKET_COMMAND, Buffer.concat([Buffer.from([sequence]), Buffer.from(body)])));
+  }
+
+  sendCommandPart(sequence, total, index, body) {
+    this.send(buildPacket(PACKET_COMMAND, Buffer.concat([Buffer.from([sequence, 0x00, total, index]), Buffer.from(body)])));
+  }
+
+  sendMessage(sequence, text) {
+    this.send(buildPacket(PACKET_MESSAGE, Buffer.concat([Buffer.from([sequence]), Buffer.from(text, 'utf-8')])));
+  }
+}
+
+/**
+ * Wait for an event, failing after a timeout so a broken test does not hang
+ */
+function waitFor(emitter, event, predicate = () => true, timeoutMs = 3000) {
+  return new Promise((resolve, reject) => {
+    const timer = setTimeout(() => {
+      emitter.removeListener(event, listener);
+      reject(new Error(`Timed out waiting for ${event}`));
+    }, timeoutMs);
+    const listener = (...args) => {
+      if (predicate(...args)) {
+        clearTimeout(timer);
+        emitter.removeListener(event, listener);
+        resolve(args[0]);
+      }
+    };
+    emitter.on(event, listener);
+  });
+}
+
+module.exports = { FakeBattlEyeServer, buildPacket, crc32, waitFor, PACKET_COMMAND, PACKET_MESSAGE };
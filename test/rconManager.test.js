@@ -0,0 +1,161 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const RCONManager = require('../src/main/rconManager');
+const { FakeBattlEyeServer, buildPacket, waitFor, PACKET_COMMAND } = require('./helpers/fakeBattlEye');
+
+async function setup(t) {
+  const server = new FakeBattlEyeServer('secret');
+  const port = await server.start();
+  const rcon = new RCONManager();
+  t.after(async () => {
+    rcon.disconnect();
+    await server.stop();
+  });
+  return { server, rcon, port };
+}
+
+test('logs in with the right password', async (t) => {
+  const { server, rcon, port } = await setup(t);
+
+  await rcon.connect('127.0.0.1', port, 'secret');
+  assert.strictEqual(rcon.isConnected, true);
+  assert.strictEqual(rcon.getStatus().state, 'connected');
+  assert.strictEqual(server.logins, 1);
+});
+
+test('rejects a wrong password', async (t) => {
+  const { rcon, port } = await setup(t);
+
+  await assert.rejects(rcon.connect('127.0.0.1', port, 'wrong'), /authentication failed/);
+  assert.strictEqual(rcon.isConnected, false);
+  assert.strictEqual(rcon.getStatus().state, 'disconnected');
+});
+
+test('ignores packets with a bad checksum', async (t) => {
+  const { server, rcon, port } = await setup(t);
+  await rcon.connect('127.0.0.1', port, 'secret');
+
+  server.onCommand = (command, sequence) => {
+    const corrupt = buildPacket(PACKET_COMMAND, Buffer.concat([Buffer.from([sequence]), Buffer.from('corrupt')]));
+    corrupt.writeUInt32LE((corrupt.readUInt32LE(2) + 1) >>> 0, 2);
+    server.send(corrupt);
+    setTimeout(() => server.sendCommandReply(sequence, 'valid'), 50);
+    return null;
+  };
+
+  assert.strictEqual(await rcon.sendCommand('players'), 'valid');
+});
+
+test('reassembles multipart responses sent out of order', async (t) => {
+  const { server, rcon, port } = await setup(t);
+  await rcon.connect('127.0.0.1', port, 'secret');
+
+  // The two bytes of "é" are split across parts
+  const text = Buffer.from('Players on server: é done', 'utf-8');
+  const split = text.indexOf(0xC3) + 1;
+  const parts = [text.slice(0, split), text.slice(split, split + 3), text.slice(split + 3)];
+
+  server.onCommand = (command, sequence) => {
+    server.sendCommandPart(sequence, 3, 2, parts[2]);
+    server.sendCommandPart(sequence, 3, 0, parts[0]);
+    server.sendCommandPart(sequence, 3, 0, parts[0]);
+    server.sendCommandPart(sequence, 3, 1, parts[1]);
+    return null;
+  };
+
+  assert.strictEqual(await rcon.sendCommand('players'), 'Players on server: é done');
+});
+
+test('fails a multipart response with missing parts', async (t) => {
+  const { server, rcon, port } = await setup(t);
+  rcon.fragmentTimeout = 100;
+  await rcon.connect('127.0.0.1', port, 'secret');
+
+  server.onCommand = (command, sequence) => {
+    server.sendCommandPart(sequence, 2, 0, 'first half');
+    return null;
+  };
+
+  await assert.rejects(rcon.sendCommand('players'), /missing part\(s\) 1 of 2/);
+});
+
+test('acknowledges server messages by sequence and drops resends', async (t) => {
+  const { server, rcon, port } = await setup(t);
+  await rcon.connect('127.0.0.1', port, 'secret');
+
+  const messages = [];
+  rcon.on('server-message', message => messages.push(message));
+
+  server.sendMessage(7, 'Player #0 Survivor connected');
+  await waitFor(server, 'ack', sequence => sequence === 7);
+  // Our ack got lost, the server sends the same message again
+  server.sendMessage(7, 'Player #0 Survivor connected');
+  await waitFor(server, 'ack', sequence => sequence === 7);
+  server.sendMessage(8, 'Player #0 Survivor disconnected');
+  await waitFor(server, 'ack', sequence => sequence === 8);
+
+  assert.deepStrictEqual(server.acks, [7, 7, 8]);
+  assert.deepStrictEqual(messages, ['Player #0 Survivor connected', 'Player #0 Survivor disconnected']);
+});
+
+test('sends empty keepalive commands', async (t) => {
+  const { server, rcon, port } = await setup(t);
+  rcon.keepaliveInterval = 50;
+  await rcon.connect('127.0.0.1', port, 'secret');
+
+  await waitFor(server, 'command', command => command === '');
+  assert.strictEqual(rcon.isConnected, true);
+});
+
+test('reconnects after an unanswered keepalive', async (t) => {
+  const { server, rcon, port } = await setup(t);
+  rcon.keepaliveInterval = 50;
+  rcon.commandTimeout = 100;
+  rcon.reconnectBaseDelay = 50;
+  await rcon.connect('127.0.0.1', port, 'secret');
+
+  server.silent = true;
+  await waitFor(rcon, 'state-changed', status => status.state === 'reconnecting');
+  server.silent = false;
+  await waitFor(rcon, 'state-changed', status => status.state === 'connected');
+
+  assert.strictEqual(server.logins, 2);
+  assert.strictEqual(rcon.getStatus().reconnectAttempts, 0);
+  assert.strictEqual(await rcon.sendCommand('players'), '');
+});
+
+test('gives up after the maximum reconnect attempts', async (t) => {
+  const { server, rcon, port } = await setup(t);
+  rcon.keepaliveInterval = 50;
+  rcon.commandTimeout = 100;
+  rcon.loginTimeout = 100;
+  rcon.reconnectBaseDelay = 10;
+  rcon.maxReconnectAttempts = 2;
+  await rcon.connect('127.0.0.1', port, 'secret');
+
+  server.silent = true;
+  const status = await waitFor(rcon, 'state-changed', s => s.state === 'disconnected');
+  assert.match(status.error, /gave up after 2 reconnect attempts/);
+});
+
+test('connecting while a reconnect attempt is logging in keeps the new connection', { timeout: 3000 }, async (t) => {
+  const { server, rcon, port } = await setup(t);
+  rcon.keepaliveInterval = 50;
+  rcon.commandTimeout = 100;
+  rcon.reconnectBaseDelay = 50;
+  await rcon.connect('127.0.0.1', port, 'secret');
+
+  server.silent = true;
+  await waitFor(rcon, 'state-changed', status => status.state === 'reconnecting');
+  // Let the reconnect timer fire, its login goes unanswered
+  await new Promise(resolve => setTimeout(resolve, 150));
+  assert.strictEqual(rcon.reconnectTimer, null);
+  assert.strictEqual(rcon.state, 'reconnecting');
+
+  server.silent = false;
+  await rcon.connect('127.0.0.1', port, 'secret');
+  await new Promise(resolve => setTimeout(resolve, 100));
+
+  assert.strictEqual(rcon.getStatus().state, 'connected');
+  assert.strictEqual(await rcon.sendCommand('players'), '');
+});
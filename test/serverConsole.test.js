@@ -0,0 +1,50 @@
+const { stubElectron } = require('./helpers/electron');
+stubElectron();
+
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs-extra');
+const { spawn } = require('child_process');
+const ServerConsole = require('../src/main/serverConsole');
+
+test('follows the output a server writes to its output files', async (t) => {
+  const serverConsole = new ServerConsole('output');
+  serverConsole.tailInterval = 20;
+  t.after(() => serverConsole.stopTailing());
+
+  const output = await serverConsole.openOutput();
+  const child = spawn(process.execPath, ['-e', 'console.log("Loading mods"); console.error("Mod key missing"); process.stdout.write("Ready")'], {
+    stdio: ['ignore', output.stdout, output.stderr]
+  });
+  fs.closeSync(output.stdout);
+  fs.closeSync(output.stderr);
+  await serverConsole.tailOutput();
+
+  await new Promise(resolve => child.once('close', resolve));
+  await serverConsole.stopTailing();
+
+  const lines = serverConsole.getLines().map(entry => [entry.source, entry.raw]);
+  assert.deepStrictEqual(lines.sort(), [['stderr', 'Mod key missing'], ['stdout', 'Loading mods'], ['stdout', 'Ready']]);
+  assert.strictEqual(serverConsole.getLines('Mod key')[0].level, 'Error');
+});
+
+test('a re-attached console continues where the last one stopped reading', async (t) => {
+  const first = new ServerConsole('resume');
+  const output = await first.openOutput();
+  fs.closeSync(output.stdout);
+  fs.closeSync(output.stderr);
+  await fs.appendFile(first.getOutputPath('stdout'), 'Before the app closed\nhalf a li');
+  await first.tailOutput();
+  await first.readOutput();
+  await first.writeQueue;
+  // The app closes while the server keeps writing
+  clearInterval(first.tailTimer);
+  await fs.appendFile(first.getOutputPath('stdout'), 'ne\nWhile the app was closed\n');
+
+  const second = new ServerConsole('resume');
+  t.after(() => second.stopTailing());
+  await second.tailOutput(true);
+  await second.readOutput();
+
+  assert.deepStrictEqual(second.getLines().map(entry => entry.raw), ['half a line', 'While the app was closed']);
+});
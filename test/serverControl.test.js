@@ -0,0 +1,133 @@
+const { stubElectron } = require('./helpers/electron');
+stubElectron();
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { spawn } = require('child_process');
+const RCONManager = require('../src/main/rconManager');
+const ServerConsole = require('../src/main/serverConsole');
+const ServerControl = require('../src/main/serverControl');
+const { FakeBattlEyeServer } = require('./helpers/fakeBattlEye');
+
+const PLAYERS = [
+  'Players on server:',
+  '[#] [IP Address]:[Port] [Ping] [GUID] [Name]',
+  '--------------------------------------------------',
+  '0   10.0.0.1:2304     31   0123456789abcdef0123456789abcdef(OK) Alice',
+  '1   10.0.0.2:2304     45   fedcba9876543210fedcba9876543210(OK) Bob',
+  '(2 players in total)'
+].join('\n');
+
+/**
+ * A server control running a stand-in server process, with RCON connected to a fake BattlEye server
+ */
+async function setup(t) {
+  const battlEye = new FakeBattlEyeServer('secret');
+  const port = await battlEye.start();
+  const rcon = new RCONManager();
+  await rcon.connect('127.0.0.1', port, 'secret');
+
+  const serverControl = new ServerControl('default', rcon, new ServerConsole('default'));
+  const child = spawn(process.execPath, ['-e', 'setInterval(() => {}, 1000)'], { stdio: 'ignore' });
+  serverControl.serverProcess = child;
+  serverControl.isRunning = true;
+
+  t.after(async () => {
+    child.kill('SIGKILL');
+    rcon.disconnect();
+    await battlEye.stop();
+  });
+  return { battlEye, rcon, serverControl, child };
+}
+
+test('stop kicks players and shuts the server down over RCON', async (t) => {
+  const { battlEye, serverControl, child } = await setup(t);
+  battlEye.onCommand = (command) => {
+    if (command === 'players') {
+      return PLAYERS;
+    }
+    if (command === '#shutdown') {
+      // The server saves and exits on its own
+      setTimeout(() => child.kill('SIGTERM'), 50);
+    }
+    return '';
+  };
+
+  const result = await serverControl.stopServer({ kickMessage: 'Restarting' });
+
+  assert.strictEqual(result.method, 'graceful');
+  assert.strictEqual(result.kickedPlayers, 2);
+  assert.deepStrictEqual(battlEye.commands, ['players', 'kick 0 Restarting', 'kick 1 Restarting', '#shutdown']);
+  assert.strictEqual(child.stopRequested, true);
+  assert.strictEqual(serverControl.isRunning, false);
+});
+
+test('stop kills a server that does not exit after #shutdown', async (t) => {
+  const { battlEye, serverControl, child } = await setup(t);
+  battlEye.onCommand = (command) => (command === 'players' ? PLAYERS : '');
+
+  const result = await serverControl.stopServer({ timeoutSeconds: 0.2 });
+
+  assert.strictEqual(result.method, 'forced');
+  assert.strictEqual(result.reason, 'Server did not exit after #shutdown');
+  assert.ok(battlEye.commands.includes('#shutdown'));
+  assert.ok(child.exitCode !== null || child.signalCode !== null);
+});
+
+test('stop still shuts the server down when the player list fails', async (t) => {
+  const { battlEye, rcon, serverControl, child } = await setup(t);
+  rcon.commandTimeout = 100;
+  battlEye.onCommand = (command) => {
+    if (command === 'players') {
+      return null;
+    }
+    if (command === '#shutdown') {
+      setTimeout(() => child.kill('SIGTERM'), 50);
+    }
+    return '';
+  };
+
+  const result = await serverControl.stopServer();
+
+  assert.strictEqual(result.method, 'graceful');
+  assert.strictEqual(result.kickedPlayers, 0);
+  assert.deepStrictEqual(battlEye.commands, ['players', '#shutdown']);
+});
+
+test('stop kills the server straight away without RCON', async (t) => {
+  const { battlEye, rcon, serverControl } = await setup(t);
+  rcon.disconnect();
+
+  const result = await serverControl.stopServer();
+
+  assert.strictEqual(result.method, 'forced');
+  assert.strictEqual(result.reason, 'RCON is not connected');
+  assert.deepStrictEqual(battlEye.commands, []);
+});
+
+/**
+ * Measure a stand-in server process over a bit more than a second
+ */
+async function measureCpu(t, script) {
+  const serverControl = new ServerControl('default', new RCONManager(), new ServerConsole('default'));
+  const child = spawn(process.execPath, ['-e', script], { stdio: 'ignore' });
+  t.after(() => child.kill('SIGKILL'));
+  serverControl.serverProcess = child;
+  serverControl.isRunning = true;
+
+  await new Promise(resolve => setTimeout(resolve, 200));
+  const first = await serverControl.getProcessStats();
+  await new Promise(resolve => setTimeout(resolve, 1200));
+  return { first, second: await serverControl.getProcessStats() };
+}
+
+test('CPU use is measured between samples', { skip: process.platform !== 'linux' }, async (t) => {
+  const busy = await measureCpu(t, 'for (;;) {}');
+  assert.strictEqual(busy.first.cpuMeasured, false);
+  assert.strictEqual(busy.second.cpuMeasured, true);
+  assert.ok(busy.second.cpu > 30, `busy process measured at ${busy.second.cpu}%`);
+  assert.ok(busy.second.memoryMB > 0);
+
+  const idle = await measureCpu(t, 'setInterval(() => {}, 1000)');
+  assert.ok(idle.second.cpu < 10, `idle process measured at ${idle.second.cpu}%`);
+});
@@ -0,0 +1,31 @@
+const { stubElectron } = require('./helpers/electron');
+const userDataPath = stubElectron();
+
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs-extra');
+const path = require('path');
+const config = require('../src/main/config');
+const launchProfiles = require('../src/main/launchProfiles');
+const serverManager = require('../src/main/serverManager');
+
+const serverPath = path.join(userDataPath, 'server');
+
+test.before(async () => {
+  await config.load();
+  await fs.ensureDir(path.join(serverPath, 'profiles', 'default', 'BattlEye'));
+  await config.set('instances', [
+    { id: 'main', name: 'Main', serverPath, profileName: 'default', launchProfiles: [{ ...launchProfiles.createDefaultProfile(), bePath: 'battleye-custom' }] },
+    { id: 'other', name: 'Other', serverPath, profileName: 'other' }
+  ]);
+});
+
+test('the launch profile -BEpath wins over the profile folder', async () => {
+  assert.strictEqual(await serverManager.findBattlEyePath(serverPath, 'default'), path.join(serverPath, 'battleye-custom'));
+});
+
+test('without a -BEpath BattlEye is looked for in the profile folder', async () => {
+  await fs.ensureDir(path.join(serverPath, 'profiles', 'other', 'BattlEye'));
+
+  assert.strictEqual(await serverManager.findBattlEyePath(serverPath, 'other'), path.join(serverPath, 'profiles', 'other', 'BattlEye'));
+});
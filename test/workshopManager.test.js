@@ -0,0 +1,127 @@
+const { stubElectron } = require('./helpers/electron');
+const userDataPath = stubElectron();
+
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs-extra');
+const path = require('path');
+const axios = require('axios');
+const config = require('../src/main/config');
+const steamcmd = require('../src/main/steamcmd');
+const workshopManager = require('../src/main/workshopManager');
+
+const installPath = path.join(userDataPath, 'server');
+const contentPath = (workshopId) => path.join(installPath, 'steamapps', 'workshop', 'content', '221100', workshopId);
+
+// Mods 1 and 2 were downloaded by SteamCMD, 3 was scanned from a folder and is not in its manifest
+const MODS = [
+  { workshopId: '1', name: 'Outdated' },
+  { workshopId: '2', name: 'Current' },
+  { workshopId: '3', name: 'Scanned' },
+  { workshopId: '4', name: 'Missing' }
+];
+
+test.before(async () => {
+  await config.load();
+  for (const workshopId of ['1', '2', '3']) {
+    await fs.outputFile(path.join(contentPath(workshopId), 'mod.info'), `name="Mod${workshopId}"`);
+  }
+  await fs.outputFile(path.join(installPath, 'steamapps', 'workshop', 'appworkshop_221100.acf'), [
+    '"AppWorkshop"', '{', '\t"WorkshopItemsInstalled"', '\t{',
+    '\t\t"1"', '\t\t{', '\t\t\t"timeupdated"\t\t"1700000000"', '\t\t}',
+    '\t\t"2"', '\t\t{', '\t\t\t"timeupdated"\t\t"1700000000"', '\t\t}',
+    '\t}', '}'
+  ].join('\n'));
+});
+
+/**
+ * Replace downloads and the workshop API for one test, returning the ids that were downloaded
+ */
+function stubUpdate(t, latestUpdateTimes) {
+  const downloaded = [];
+  t.mock.method(workshopManager, 'getLatestUpdateTimes', latestUpdateTimes);
+  t.mock.method(workshopManager, 'downloadMods', async (workshopIds) => {
+    downloaded.push(...workshopIds);
+    return workshopIds.map(workshopId => ({ workshopId, success: true }));
+  });
+  return downloaded;
+}
+
+test('update all updates outdated, missing and unknown mods', async (t) => {
+  const downloaded = stubUpdate(t, async () => new Map([['1', 1800000000], ['2', 1700000000], ['3', 1700000000], ['4', 1700000000]]));
+
+  const results = await workshopManager.updateAllMods(MODS, installPath);
+
+  assert.deepStrictEqual(downloaded, ['1', '3', '4']);
+  assert.deepStrictEqual(results.filter(r => r.skipped).map(r => r.mod.workshopId), ['2']);
+});
+
+test('update all updates every mod when the workshop API fails', async (t) => {
+  const downloaded = stubUpdate(t, async () => {
+    throw new Error('timeout of 15000ms exceeded');
+  });
+
+  const results = await workshopManager.updateAllMods(MODS, installPath);
+
+  assert.deepStrictEqual(downloaded, ['1', '2', '3', '4']);
+  assert.ok(results.every(r => !r.skipped && r.success));
+});
+
+test('workshop API requests have a timeout', async (t) => {
+  const post = t.mock.method(axios, 'post', async () => ({ data: { response: { publishedfiledetails: [] } } }));
+
+  await workshopManager.getLatestUpdateTimes(['1'], true);
+
+  assert.strictEqual(post.mock.calls[0].arguments[2].timeout, workshopManager.apiTimeout);
+});
+
+test('a failed update keeps the mod linked', async (t) => {
+  // Both links point at stale files, as they do before an update
+  const stalePath = path.join(userDataPath, 'stale');
+  await fs.ensureDir(stalePath);
+  await fs.ensureSymlink(stalePath, path.join(installPath, '@Mod1'), 'dir');
+  await fs.ensureSymlink(stalePath, path.join(installPath, '@Mod2'), 'dir');
+  t.mock.method(steamcmd, 'isInstalled', async () => true);
+  t.mock.method(steamcmd, 'downloadWorkshopItems', async () => [
+    { workshopId: '1', success: true },
+    { workshopId: '2', success: false, error: 'Timeout downloading item' }
+  ]);
+
+  const results = await workshopManager.downloadMods(['1', '2'], installPath, null, { replaceLinks: true });
+
+  assert.deepStrictEqual(results.map(r => r.success), [true, false]);
+  assert.strictEqual(await fs.realpath(path.join(installPath, '@Mod1')), await fs.realpath(contentPath('1')));
+  assert.strictEqual(await fs.realpath(path.join(installPath, '@Mod2')), await fs.realpath(stalePath));
+});
+
+test('server-only keys are only removed when no instance on the server folder loads the mod as a client mod', async () => {
+  const sharedPath = path.join(userDataPath, 'shared');
+  const keysPath = path.join(sharedPath, 'keys');
+  for (const [workshopId, name, keys] of [['10', 'ModA', ['a.bikey', 'shared.bikey']], ['11', 'ModB', ['shared.bikey']]]) {
+    const modContent = path.join(sharedPath, 'steamapps', 'workshop', 'content', '221100', workshopId);
+    await fs.outputFile(path.join(modContent, 'mod.info'), `name="${name}"`);
+    for (const key of keys) {
+      await fs.outputFile(path.join(modContent, 'keys', key), key);
+      await fs.outputFile(path.join(keysPath, key), key);
+    }
+    await fs.ensureSymlink(modContent, path.join(sharedPath, `@${name}`), 'dir');
+  }
+  const modA = { workshopId: '10', name: 'ModA', serverOnly: false };
+  const modB = { workshopId: '11', name: 'ModB', serverOnly: false };
+  await config.set('instances', [
+    { id: 'main', name: 'Main', serverPath: sharedPath, mods: [{ ...modA }] },
+    { id: 'other', name: 'Other', serverPath: sharedPath, mods: [{ ...modA }, { ...modB }] }
+  ]);
+  await config.set('activeInstanceId', 'main');
+
+  // The other instance still loads ModA with -mod
+  let result = await workshopManager.setServerOnly('10', true, sharedPath);
+  assert.deepStrictEqual(result.keysRemoved, []);
+  assert.strictEqual(config.isServerOnlyMod('10', sharedPath), false);
+
+  // Once it is server-only everywhere its keys go, except the one the other instance's ModB needs
+  await config.setInstanceValue('mods', [{ ...modA, serverOnly: true }, { ...modB }], 'other');
+  result = await workshopManager.setServerOnly('10', true, sharedPath);
+  assert.deepStrictEqual(result.keysRemoved, ['a.bikey']);
+  assert.ok(await fs.pathExists(path.join(keysPath, 'shared.bikey')));
+});